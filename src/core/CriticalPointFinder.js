@@ -0,0 +1,406 @@
+/**
+ * CriticalPointFinder.js - Locate and classify zeros of a vector field
+ * Brackets sign changes on a sampling grid, refines them with Newton's method
+ * and classifies each zero by the eigenvalues of the Jacobian
+ */
+
+class CriticalPointFinder {
+    /**
+     * Create a finder
+     * @param {Object} options - {resolution, maxIterations}
+     *   resolution: Grid cells per axis used for bracketing (default 40 in 2D, 14 in 3D)
+     *   maxIterations: Newton iterations per candidate
+     */
+    constructor(options = {}) {
+        this.resolution = options.resolution || null;
+        this.maxIterations = options.maxIterations || 30;
+    }
+
+    /**
+     * Find all critical points inside the field bounds
+     * @param {VectorField} vectorField - Field to analyse
+     * @param {Object} params - Optional parameters
+     * @returns {Array} - Array of {position, type, eigenvalues, eigenvectors, jacobian}
+     */
+    find(vectorField, params = {}) {
+        const dimension = vectorField.dimension;
+        const bounds = vectorField.getBounds();
+        const axes = ['x', 'y', 'z'].slice(0, dimension);
+        const resolution = this.resolution || (dimension === 2 ? 40 : 14);
+
+        const steps = axes.map(a => (bounds.max[a] - bounds.min[a]) / resolution);
+        const nodesPerAxis = resolution + 1;
+
+        // Sample the field at grid nodes
+        const nodeCount = Math.pow(nodesPerAxis, dimension);
+        const values = new Array(nodeCount);
+        let maxMagnitude = 0;
+
+        for (let index = 0; index < nodeCount; index++) {
+            const position = this.nodePosition(index, nodesPerAxis, axes, bounds, steps);
+            const vector = vectorField.evaluateAt(position, params);
+            values[index] = vector;
+            if (vector) {
+                maxMagnitude = Math.max(maxMagnitude, Math.sqrt(vector.reduce((s, v) => s + v * v, 0)));
+            }
+        }
+
+        const residualTolerance = 1e-10 * (maxMagnitude || 1);
+        const mergeDistance = 0.5 * Math.min(...steps);
+        const points = [];
+
+        // Visit every cell and try Newton from those that bracket a zero
+        const cellCount = Math.pow(resolution, dimension);
+        const cornerOffsets = this.cornerOffsets(dimension, nodesPerAxis);
+
+        for (let cell = 0; cell < cellCount; cell++) {
+            const base = this.cellBaseNode(cell, resolution, nodesPerAxis, dimension);
+            const corners = cornerOffsets.map(offset => values[base + offset]);
+            if (corners.some(v => !v)) continue;
+            if (!this.bracketsZero(corners, dimension)) continue;
+
+            // Start from the cell center
+            const start = this.nodePosition(base, nodesPerAxis, axes, bounds, steps);
+            axes.forEach((a, i) => {
+                start[a] += steps[i] / 2;
+            });
+
+            const position = this.refine(vectorField, start, params, residualTolerance);
+            if (!position || !this.isInside(position, bounds, axes)) continue;
+
+            // Skip zeros already found from a neighbouring cell
+            const duplicate = points.some(p =>
+                Math.sqrt(axes.reduce((s, a) => s + (p.position[a] - position[a]) ** 2, 0)) < mergeDistance
+            );
+            if (duplicate) continue;
+
+            const jacobian = vectorField.getJacobian(position, params);
+            if (!jacobian) continue;
+
+            points.push({ position, jacobian, ...this.classify(jacobian) });
+        }
+
+        return points;
+    }
+
+    /**
+     * Classify a critical point from its Jacobian
+     * @param {Array} jacobian - J[i][j] = dF_i/dx_j (2x2 or 3x3)
+     * @returns {Object} - {type, eigenvalues, eigenvectors}
+     *   eigenvalues: Array of {re, im}
+     *   eigenvectors: Unit vectors for the real eigenvalues (null for complex ones)
+     */
+    classify(jacobian) {
+        const n = jacobian.length;
+        const eigenvalues = n === 2 ? this.eigenvalues2(jacobian) : this.eigenvalues3(jacobian);
+
+        // Tolerance relative to the size of the Jacobian
+        const norm = Math.sqrt(jacobian.reduce((s, row) => s + row.reduce((r, v) => r + v * v, 0), 0));
+        const eps = 1e-3 * (norm || 1);
+
+        const eigenvectors = eigenvalues.map(ev =>
+            Math.abs(ev.im) > eps ? null : this.realEigenvector(jacobian, ev.re)
+        );
+
+        const TYPES = CriticalPointFinder.TYPES;
+        let type;
+
+        const isComplex = eigenvalues.some(ev => Math.abs(ev.im) > eps);
+        const positive = eigenvalues.filter(ev => ev.re > eps).length;
+        const negative = eigenvalues.filter(ev => ev.re < -eps).length;
+        const singular = eigenvalues.some(ev => Math.abs(ev.re) <= eps && Math.abs(ev.im) <= eps);
+
+        if (norm === 0 || singular) {
+            type = TYPES.DEGENERATE;
+        } else if (positive > 0 && negative > 0) {
+            type = TYPES.SADDLE;
+        } else if (isComplex && positive === 0 && negative === 0) {
+            type = TYPES.CENTER;
+        } else if (isComplex) {
+            // A purely imaginary pair beside a real eigenvalue (3D) takes that eigenvalue's sign
+            type = positive > 0 ? TYPES.SPIRAL_SOURCE : TYPES.SPIRAL_SINK;
+        } else {
+            type = positive > 0 ? TYPES.SOURCE : TYPES.SINK;
+        }
+
+        return { type, eigenvalues, eigenvectors };
+    }
+
+    /**
+     * Refine a zero with Newton's method
+     * @private
+     * @returns {Object|null} - Converged position or null
+     */
+    refine(vectorField, start, params, residualTolerance) {
+        const axes = ['x', 'y', 'z'].slice(0, vectorField.dimension);
+        let position = { ...start };
+
+        for (let iter = 0; iter < this.maxIterations; iter++) {
+            const value = vectorField.evaluateAt(position, params);
+            if (!value) return null;
+
+            const residual = Math.sqrt(value.reduce((s, v) => s + v * v, 0));
+            if (residual < residualTolerance) return position;
+
+            const jacobian = vectorField.getJacobian(position, params);
+            if (!jacobian) return null;
+
+            const delta = this.solve(jacobian, value);
+            if (!delta) return null;
+
+            const next = { ...position };
+            axes.forEach((a, i) => {
+                next[a] -= delta[i];
+            });
+            position = next;
+        }
+
+        const value = vectorField.evaluateAt(position, params);
+        if (value && Math.sqrt(value.reduce((s, v) => s + v * v, 0)) < residualTolerance) {
+            return position;
+        }
+        return null;
+    }
+
+    /**
+     * Solve J x = b for a 2x2 or 3x3 system by Gaussian elimination
+     * @private
+     * @returns {Array|null} - Solution or null if singular
+     */
+    solve(J, b) {
+        const n = b.length;
+        const m = J.map((row, i) => [...row.slice(0, n), b[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+            }
+            if (Math.abs(m[pivot][col]) < 1e-14) return null;
+            [m[col], m[pivot]] = [m[pivot], m[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = m[row][col] / m[col][col];
+                for (let k = col; k <= n; k++) {
+                    m[row][k] -= factor * m[col][k];
+                }
+            }
+        }
+
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = m[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= m[row][k] * x[k];
+            }
+            x[row] = sum / m[row][row];
+        }
+        return x;
+    }
+
+    /**
+     * Eigenvalues of a 2x2 matrix
+     * @private
+     */
+    eigenvalues2(J) {
+        const tr = J[0][0] + J[1][1];
+        const det = J[0][0] * J[1][1] - J[0][1] * J[1][0];
+        const disc = tr * tr - 4 * det;
+
+        if (disc >= 0) {
+            const root = Math.sqrt(disc);
+            return [{ re: (tr + root) / 2, im: 0 }, { re: (tr - root) / 2, im: 0 }];
+        }
+
+        const root = Math.sqrt(-disc);
+        return [{ re: tr / 2, im: root / 2 }, { re: tr / 2, im: -root / 2 }];
+    }
+
+    /**
+     * Eigenvalues of a 3x3 matrix from its characteristic cubic
+     * @private
+     */
+    eigenvalues3(J) {
+        // lambda^3 + a lambda^2 + b lambda + c = 0
+        const tr = J[0][0] + J[1][1] + J[2][2];
+        const minors = (J[0][0] * J[1][1] - J[0][1] * J[1][0]) +
+            (J[0][0] * J[2][2] - J[0][2] * J[2][0]) +
+            (J[1][1] * J[2][2] - J[1][2] * J[2][1]);
+        const det = J[0][0] * (J[1][1] * J[2][2] - J[1][2] * J[2][1]) -
+            J[0][1] * (J[1][0] * J[2][2] - J[1][2] * J[2][0]) +
+            J[0][2] * (J[1][0] * J[2][1] - J[1][1] * J[2][0]);
+        const a = -tr;
+        const b = minors;
+        const c = -det;
+
+        // Depressed cubic t^3 + p t + q = 0 with lambda = t - a/3
+        const p = b - a * a / 3;
+        const q = 2 * a * a * a / 27 - a * b / 3 + c;
+        const shift = -a / 3;
+        const disc = q * q / 4 + p * p * p / 27;
+
+        if (disc > 0) {
+            // One real root and a complex pair
+            const sqrtDisc = Math.sqrt(disc);
+            const u = Math.cbrt(-q / 2 + sqrtDisc);
+            const v = Math.cbrt(-q / 2 - sqrtDisc);
+            const real = u + v + shift;
+            const re = -(u + v) / 2 + shift;
+            const im = Math.abs(u - v) * Math.sqrt(3) / 2;
+            return [{ re: real, im: 0 }, { re, im }, { re, im: -im }];
+        }
+
+        // Three real roots (trigonometric form)
+        if (Math.abs(p) < 1e-14) {
+            const root = Math.cbrt(-q) + shift;
+            return [{ re: root, im: 0 }, { re: root, im: 0 }, { re: root, im: 0 }];
+        }
+        const r = 2 * Math.sqrt(-p / 3);
+        const phi = Math.acos(Math.max(-1, Math.min(1, 3 * q / (p * r))));
+        return [0, 1, 2].map(k => ({
+            re: r * Math.cos(phi / 3 - 2 * Math.PI * k / 3) + shift,
+            im: 0
+        }));
+    }
+
+    /**
+     * Unit eigenvector for a real eigenvalue
+     * @private
+     */
+    realEigenvector(J, lambda) {
+        const n = J.length;
+        const A = J.map((row, i) => row.map((v, j) => (i === j ? v - lambda : v)));
+        let best = null;
+        let bestNorm = 0;
+
+        if (n === 2) {
+            // Null space of a rank-1 2x2 matrix is perpendicular to its rows
+            const candidates = [[-A[0][1], A[0][0]], [-A[1][1], A[1][0]]];
+            candidates.forEach(v => {
+                const norm = Math.hypot(v[0], v[1]);
+                if (norm > bestNorm) {
+                    best = v;
+                    bestNorm = norm;
+                }
+            });
+            if (bestNorm < 1e-12) return [1, 0];
+        } else {
+            // Null space of a rank-2 3x3 matrix is the cross product of two rows
+            for (let i = 0; i < 3; i++) {
+                for (let j = i + 1; j < 3; j++) {
+                    const r1 = A[i];
+                    const r2 = A[j];
+                    const v = [
+                        r1[1] * r2[2] - r1[2] * r2[1],
+                        r1[2] * r2[0] - r1[0] * r2[2],
+                        r1[0] * r2[1] - r1[1] * r2[0]
+                    ];
+                    const norm = Math.hypot(v[0], v[1], v[2]);
+                    if (norm > bestNorm) {
+                        best = v;
+                        bestNorm = norm;
+                    }
+                }
+            }
+            if (bestNorm < 1e-12) return [1, 0, 0];
+        }
+
+        return best.map(v => v / bestNorm);
+    }
+
+    /**
+     * Check whether every component changes sign across the cell corners
+     * @private
+     */
+    bracketsZero(corners, dimension) {
+        for (let i = 0; i < dimension; i++) {
+            let hasPositive = false;
+            let hasNegative = false;
+            for (const v of corners) {
+                if (v[i] >= 0) hasPositive = true;
+                if (v[i] <= 0) hasNegative = true;
+            }
+            if (!hasPositive || !hasNegative) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Position of a grid node from its flat index (x varies slowest)
+     * @private
+     */
+    nodePosition(index, nodesPerAxis, axes, bounds, steps) {
+        const indices = [];
+        let rest = index;
+        for (let i = axes.length - 1; i >= 0; i--) {
+            indices[i] = rest % nodesPerAxis;
+            rest = Math.floor(rest / nodesPerAxis);
+        }
+
+        const position = {};
+        axes.forEach((a, i) => {
+            position[a] = bounds.min[a] + indices[i] * steps[i];
+        });
+        return position;
+    }
+
+    /**
+     * Flat index of the lowest corner node of a cell
+     * @private
+     */
+    cellBaseNode(cell, resolution, nodesPerAxis, dimension) {
+        let rest = cell;
+        let index = 0;
+        let stride = 1;
+        for (let i = dimension - 1; i >= 0; i--) {
+            const k = rest % resolution;
+            rest = Math.floor(rest / resolution);
+            index += k * stride;
+            stride *= nodesPerAxis;
+        }
+        return index;
+    }
+
+    /**
+     * Flat index offsets of all cell corners relative to the base node
+     * @private
+     */
+    cornerOffsets(dimension, nodesPerAxis) {
+        const strides = [];
+        let stride = 1;
+        for (let i = dimension - 1; i >= 0; i--) {
+            strides[i] = stride;
+            stride *= nodesPerAxis;
+        }
+
+        const offsets = [];
+        for (let mask = 0; mask < (1 << dimension); mask++) {
+            let offset = 0;
+            for (let i = 0; i < dimension; i++) {
+                if (mask & (1 << i)) offset += strides[i];
+            }
+            offsets.push(offset);
+        }
+        return offsets;
+    }
+
+    /**
+     * @private
+     */
+    isInside(position, bounds, axes) {
+        return axes.every(a => position[a] >= bounds.min[a] && position[a] <= bounds.max[a]);
+    }
+}
+
+// Critical point classes
+CriticalPointFinder.TYPES = {
+    SOURCE: 'source',
+    SINK: 'sink',
+    SADDLE: 'saddle',
+    CENTER: 'center',
+    SPIRAL_SOURCE: 'spiral source',
+    SPIRAL_SINK: 'spiral sink',
+    DEGENERATE: 'degenerate'
+};
+
+window.CriticalPointFinder = CriticalPointFinder;
@@ -1,6 +1,7 @@
 /**
  * FunctionParser.js - Safe expression parser for vector field functions
- * Uses Math.js for safe evaluation of user-provided mathematical expressions
+ * Uses Math.js to parse user-provided mathematical expressions, which are
+ * compiled once into plain JavaScript functions for fast evaluation
  */
 
 class FunctionParser {
@@ -18,24 +19,59 @@ class FunctionParser {
 
     /**
      * Parse and compile a vector field function string
-     * @param {string} expression - Expression like "[-y, x]" or "[sin(x), cos(y), z]"
+     * The simulation time `t` may appear in any component for unsteady fields.
+     * Parameters are declared on separate lines (or after `;`), e.g.
+     *   [a*x - y, x + a*y]
+     *   a in [-2, 2] = 0.5 step 0.01
+     * Any other symbol is an error, so typos like `sinx` are not mistaken for parameters.
+     * @param {string} expression - Expression like "[-y, x]", "[sin(x), cos(y), z]" or "[-y + sin(t), x]"
      * @param {number} dimension - Expected dimension (2 or 3)
-     * @returns {Object} - {func, error, variables}
-     *   func: Function ready to evaluate, or null if error
+     * @returns {Object} - {func, jacobian, error, variables, parameters}
+     *   func: Function ready to evaluate, or null if error; func.batch(positions, out, params)
+     *     fills a packed Float32Array of vectors for packed positions
+     *   jacobian: Symbolic Jacobian J[i][j] = dF_i/dx_j, or null if not differentiable
      *   error: Error message string, or null if successful
      *   variables: Array of detected variable names
+     *   parameters: Array of {name, min, max, value, step} parameter definitions
      */
     parse(expression, dimension) {
-        // Remove whitespace
-        const expr = expression.trim();
+        const fail = (error, variables = []) => ({
+            func: null,
+            jacobian: null,
+            error,
+            variables: Array.from(variables),
+            parameters: []
+        });
+
+        // Oversized input is rejected before it reaches the parser
+        if (expression.length > FunctionParser.MAX_EXPRESSION_LENGTH) {
+            return fail(`Expression is too long (max ${FunctionParser.MAX_EXPRESSION_LENGTH} characters)`);
+        }
+
+        // Separate the vector expression from parameter declarations
+        const statements = this.splitStatements(expression);
+        const vectorStatements = statements.filter(st => st.text.startsWith('['));
 
         // Check basic structure - should be array notation
-        if (!expr.startsWith('[') || !expr.endsWith(']')) {
-            return {
-                func: null,
-                error: 'Function must be in array notation: [vx, vy] or [vx, vy, vz]',
-                variables: []
-            };
+        if (vectorStatements.length !== 1 || !vectorStatements[0].text.endsWith(']')) {
+            return fail('Function must be in array notation: [vx, vy] or [vx, vy, vz]');
+        }
+        const vectorStatement = vectorStatements[0];
+        const expr = vectorStatement.text;
+
+        // Parse parameter declarations
+        const declared = new Map();
+        for (const statement of statements) {
+            if (statement === vectorStatement) continue;
+
+            const declaration = this.parseDeclaration(statement.text);
+            if (declaration.error) {
+                return fail(`Line ${statement.line}: ${declaration.error}`);
+            }
+            if (declared.has(declaration.name)) {
+                return fail(`Line ${statement.line}: Parameter "${declaration.name}" is declared twice`);
+            }
+            declared.set(declaration.name, declaration);
         }
 
         try {
@@ -45,81 +81,399 @@ class FunctionParser {
 
             // Validate component count
             if (components.length !== dimension) {
-                return {
-                    func: null,
-                    error: `Expected ${dimension} components, got ${components.length}`,
-                    variables: []
-                };
+                return fail(`Expected ${dimension} components, got ${components.length}`);
             }
 
             // Parse and validate each component
-            const compiled = [];
+            const nodes = [];
             const variables = new Set();
+            let nodeCount = 0;
+            let offset = 1; // Past the opening bracket
 
             for (let i = 0; i < components.length; i++) {
                 const comp = components[i].trim();
+                const compStart = offset + components[i].length - components[i].trimStart().length;
+                offset += components[i].length + 1;
 
                 // Test parse with Math.js to catch syntax errors
+                let parsed;
                 try {
-                    const parsed = math.parse(comp);
-                    const vars = this.extractVariables(parsed);
-                    vars.forEach(v => variables.add(v));
-                    compiled.push(comp);
+                    parsed = math.parse(comp);
                 } catch (e) {
-                    return {
-                        func: null,
-                        error: `Component ${i}: ${e.message}`,
-                        variables: Array.from(variables)
-                    };
+                    return fail(`Component ${i}: ${e.message}`, variables);
+                }
+
+                // Only whitelisted node types, operators and functions are accepted
+                const violation = this.validateNode(parsed);
+                if (violation) {
+                    const column = vectorStatement.column + compStart + this.locateToken(comp, violation.token);
+                    return fail(`Line ${vectorStatement.line}, column ${column}: ${violation.message}`, variables);
                 }
+
+                nodeCount += this.countNodes(parsed);
+                if (nodeCount > FunctionParser.MAX_NODES) {
+                    return fail(`Expression is too complex (max ${FunctionParser.MAX_NODES} terms)`, variables);
+                }
+
+                this.extractVariables(parsed).forEach(v => variables.add(v));
+                nodes.push(parsed);
             }
 
-            // Validate variables
-            const validVars = dimension === 2 ? ['x', 'y'] : ['x', 'y', 'z'];
-            const invalidVars = Array.from(variables).filter(v => !validVars.includes(v));
+            // Constants are supplied by the evaluation scope
+            FunctionParser.CONSTANTS.forEach(c => variables.delete(c));
 
-            if (invalidVars.length > 0) {
-                return {
-                    func: null,
-                    error: `Invalid variables: ${invalidVars.join(', ')}. Use ${validVars.join(', ')}`,
-                    variables: Array.from(variables)
-                };
+            // z has no meaning in 2D; any other symbol must be a declared parameter
+            const coordinates = dimension === 2 ? ['x', 'y'] : ['x', 'y', 'z'];
+            if (dimension === 2 && variables.has('z')) {
+                return fail('Invalid variables: z. Use x, y, t in 2D', variables);
             }
+            const unknown = Array.from(variables)
+                .filter(v => ![...coordinates, 't'].includes(v) && !declared.has(v))
+                .sort();
+            if (unknown.length > 0) {
+                return fail(`Unknown variables: ${unknown.join(', ')}. Use ${coordinates.join(', ')}, t, or declare a parameter, e.g. "${unknown[0]} in [-5, 5] = 1"`, variables);
+            }
+
+            const parameters = Array.from(declared.values());
+
+            const defaults = {};
+            parameters.forEach(param => {
+                defaults[param.name] = param.value;
+            });
+
+            // Compile each component once; evaluation only calls plain functions
+            const parameterNames = parameters.map(param => param.name);
+            const componentFuncs = nodes.map(node => this.compileNode(node, parameterNames));
+            const resolve = this.createParameterResolver(parameterNames, defaults);
 
             // Create the evaluation function
             const func = (position, params = {}) => {
-                const scope = {
-                    ...position,
-                    ...params,
-                    pi: Math.PI,
-                    e: Math.E
-                };
-
-                const result = [];
-                for (const comp of compiled) {
-                    try {
-                        const value = math.evaluate(comp, scope);
-                        result.push(Number(value));
-                    } catch (e) {
-                        // Return null on evaluation error
-                        return null;
-                    }
+                const p = resolve(params);
+                const t = params.t !== undefined ? params.t : (position.t || 0);
+                const z = position.z || 0;
+
+                const result = new Array(componentFuncs.length);
+                for (let i = 0; i < componentFuncs.length; i++) {
+                    result[i] = componentFuncs[i](position.x, position.y, z, t, p);
                 }
                 return result;
             };
 
+            // Batch evaluation over packed positions, see VectorField.evaluateBatch
+            func.batch = (positions, out, params = {}) => {
+                const p = resolve(params);
+                const t = params.t !== undefined ? params.t : 0;
+                const n = dimension;
+
+                for (let i = 0; i < positions.length; i += n) {
+                    const x = positions[i];
+                    const y = positions[i + 1];
+                    const z = n === 3 ? positions[i + 2] : 0;
+                    for (let c = 0; c < n; c++) {
+                        out[i + c] = componentFuncs[c](x, y, z, t, p);
+                    }
+                }
+                return out;
+            };
+
             return {
                 func,
+                jacobian: this.createJacobian(nodes, coordinates, parameterNames, defaults),
                 error: null,
-                variables: Array.from(variables).sort()
+                variables: Array.from(variables).sort(),
+                parameters
             };
         } catch (error) {
+            return fail(`Parse error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse and compile a scalar function string, e.g. a potential or stream function
+     * Besides the coordinates and `t`, only the parameters of the current field may appear.
+     * @param {string} expression - Expression like "x*y" or "a*log(hypot(x, y))"
+     * @param {number} dimension - Field dimension (2 or 3)
+     * @param {Array<string>} parameterNames - Parameters the expression may use
+     * @returns {Object} - {func, error}
+     *   func: f(position, params) => number, or null if error; func.batch(positions, out, params)
+     *     fills a Float32Array with one value per packed position
+     *   error: Error message string, or null if successful
+     */
+    parseScalar(expression, dimension, parameterNames = []) {
+        const text = expression.trim();
+        if (text.length === 0) {
+            return { func: null, error: 'Enter an expression' };
+        }
+        if (text.length > FunctionParser.MAX_EXPRESSION_LENGTH) {
+            return { func: null, error: `Expression is too long (max ${FunctionParser.MAX_EXPRESSION_LENGTH} characters)` };
+        }
+
+        let node;
+        try {
+            node = math.parse(text);
+        } catch (e) {
+            return { func: null, error: e.message };
+        }
+
+        const violation = this.validateNode(node);
+        if (violation) {
+            return { func: null, error: `Column ${this.locateToken(text, violation.token) + 1}: ${violation.message}` };
+        }
+        if (this.countNodes(node) > FunctionParser.MAX_NODES) {
+            return { func: null, error: `Expression is too complex (max ${FunctionParser.MAX_NODES} terms)` };
+        }
+
+        const allowed = [...(dimension === 2 ? ['x', 'y'] : ['x', 'y', 'z']), 't', ...FunctionParser.CONSTANTS, ...parameterNames];
+        const unknown = this.extractVariables(node).filter(v => !allowed.includes(v));
+        if (unknown.length > 0) {
             return {
                 func: null,
-                error: `Parse error: ${error.message}`,
-                variables: []
+                error: `Unknown variables: ${unknown.join(', ')}. Use ${dimension === 2 ? 'x, y' : 'x, y, z'}, t and the field parameters`
+            };
+        }
+
+        try {
+            const compiled = this.compileNode(node, parameterNames);
+            const resolve = this.createParameterResolver(parameterNames, {});
+
+            const func = (position, params = {}) => {
+                const t = params.t !== undefined ? params.t : 0;
+                return compiled(position.x, position.y, position.z || 0, t, resolve(params));
             };
+
+            func.batch = (positions, out, params = {}) => {
+                const p = resolve(params);
+                const t = params.t !== undefined ? params.t : 0;
+                const n = dimension;
+
+                for (let i = 0, k = 0; i < positions.length; i += n, k++) {
+                    out[k] = compiled(positions[i], positions[i + 1], n === 3 ? positions[i + 2] : 0, t, p);
+                }
+                return out;
+            };
+
+            return { func, error: null };
+        } catch (error) {
+            return { func: null, error: `Parse error: ${error.message}` };
+        }
+    }
+
+    /**
+     * Build a symbolic Jacobian evaluator from parsed components
+     * @private
+     * @param {Array} nodes - Parsed Math.js node per component
+     * @param {Array} coordinates - Coordinate names to differentiate by
+     * @param {Array} parameterNames - Parameter names in evaluation order
+     * @param {Object} defaults - Default parameter values
+     * @returns {Function|null} - f(position, params) => J[i][j], or null if
+     *   a component uses a function Math.js cannot differentiate
+     */
+    createJacobian(nodes, coordinates, parameterNames, defaults) {
+        let derivatives;
+        try {
+            derivatives = nodes.map(node =>
+                coordinates.map(v => this.compileNode(math.derivative(node, v), parameterNames))
+            );
+        } catch (e) {
+            return null;
+        }
+
+        const resolve = this.createParameterResolver(parameterNames, defaults);
+
+        return (position, params = {}) => {
+            const p = resolve(params);
+            const t = params.t !== undefined ? params.t : (position.t || 0);
+            const z = position.z || 0;
+            return derivatives.map(row => row.map(d => d(position.x, position.y, z, t, p)));
+        };
+    }
+
+    /**
+     * Build a function returning parameter values in evaluation order
+     * @private
+     * @returns {Function} - f(params) => Array of values, falling back to defaults
+     */
+    createParameterResolver(parameterNames, defaults) {
+        // Own properties only, so parameters named like Object.prototype members resolve
+        const has = Object.prototype.hasOwnProperty;
+        return (params) => parameterNames.map(name =>
+            has.call(params, name) && params[name] !== undefined ? params[name] : defaults[name]
+        );
+    }
+
+    /**
+     * Compile a parsed expression into a plain function
+     * The expression is translated to JavaScript once; expressions outside the
+     * translatable subset fall back to Math.js compiled evaluation
+     * @private
+     * @param {Object} node - Parsed Math.js node
+     * @param {Array} parameterNames - Parameter names, in the order of the p array
+     * @returns {Function} - f(x, y, z, t, p) => number, NaN where undefined
+     */
+    compileNode(node, parameterNames) {
+        let source = null;
+        try {
+            source = this.toJavaScript(node, parameterNames);
+        } catch (e) {
+            source = null;
+        }
+
+        if (source !== null) {
+            // Source only contains translated nodes, never raw input text
+            const factory = new Function('H', `return function (x, y, z, t, p) { return +(${source}); };`);
+            return factory(FunctionParser.HELPERS);
+        }
+
+        const code = node.compile();
+        return (x, y, z, t, p) => {
+            const scope = { x, y, z, t, pi: Math.PI, e: Math.E };
+            parameterNames.forEach((name, i) => {
+                scope[name] = p[i];
+            });
+            try {
+                return Number(code.evaluate(scope));
+            } catch (e) {
+                return NaN;
+            }
+        };
+    }
+
+    /**
+     * Translate a Math.js node into JavaScript source
+     * Only numbers, known symbols, arithmetic and comparison operators,
+     * conditionals and functions in FunctionParser.JS_FUNCTIONS are translated
+     * @private
+     * @param {Object} node - Parsed Math.js node
+     * @param {Array} parameterNames - Parameter names, read from p[i]
+     * @returns {string} - JavaScript expression
+     * @throws {Error} - If the node cannot be translated
+     */
+    toJavaScript(node, parameterNames) {
+        const emit = (n) => this.toJavaScript(n, parameterNames);
+
+        switch (node.type) {
+            case 'ConstantNode':
+                if (typeof node.value !== 'number') {
+                    throw new Error(`Unsupported constant ${node.value}`);
+                }
+                return `(${node.value})`;
+
+            case 'SymbolNode': {
+                if (['x', 'y', 'z', 't'].includes(node.name)) return node.name;
+                if (node.name === 'pi') return 'Math.PI';
+                if (node.name === 'e') return 'Math.E';
+                const index = parameterNames.indexOf(node.name);
+                if (index === -1) {
+                    throw new Error(`Unknown symbol ${node.name}`);
+                }
+                return `p[${index}]`;
+            }
+
+            case 'ParenthesisNode':
+                return `(${emit(node.content)})`;
+
+            case 'OperatorNode': {
+                const operator = FunctionParser.lookup(FunctionParser.JS_OPERATORS, node.fn);
+                if (!operator || operator.length !== node.args.length) {
+                    throw new Error(`Unsupported operator ${node.op}`);
+                }
+                return operator(...node.args.map(emit));
+            }
+
+            case 'ConditionalNode':
+                return `(${emit(node.condition)} ? ${emit(node.trueExpr)} : ${emit(node.falseExpr)})`;
+
+            case 'FunctionNode': {
+                const fn = FunctionParser.lookup(FunctionParser.JS_FUNCTIONS, node.fn.name);
+                if (!fn || node.args.length < fn.args[0] || node.args.length > fn.args[1]) {
+                    throw new Error(`Unsupported function ${node.fn.name}`);
+                }
+                return `${fn.js}(${node.args.map(emit).join(', ')})`;
+            }
+
+            default:
+                throw new Error(`Unsupported node ${node.type}`);
+        }
+    }
+
+    /**
+     * Parse a parameter declaration like "a in [-2, 2] = 0.5 step 0.01"
+     * The default value and step are optional.
+     * @param {string} text - Declaration statement
+     * @returns {Object} - {name, min, max, value, step} or {error}
+     */
+    parseDeclaration(text) {
+        const num = '([-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][-+]?\\d+)?)';
+        const pattern = new RegExp(
+            `^([A-Za-z_][A-Za-z0-9_]*)\\s+in\\s*\\[\\s*${num}\\s*,\\s*${num}\\s*\\]` +
+            `(?:\\s*=\\s*${num})?(?:\\s+step\\s+${num})?$`
+        );
+        const match = text.match(pattern);
+
+        if (!match) {
+            return { error: `Invalid parameter declaration "${text}". Use: a in [-2, 2] = 0.5 step 0.01` };
+        }
+
+        const name = match[1];
+        const min = parseFloat(match[2]);
+        const max = parseFloat(match[3]);
+
+        if (FunctionParser.RESERVED.includes(name) || this.allowedFunctions.includes(name)) {
+            return { error: `"${name}" is reserved and cannot be used as a parameter` };
+        }
+        if (!(max > min)) {
+            return { error: `Range of "${name}" must have min < max` };
+        }
+
+        const value = match[4] !== undefined ? parseFloat(match[4]) : (min + max) / 2;
+        const step = match[5] !== undefined ? parseFloat(match[5]) : (max - min) / 100;
+
+        if (value < min || value > max) {
+            return { error: `Default of "${name}" must lie within [${min}, ${max}]` };
+        }
+        if (!(step > 0)) {
+            return { error: `Step of "${name}" must be positive` };
         }
+
+        return { name, min, max, value, step };
+    }
+
+    /**
+     * Split input into statements by newline or top-level semicolon
+     * @private
+     * @returns {Array} - Array of {text, line, column} with 1-based line and column numbers
+     */
+    splitStatements(expression) {
+        const statements = [];
+        const lines = expression.split(/\r?\n/);
+
+        lines.forEach((line, index) => {
+            let current = '';
+            let start = 0;
+            let depth = 0;
+
+            const push = () => {
+                const leading = current.length - current.trimStart().length;
+                statements.push({ text: current.trim(), line: index + 1, column: start + leading + 1 });
+            };
+
+            for (let i = 0; i < line.length; i++) {
+                const char = line[i];
+                if (char === '(' || char === '[' || char === '{') depth++;
+                if (char === ')' || char === ']' || char === '}') depth--;
+
+                if (char === ';' && depth === 0) {
+                    push();
+                    current = '';
+                    start = i + 1;
+                } else {
+                    current += char;
+                }
+            }
+            push();
+        });
+
+        return statements.filter(st => st.text.length > 0);
     }
 
     /**
@@ -155,6 +509,104 @@ class FunctionParser {
         return components;
     }
 
+    /**
+     * Check a parsed component against the expression whitelist
+     * Rejects assignments, function definitions, property and index access,
+     * strings, matrices and any function or operator outside the whitelist
+     * @private
+     * @param {Object} root - Parsed Math.js node
+     * @returns {Object|null} - {message, token} for the first violation, or null if valid
+     */
+    validateNode(root) {
+        let violation = null;
+
+        root.traverse((node, path, parent) => {
+            if (violation) return;
+
+            // The callee symbol of a function call is checked with its FunctionNode
+            if (parent && parent.type === 'FunctionNode' && path === 'fn') return;
+
+            switch (node.type) {
+                case 'SymbolNode':
+                case 'ParenthesisNode':
+                case 'ConditionalNode':
+                    return;
+
+                case 'ConstantNode':
+                    if (typeof node.value !== 'number') {
+                        violation = { message: 'Only numeric constants are allowed', token: /["']/ };
+                    }
+                    return;
+
+                case 'OperatorNode':
+                    if (!FunctionParser.ALLOWED_OPERATORS.includes(node.fn)) {
+                        violation = { message: `Operator "${node.op}" is not allowed`, token: node.op };
+                    }
+                    return;
+
+                case 'FunctionNode': {
+                    const name = node.fn.type === 'SymbolNode' ? node.fn.name : null;
+                    if (name === null) {
+                        violation = { message: 'Only named functions can be called', token: '(' };
+                    } else if (!this.allowedFunctions.includes(name)) {
+                        const escaped = name.replace(/[$]/g, '\\$&');
+                        violation = {
+                            message: typeof math[name] === 'function'
+                                ? `Function "${name}" is not allowed. Allowed: ${this.allowedFunctions.join(', ')}`
+                                : `"${name}" is not a function. Write ${name}*(...) to multiply`,
+                            token: new RegExp(`(?<![\\w$])${escaped}\\s*\\(`)
+                        };
+                    }
+                    return;
+                }
+
+                case 'AssignmentNode':
+                    violation = { message: 'Assignments are not allowed; declare parameters as "a in [min, max]"', token: '=' };
+                    return;
+
+                case 'FunctionAssignmentNode':
+                    violation = { message: `Function definitions are not allowed ("${node.name}")`, token: node.name };
+                    return;
+
+                case 'AccessorNode':
+                case 'IndexNode':
+                    violation = { message: 'Property and index access is not allowed', token: /[.[]/ };
+                    return;
+
+                default:
+                    violation = {
+                        message: `${node.type.replace(/Node$/, '')} expressions are not allowed`,
+                        token: node.toString()
+                    };
+            }
+        });
+
+        return violation;
+    }
+
+    /**
+     * Count nodes in a parsed expression
+     * @private
+     */
+    countNodes(root) {
+        let count = 0;
+        root.traverse(() => {
+            count++;
+        });
+        return count;
+    }
+
+    /**
+     * 0-based position of a token in a component, or 0 if not found
+     * @private
+     * @param {string} text - Component source
+     * @param {string|RegExp} token - Token to find
+     */
+    locateToken(text, token) {
+        const index = token instanceof RegExp ? text.search(token) : text.indexOf(token);
+        return Math.max(0, index);
+    }
+
     /**
      * Extract variable names from parsed Math.js expression
      * @private
@@ -162,27 +614,13 @@ class FunctionParser {
     extractVariables(node) {
         const variables = new Set();
 
-        const traverse = (n) => {
-            if (!n) return;
-
-            if (n.type === 'SymbolNode') {
+        // Every node validateNode allows, e.g. the branches of conditionals; function names are not variables
+        node.traverse((n, path, parent) => {
+            if (n.type === 'SymbolNode' && !(parent && parent.type === 'FunctionNode' && path === 'fn')) {
                 variables.add(n.name);
-            } else if (n.type === 'OperatorNode') {
-                if (n.args) {
-                    n.args.forEach(traverse);
-                }
-            } else if (n.type === 'ParenthesisNode') {
-                traverse(n.content);
-            } else if (n.type === 'FunctionNode') {
-                if (n.args) {
-                    n.args.forEach(traverse);
-                }
-            } else if (n.type === 'UnaryMinusNode' || n.type === 'UnaryPlusNode') {
-                traverse(n.arg);
             }
-        };
+        });
 
-        traverse(node);
         return Array.from(variables);
     }
 
@@ -205,9 +643,12 @@ class FunctionParser {
             dimension === 2 ? { x: 0.5, y: 0.5 } : { x: 0.5, y: 0.5, z: 0.5 }
         ];
 
+        // Time-dependent fields are tested at t = 0 unless a time is given
+        const testParams = { t: 0, ...params };
+
         let validCount = 0;
         for (const point of testPoints) {
-            const result = func(point, params);
+            const result = func(point, testParams);
             if (result && result.length === dimension && result.every(v => Number.isFinite(v))) {
                 validCount++;
             }
@@ -230,5 +671,88 @@ class FunctionParser {
     }
 }
 
+// Symbols supplied by the evaluation scope
+FunctionParser.CONSTANTS = ['pi', 'e'];
+
+// Names that cannot be declared as parameters
+FunctionParser.RESERVED = ['x', 'y', 'z', 't', 'pi', 'e'];
+
+// Math.js operators (node.fn) accepted in expressions
+FunctionParser.ALLOWED_OPERATORS = [
+    'unaryMinus', 'unaryPlus', 'add', 'subtract', 'multiply', 'divide', 'pow', 'mod', 'factorial',
+    'smaller', 'larger', 'smallerEq', 'largerEq', 'equal', 'unequal', 'and', 'or', 'not'
+];
+
+// Limits that keep shared expressions cheap to parse and evaluate
+FunctionParser.MAX_EXPRESSION_LENGTH = 2000;
+FunctionParser.MAX_NODES = 500;
+
+// Own-property lookup, so names like "constructor" never resolve
+FunctionParser.lookup = (table, name) =>
+    (Object.prototype.hasOwnProperty.call(table, name) ? table[name] : null);
+
+// JavaScript translation of Math.js operators, keyed by node.fn
+FunctionParser.JS_OPERATORS = {
+    unaryMinus: (a) => `(-${a})`,
+    unaryPlus: (a) => `(+${a})`,
+    add: (a, b) => `(${a} + ${b})`,
+    subtract: (a, b) => `(${a} - ${b})`,
+    multiply: (a, b) => `(${a} * ${b})`,
+    divide: (a, b) => `(${a} / ${b})`,
+    pow: (a, b) => `Math.pow(${a}, ${b})`,
+    mod: (a, b) => `H.mod(${a}, ${b})`,
+    smaller: (a, b) => `(${a} < ${b})`,
+    larger: (a, b) => `(${a} > ${b})`,
+    smallerEq: (a, b) => `(${a} <= ${b})`,
+    largerEq: (a, b) => `(${a} >= ${b})`
+};
+
+// JavaScript translation of Math.js functions with their [min, max] argument counts
+FunctionParser.JS_FUNCTIONS = {
+    sin: { js: 'Math.sin', args: [1, 1] },
+    cos: { js: 'Math.cos', args: [1, 1] },
+    tan: { js: 'Math.tan', args: [1, 1] },
+    asin: { js: 'Math.asin', args: [1, 1] },
+    acos: { js: 'Math.acos', args: [1, 1] },
+    atan: { js: 'Math.atan', args: [1, 1] },
+    atan2: { js: 'Math.atan2', args: [2, 2] },
+    sinh: { js: 'Math.sinh', args: [1, 1] },
+    cosh: { js: 'Math.cosh', args: [1, 1] },
+    tanh: { js: 'Math.tanh', args: [1, 1] },
+    sqrt: { js: 'Math.sqrt', args: [1, 1] },
+    cbrt: { js: 'Math.cbrt', args: [1, 1] },
+    abs: { js: 'Math.abs', args: [1, 1] },
+    exp: { js: 'Math.exp', args: [1, 1] },
+    log: { js: 'H.log', args: [1, 2] },
+    log10: { js: 'Math.log10', args: [1, 1] },
+    log2: { js: 'Math.log2', args: [1, 1] },
+    floor: { js: 'Math.floor', args: [1, 1] },
+    ceil: { js: 'Math.ceil', args: [1, 1] },
+    round: { js: 'H.round', args: [1, 2] },
+    sign: { js: 'Math.sign', args: [1, 1] },
+    min: { js: 'Math.min', args: [1, Infinity] },
+    max: { js: 'Math.max', args: [1, Infinity] },
+    pow: { js: 'Math.pow', args: [2, 2] },
+    hypot: { js: 'Math.hypot', args: [1, Infinity] },
+    random: { js: 'H.random', args: [0, 2] }
+};
+
+// Helpers matching Math.js semantics where JavaScript's Math differs
+FunctionParser.HELPERS = {
+    // Floored modulo; x mod 0 is x
+    mod: (x, y) => (y === 0 ? x : x - y * Math.floor(x / y)),
+    // Rounds half away from zero to n decimals
+    round: (x, n = 0) => {
+        const f = Math.pow(10, n);
+        return Math.sign(x) * Math.round(Math.abs(x) * f) / f;
+    },
+    log: (x, base) => (base === undefined ? Math.log(x) : Math.log(x) / Math.log(base)),
+    random: (min, max) => {
+        if (min === undefined) return Math.random();
+        if (max === undefined) return Math.random() * min;
+        return min + Math.random() * (max - min);
+    }
+};
+
 // Make available globally
 window.FunctionParser = FunctionParser;
@@ -0,0 +1,140 @@
+/**
+ * GriddedVectorField.js - Vector field backed by sampled data on a regular grid
+ * Values between grid nodes are interpolated bilinearly (2D) or trilinearly (3D);
+ * positions outside the grid, or in cells touching a missing (NaN) node, evaluate to null.
+ * Everything built on evaluateAt (modes, integrators, critical points) works unchanged.
+ */
+
+class GriddedVectorField extends VectorField {
+    /**
+     * Create a field from grid data
+     * @param {number} dimension - 2 or 3
+     * @param {Object} grid - {size, bounds, components}
+     *   size: Nodes per axis, [nx, ny] or [nx, ny, nz], at least 2 each
+     *   bounds: {min: {x, y, z?}, max: {x, y, z?}} positions of the first and last nodes
+     *   components: One array per vector component, node (i, j, k) at index i + nx * (j + ny * k)
+     * @throws {Error} - If the sizes, bounds and component arrays do not agree
+     */
+    constructor(dimension, grid) {
+        super(dimension, null, grid.bounds);
+
+        const axes = ['x', 'y', 'z'].slice(0, dimension);
+        const size = (grid.size || []).slice(0, dimension);
+        if (size.length !== dimension || !size.every(n => Number.isInteger(n) && n >= 2)) {
+            throw new Error(`Grid needs at least 2 nodes along each of ${axes.join(', ')}`);
+        }
+        axes.forEach(axis => {
+            if (!(grid.bounds.max[axis] > grid.bounds.min[axis])) {
+                throw new Error(`Grid bounds along ${axis} are empty`);
+            }
+        });
+
+        const count = size.reduce((product, n) => product * n, 1);
+        if (!grid.components || grid.components.length !== dimension) {
+            throw new Error(`Expected ${dimension} components, got ${grid.components ? grid.components.length : 0}`);
+        }
+        grid.components.forEach((component, c) => {
+            if (component.length !== count) {
+                throw new Error(`Component ${c} has ${component.length} values, expected ${count} (${size.join(' x ')})`);
+            }
+        });
+
+        this.size = size;
+        this.components = grid.components.map(component =>
+            component instanceof Float32Array ? component : Float32Array.from(component, Number)
+        );
+        this.spacing = axes.map((axis, d) => (grid.bounds.max[axis] - grid.bounds.min[axis]) / (size[d] - 1));
+        this.origin = axes.map(axis => grid.bounds.min[axis]);
+
+        // Query position, cell indices and fractions, reused between evaluations
+        this.queryPosition = new Float64Array(3);
+        this.cell = new Int32Array(3);
+        this.fraction = new Float64Array(3);
+
+        // The base class evaluates through func; interpolation takes its place
+        this.func = (position) => {
+            const vector = new Array(dimension);
+            return this.interpolate(position.x, position.y, position.z || 0, vector, 0) ? vector : null;
+        };
+        this.func.batch = (positions, out) => {
+            for (let i = 0; i < positions.length; i += dimension) {
+                const z = dimension === 3 ? positions[i + 2] : 0;
+                if (!this.interpolate(positions[i], positions[i + 1], z, out, i)) {
+                    for (let c = 0; c < dimension; c++) {
+                        out[i + c] = NaN;
+                    }
+                }
+            }
+            return out;
+        };
+    }
+
+    /**
+     * Interpolate the vector at a position
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z - Ignored in 2D
+     * @param {Array|Float32Array} out - Receives the components
+     * @param {number} offset - Index of the first component in out
+     * @returns {boolean} - False outside the grid or next to missing data
+     */
+    interpolate(x, y, z, out, offset) {
+        const n = this.dimension;
+        const coordinates = this.queryPosition;
+        coordinates[0] = x;
+        coordinates[1] = y;
+        coordinates[2] = z;
+        const cell = this.cell;
+        const fraction = this.fraction;
+
+        for (let d = 0; d < n; d++) {
+            const f = (coordinates[d] - this.origin[d]) / this.spacing[d];
+            const last = this.size[d] - 1;
+            if (!(f >= -GriddedVectorField.EDGE_TOLERANCE && f <= last + GriddedVectorField.EDGE_TOLERANCE)) {
+                return false;
+            }
+            const clamped = Math.max(0, Math.min(last, f));
+            cell[d] = Math.min(Math.floor(clamped), last - 1);
+            fraction[d] = clamped - cell[d];
+        }
+
+        const nx = this.size[0];
+        const ny = this.size[1];
+        const corners = n === 3 ? 8 : 4;
+
+        for (let c = 0; c < n; c++) {
+            const values = this.components[c];
+            let sum = 0;
+            for (let corner = 0; corner < corners; corner++) {
+                // Bit d of the corner selects the upper node along axis d
+                let index = 0;
+                let weight = 1;
+                for (let d = 0; d < n; d++) {
+                    const upper = (corner >> d) & 1;
+                    index += (cell[d] + upper) * (d === 0 ? 1 : d === 1 ? nx : nx * ny);
+                    weight *= upper ? fraction[d] : 1 - fraction[d];
+                }
+                const value = values[index];
+                if (Number.isNaN(value)) return false;
+                sum += weight * value;
+            }
+            out[offset + c] = sum;
+        }
+
+        return true;
+    }
+
+    /**
+     * Differences span half a grid cell, so derivatives see the data rather than
+     * the kinks of the interpolation
+     * @private
+     */
+    getDifferenceStep() {
+        return 0.5 * Math.min(...this.spacing);
+    }
+}
+
+// Positions this fraction of a cell outside the grid still count as on its edge
+GriddedVectorField.EDGE_TOLERANCE = 1e-6;
+
+window.GriddedVectorField = GriddedVectorField;
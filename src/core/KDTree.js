@@ -0,0 +1,211 @@
+/**
+ * KDTree.js - Spatial index for nearest neighbour queries over scattered points
+ * The tree is implicit: every index range is split at its middle entry, along the
+ * axis where its points spread most, so no node objects are allocated.
+ */
+
+class KDTree {
+    /**
+     * Build the index
+     * @param {Float64Array|Float32Array|Array} points - Packed coordinates, `dimension` per point
+     * @param {number} dimension - 2 or 3
+     */
+    constructor(points, dimension) {
+        this.points = points;
+        this.dimension = dimension;
+        this.count = Math.floor(points.length / dimension);
+
+        // Point order of the tree, and the split axis of the range whose middle is at each entry
+        this.indices = new Uint32Array(this.count);
+        for (let i = 0; i < this.count; i++) {
+            this.indices[i] = i;
+        }
+        this.axes = new Uint8Array(this.count);
+
+        this.build(0, this.count);
+
+        // Query state, reused between queries
+        this.query = new Float64Array(3);
+        this.found = 0;
+        this.limit = 0;
+        this.resultIndices = null;
+        this.resultDistances = null;
+    }
+
+    /**
+     * Split the points of a range at their median
+     * @private
+     */
+    build(lo, hi) {
+        if (hi - lo < 2) return;
+
+        const axis = this.getWidestAxis(lo, hi);
+        const mid = (lo + hi) >> 1;
+        this.select(lo, hi - 1, mid, axis);
+        this.axes[mid] = axis;
+
+        this.build(lo, mid);
+        this.build(mid + 1, hi);
+    }
+
+    /**
+     * Axis along which the points of a range spread most
+     * @private
+     */
+    getWidestAxis(lo, hi) {
+        const n = this.dimension;
+        let best = 0;
+        let bestSpread = -1;
+
+        for (let d = 0; d < n; d++) {
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = lo; i < hi; i++) {
+                const value = this.points[this.indices[i] * n + d];
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            if (max - min > bestSpread) {
+                bestSpread = max - min;
+                best = d;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Reorder indices[left..right] so entry k holds the point that sorts there along axis,
+     * with smaller points before it and larger ones after (quickselect)
+     * @private
+     */
+    select(left, right, k, axis) {
+        const n = this.dimension;
+        const indices = this.indices;
+        const value = (i) => this.points[indices[i] * n + axis];
+        const swap = (i, j) => {
+            const t = indices[i];
+            indices[i] = indices[j];
+            indices[j] = t;
+        };
+
+        while (right > left) {
+            // Median of three pivot
+            const middle = (left + right) >> 1;
+            const a = value(left);
+            const b = value(middle);
+            const c = value(right);
+            const pivot = Math.max(Math.min(a, b), Math.min(Math.max(a, b), c));
+
+            // Three-way partition, so runs of equal coordinates (e.g. columns of PIV data) settle at once
+            let less = left;
+            let greater = right;
+            let i = left;
+            while (i <= greater) {
+                const v = value(i);
+                if (v < pivot) {
+                    swap(i++, less++);
+                } else if (v > pivot) {
+                    swap(i, greater--);
+                } else {
+                    i++;
+                }
+            }
+
+            if (k < less) {
+                right = less - 1;
+            } else if (k > greater) {
+                left = greater + 1;
+            } else {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Find the k points nearest to a position
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z - Ignored in 2D
+     * @param {number} k - Number of neighbours wanted
+     * @param {Uint32Array} outIndices - Receives point indices, nearest first
+     * @param {Float64Array} outDistances - Receives squared distances
+     * @returns {number} - Number of neighbours found, min(k, count)
+     */
+    nearest(x, y, z, k, outIndices, outDistances) {
+        this.query[0] = x;
+        this.query[1] = y;
+        this.query[2] = z;
+        this.found = 0;
+        this.limit = Math.min(k, this.count);
+        this.resultIndices = outIndices;
+        this.resultDistances = outDistances;
+
+        if (this.limit > 0) {
+            this.search(0, this.count);
+        }
+        return this.found;
+    }
+
+    /**
+     * Visit a range, nearer half first, skipping halves beyond the current k-th distance
+     * @private
+     */
+    search(lo, hi) {
+        if (lo >= hi) return;
+
+        const n = this.dimension;
+        const mid = (lo + hi) >> 1;
+        const point = this.indices[mid];
+        const offset = point * n;
+
+        let distance = 0;
+        for (let d = 0; d < n; d++) {
+            const delta = this.query[d] - this.points[offset + d];
+            distance += delta * delta;
+        }
+        this.insert(point, distance);
+
+        if (hi - lo === 1) return;
+
+        const axis = this.axes[mid];
+        const delta = this.query[axis] - this.points[offset + axis];
+        if (delta < 0) {
+            this.search(lo, mid);
+            if (this.found < this.limit || delta * delta < this.resultDistances[this.found - 1]) {
+                this.search(mid + 1, hi);
+            }
+        } else {
+            this.search(mid + 1, hi);
+            if (this.found < this.limit || delta * delta < this.resultDistances[this.found - 1]) {
+                this.search(lo, mid);
+            }
+        }
+    }
+
+    /**
+     * Insert a candidate into the sorted result list, dropping the farthest when full
+     * @private
+     */
+    insert(point, distance) {
+        const indices = this.resultIndices;
+        const distances = this.resultDistances;
+
+        if (this.found === this.limit) {
+            if (distance >= distances[this.found - 1]) return;
+            this.found--;
+        }
+
+        let i = this.found;
+        while (i > 0 && distances[i - 1] > distance) {
+            indices[i] = indices[i - 1];
+            distances[i] = distances[i - 1];
+            i--;
+        }
+        indices[i] = point;
+        distances[i] = distance;
+        this.found++;
+    }
+}
+
+window.KDTree = KDTree;
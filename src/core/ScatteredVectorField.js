@@ -0,0 +1,384 @@
+/**
+ * ScatteredVectorField.js - Vector field interpolated from scattered samples, e.g. PIV or sensor data
+ * A k-d tree finds the samples around each position; the interpolation combines them:
+ *   idw      Inverse distance weighting (modified Shepard), fast and smooth
+ *   visible  Only samples not hidden behind nearer ones take part. This resembles natural-neighbour
+ *            interpolation but is not Sibson's: its weights, and so the Jacobian and critical points
+ *            derived from it, differ from a natural-neighbour interpolant's
+ *   rbf      Local radial basis functions (r^3 with a linear term), exact for linear fields
+ * Positions outside the bounding box of the samples evaluate to null.
+ */
+
+class ScatteredVectorField extends VectorField {
+    /**
+     * Create a field from samples
+     * @param {number} dimension - 2 or 3
+     * @param {Object} samples - {positions, vectors}, packed with `dimension` values per sample;
+     *   samples with invalid coordinates or vectors are dropped
+     * @param {Object} options - {interpolation, neighbors}
+     *   interpolation: 'idw', 'visible' or 'rbf' (default 'idw')
+     *   neighbors: Samples combined per evaluation (default 12)
+     * @throws {Error} - If there are too few valid samples, or they span no area or volume
+     */
+    constructor(dimension, samples, options = {}) {
+        const n = dimension;
+        const axes = ['x', 'y', 'z'].slice(0, n);
+        const total = Math.floor(samples.positions.length / n);
+        if (samples.vectors.length !== total * n) {
+            throw new Error(`Expected ${total * n} vector components for ${total} samples, got ${samples.vectors.length}`);
+        }
+
+        // Keep the valid samples
+        const positions = [];
+        const vectors = [];
+        for (let i = 0; i < total; i++) {
+            let valid = true;
+            for (let d = 0; d < n; d++) {
+                if (!Number.isFinite(samples.positions[i * n + d]) || !Number.isFinite(samples.vectors[i * n + d])) {
+                    valid = false;
+                }
+            }
+            if (!valid) continue;
+            for (let d = 0; d < n; d++) {
+                positions.push(samples.positions[i * n + d]);
+                vectors.push(samples.vectors[i * n + d]);
+            }
+        }
+
+        const count = positions.length / n;
+        if (count < n + 1) {
+            throw new Error(`Need at least ${n + 1} valid samples, got ${count}`);
+        }
+
+        const bounds = { min: {}, max: {} };
+        axes.forEach((axis, d) => {
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = d; i < positions.length; i += n) {
+                min = Math.min(min, positions[i]);
+                max = Math.max(max, positions[i]);
+            }
+            if (!(max > min)) {
+                throw new Error(`All samples have the same ${axis} coordinate`);
+            }
+            bounds.min[axis] = min;
+            bounds.max[axis] = max;
+        });
+
+        super(dimension, null, bounds);
+
+        this.count = count;
+        this.positions = Float64Array.from(positions);
+        this.vectors = Float32Array.from(vectors);
+        this.tree = new KDTree(this.positions, n);
+
+        // Typical distance between samples
+        const volume = axes.reduce((product, axis) => product * (bounds.max[axis] - bounds.min[axis]), 1);
+        this.sampleSpacing = Math.pow(volume / count, 1 / n);
+
+        this.setInterpolation(options.interpolation || 'idw');
+        this.neighbors = Math.max(n + 1, Math.min(ScatteredVectorField.MAX_NEIGHBORS - 1, options.neighbors || ScatteredVectorField.DEFAULT_NEIGHBORS));
+
+        // Query position, neighbour query results and RBF system, reused between evaluations
+        const size = ScatteredVectorField.MAX_NEIGHBORS + 4;
+        this.queryPosition = new Float64Array(3);
+        this.neighborIndices = new Uint32Array(ScatteredVectorField.MAX_NEIGHBORS);
+        this.neighborDistances = new Float64Array(ScatteredVectorField.MAX_NEIGHBORS);
+        this.weights = new Float64Array(ScatteredVectorField.MAX_NEIGHBORS);
+        this.system = new Float64Array(size * size);
+        this.rhs = new Float64Array(size * 3);
+
+        // The base class evaluates through func; interpolation takes its place
+        this.func = (position) => {
+            const vector = new Array(n);
+            return this.interpolate(position.x, position.y, position.z || 0, vector, 0) ? vector : null;
+        };
+        this.func.batch = (packed, out) => {
+            for (let i = 0; i < packed.length; i += n) {
+                const z = n === 3 ? packed[i + 2] : 0;
+                if (!this.interpolate(packed[i], packed[i + 1], z, out, i)) {
+                    for (let c = 0; c < n; c++) {
+                        out[i + c] = NaN;
+                    }
+                }
+            }
+            return out;
+        };
+    }
+
+    /**
+     * Choose how samples are combined
+     * @param {string} method - 'idw', 'visible' or 'rbf'
+     * @throws {Error} - For an unknown method
+     */
+    setInterpolation(method) {
+        if (!ScatteredVectorField.INTERPOLATIONS.includes(method)) {
+            throw new Error(`Unknown interpolation "${method}", expected ${ScatteredVectorField.INTERPOLATIONS.join(', ')}`);
+        }
+        this.interpolation = method;
+    }
+
+    /**
+     * Interpolate the vector at a position
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z - Ignored in 2D
+     * @param {Array|Float32Array} out - Receives the components
+     * @param {number} offset - Index of the first component in out
+     * @returns {boolean} - False outside the bounding box of the samples
+     */
+    interpolate(x, y, z, out, offset) {
+        const n = this.dimension;
+        const bounds = this.bounds;
+        const coordinates = this.queryPosition;
+        coordinates[0] = x;
+        coordinates[1] = y;
+        coordinates[2] = z;
+        for (let d = 0; d < n; d++) {
+            const axis = ScatteredVectorField.AXES[d];
+            const tolerance = ScatteredVectorField.EDGE_TOLERANCE * (bounds.max[axis] - bounds.min[axis]);
+            if (!(coordinates[d] >= bounds.min[axis] - tolerance && coordinates[d] <= bounds.max[axis] + tolerance)) {
+                return false;
+            }
+        }
+
+        // One extra neighbour for idw, which fades out the farthest; more candidates for visible
+        const wanted = this.interpolation === 'visible'
+            ? Math.min(2 * this.neighbors, ScatteredVectorField.MAX_NEIGHBORS)
+            : this.neighbors + 1;
+        const found = this.tree.nearest(x, y, z, wanted, this.neighborIndices, this.neighborDistances);
+
+        // On a sample, its own vector
+        const exact = ScatteredVectorField.EXACT_TOLERANCE * this.sampleSpacing;
+        if (this.neighborDistances[0] <= exact * exact) {
+            const sample = this.neighborIndices[0] * n;
+            for (let c = 0; c < n; c++) {
+                out[offset + c] = this.vectors[sample + c];
+            }
+            return true;
+        }
+
+        if (this.interpolation === 'rbf' && this.interpolateRBF(coordinates, Math.min(found, this.neighbors), out, offset)) {
+            return true;
+        }
+        if (this.interpolation === 'visible') {
+            this.getVisibleWeights(coordinates, found);
+        } else {
+            this.getShepardWeights(found);
+        }
+        this.combine(found, out, offset);
+        return true;
+    }
+
+    /**
+     * Modified Shepard weights ((R - d) / (R d))^2, with R the distance of the farthest
+     * neighbour, so samples fade out before they leave the neighbourhood
+     * @private
+     */
+    getShepardWeights(found) {
+        // Fewer samples than neighbours wanted, or all of them as far as the farthest (e.g. at
+        // the centre of a grid cell): the Shepard weights would be zero, so use inverse distances
+        if (found <= this.neighbors || this.neighborDistances[0] === this.neighborDistances[found - 1]) {
+            for (let i = 0; i < found; i++) {
+                this.weights[i] = 1 / this.neighborDistances[i];
+            }
+            return;
+        }
+
+        const radius = Math.sqrt(this.neighborDistances[found - 1]);
+        for (let i = 0; i < found; i++) {
+            const distance = Math.sqrt(this.neighborDistances[i]);
+            const w = (radius - distance) / (radius * distance);
+            this.weights[i] = w * w;
+        }
+    }
+
+    /**
+     * Inverse square distance weights of the samples around a position that are not hidden
+     * behind nearer ones: a sample beyond the plane through a nearer sample, facing the
+     * position, is left out, and the weight fades towards that plane. The samples kept
+     * approximate the natural neighbours (the Voronoi neighbours of the position) without
+     * a triangulation; the weights are not Sibson's area or volume fractions.
+     * @private
+     */
+    getVisibleWeights(position, found) {
+        const n = this.dimension;
+        for (let j = 0; j < found; j++) {
+            const pj = this.neighborIndices[j] * n;
+            let visibility = 1;
+
+            for (let i = 0; i < j && visibility > 0; i++) {
+                if (this.weights[i] === 0) continue;
+                const pi = this.neighborIndices[i] * n;
+                let dot = 0;
+                for (let d = 0; d < n; d++) {
+                    dot += (this.positions[pj + d] - position[d]) * (this.positions[pi + d] - position[d]);
+                }
+                visibility *= Math.max(0, 1 - dot / this.neighborDistances[i]);
+            }
+
+            this.weights[j] = visibility / this.neighborDistances[j];
+        }
+    }
+
+    /**
+     * Weighted average of the neighbour vectors
+     * @private
+     */
+    combine(found, out, offset) {
+        const n = this.dimension;
+        let total = 0;
+        for (let c = 0; c < n; c++) {
+            out[offset + c] = 0;
+        }
+        for (let i = 0; i < found; i++) {
+            const w = this.weights[i];
+            if (w === 0) continue;
+            const sample = this.neighborIndices[i] * n;
+            for (let c = 0; c < n; c++) {
+                out[offset + c] += w * this.vectors[sample + c];
+            }
+            total += w;
+        }
+        for (let c = 0; c < n; c++) {
+            out[offset + c] /= total;
+        }
+    }
+
+    /**
+     * Fit r^3 radial basis functions plus a linear term to the nearest samples and evaluate
+     * the fit at the position. Coordinates are taken relative to the position and scaled
+     * by the neighbourhood radius, which keeps the system well conditioned.
+     * @private
+     * @returns {boolean} - False if the system is singular, e.g. for collinear samples
+     */
+    interpolateRBF(position, count, out, offset) {
+        const n = this.dimension;
+        const size = count + 1 + n;
+        const A = this.system;
+        const b = this.rhs;
+        const radius = Math.sqrt(this.neighborDistances[count - 1]);
+        const local = (i, d) => (this.positions[this.neighborIndices[i] * n + d] - position[d]) / radius;
+
+        A.fill(0, 0, size * size);
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < i; j++) {
+                let r2 = 0;
+                for (let d = 0; d < n; d++) {
+                    const delta = local(i, d) - local(j, d);
+                    r2 += delta * delta;
+                }
+                const phi = r2 * Math.sqrt(r2);
+                A[i * size + j] = phi;
+                A[j * size + i] = phi;
+            }
+            // Linear term: constant and coordinates
+            A[i * size + count] = 1;
+            A[count * size + i] = 1;
+            for (let d = 0; d < n; d++) {
+                A[i * size + count + 1 + d] = local(i, d);
+                A[(count + 1 + d) * size + i] = local(i, d);
+            }
+            for (let c = 0; c < n; c++) {
+                b[i * n + c] = this.vectors[this.neighborIndices[i] * n + c];
+            }
+        }
+        b.fill(0, count * n, size * n);
+
+        if (!ScatteredVectorField.solve(A, b, size, n)) return false;
+
+        // At the position itself the local coordinates are zero
+        for (let c = 0; c < n; c++) {
+            let value = b[count * n + c];
+            for (let i = 0; i < count; i++) {
+                const r = Math.sqrt(this.neighborDistances[i]) / radius;
+                value += b[i * n + c] * r * r * r;
+            }
+            out[offset + c] = value;
+        }
+        return Number.isFinite(out[offset]);
+    }
+
+    /**
+     * Differences span half the sample spacing, so derivatives see the data rather than
+     * the kinks of the interpolation
+     * @private
+     */
+    getDifferenceStep() {
+        return 0.5 * this.sampleSpacing;
+    }
+
+    /**
+     * Solve A x = b in place by Gaussian elimination with partial pivoting
+     * @param {Float64Array} A - size x size matrix, row major; overwritten
+     * @param {Float64Array} b - size x columns right-hand sides, row major; receives x
+     * @param {number} size
+     * @param {number} columns
+     * @returns {boolean} - False if A is singular
+     */
+    static solve(A, b, size, columns) {
+        for (let k = 0; k < size; k++) {
+            let pivot = k;
+            for (let i = k + 1; i < size; i++) {
+                if (Math.abs(A[i * size + k]) > Math.abs(A[pivot * size + k])) pivot = i;
+            }
+            if (Math.abs(A[pivot * size + k]) < ScatteredVectorField.SINGULAR_TOLERANCE) return false;
+
+            if (pivot !== k) {
+                for (let j = 0; j < size; j++) {
+                    const t = A[k * size + j];
+                    A[k * size + j] = A[pivot * size + j];
+                    A[pivot * size + j] = t;
+                }
+                for (let c = 0; c < columns; c++) {
+                    const t = b[k * columns + c];
+                    b[k * columns + c] = b[pivot * columns + c];
+                    b[pivot * columns + c] = t;
+                }
+            }
+
+            for (let i = k + 1; i < size; i++) {
+                const factor = A[i * size + k] / A[k * size + k];
+                if (factor === 0) continue;
+                for (let j = k; j < size; j++) {
+                    A[i * size + j] -= factor * A[k * size + j];
+                }
+                for (let c = 0; c < columns; c++) {
+                    b[i * columns + c] -= factor * b[k * columns + c];
+                }
+            }
+        }
+
+        for (let k = size - 1; k >= 0; k--) {
+            for (let c = 0; c < columns; c++) {
+                let sum = b[k * columns + c];
+                for (let j = k + 1; j < size; j++) {
+                    sum -= A[k * size + j] * b[j * columns + c];
+                }
+                b[k * columns + c] = sum / A[k * size + k];
+            }
+        }
+        return true;
+    }
+}
+
+// Interpolation methods, see the file comment
+ScatteredVectorField.INTERPOLATIONS = ['idw', 'visible', 'rbf'];
+
+// Samples combined per evaluation by default, and the most a query may return
+ScatteredVectorField.DEFAULT_NEIGHBORS = 12;
+ScatteredVectorField.MAX_NEIGHBORS = 64;
+
+// Positions closer to a sample than this fraction of the sample spacing take its vector
+ScatteredVectorField.EXACT_TOLERANCE = 1e-9;
+
+// Positions this fraction of the bounding box outside it still count as inside
+ScatteredVectorField.EDGE_TOLERANCE = 1e-6;
+
+// Pivots below this make the RBF system singular, falling back to idw
+ScatteredVectorField.SINGULAR_TOLERANCE = 1e-12;
+
+// Axis names by index
+ScatteredVectorField.AXES = ['x', 'y', 'z'];
+
+window.ScatteredVectorField = ScatteredVectorField;
@@ -0,0 +1,174 @@
+/**
+ * SlicePlane.js - A plane through a 3D field, used to show the field on a cross-section
+ * The plane is the set of points p with dot(normal, p) = offset
+ */
+
+class SlicePlane {
+    /**
+     * Create a slice plane
+     * @param {Object} options - Plane options
+     *   normal: {x, y, z} plane normal, normalized on construction (default +z)
+     *   offset: Signed distance of the plane from the origin along the normal (default 0)
+     *   style: 'arrows' or 'heatmap' (default 'arrows')
+     */
+    constructor(options = {}) {
+        const normal = options.normal || { x: 0, y: 0, z: 1 };
+        this.normal = new THREE.Vector3(normal.x, normal.y, normal.z);
+        if (this.normal.lengthSq() === 0) {
+            throw new Error('Slice normal must be non-zero');
+        }
+        this.normal.normalize();
+
+        this.offset = options.offset || 0;
+        this.style = options.style || 'arrows';
+        this.id = SlicePlane.nextId++;
+    }
+
+    /**
+     * Create a plane perpendicular to a coordinate axis
+     * @param {string} axis - 'x', 'y' or 'z'
+     * @param {number} offset - Coordinate of the plane along the axis
+     * @param {string} style - 'arrows' or 'heatmap'
+     * @returns {SlicePlane}
+     */
+    static fromAxis(axis, offset = 0, style = 'arrows') {
+        const normal = { x: 0, y: 0, z: 0 };
+        normal[axis] = 1;
+        return new SlicePlane({ normal, offset, style });
+    }
+
+    /**
+     * Short description for UI lists, e.g. "z = 1.50" or "n = (0.71, 0.71, 0.00)"
+     * @returns {string}
+     */
+    getLabel() {
+        const axis = this.getAxis();
+        if (axis) {
+            return `${axis} = ${this.offset.toFixed(2)}`;
+        }
+        const n = this.normal;
+        return `n = (${n.x.toFixed(2)}, ${n.y.toFixed(2)}, ${n.z.toFixed(2)})`;
+    }
+
+    /**
+     * The coordinate axis the normal points along, or null for other planes
+     * @returns {string|null}
+     */
+    getAxis() {
+        const n = this.normal;
+        if (n.x === 1) return 'x';
+        if (n.y === 1) return 'y';
+        if (n.z === 1) return 'z';
+        return null;
+    }
+
+    /**
+     * Move the plane along its normal
+     * @param {number} offset - Signed distance from the origin
+     */
+    setOffset(offset) {
+        this.offset = offset;
+    }
+
+    /**
+     * Offsets at which the plane still cuts the bounding box
+     * @param {Object} bounds - {min, max} of the field domain
+     * @returns {Object} - {min, max}
+     */
+    getOffsetRange(bounds) {
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (const x of [bounds.min.x, bounds.max.x]) {
+            for (const y of [bounds.min.y, bounds.max.y]) {
+                for (const z of [bounds.min.z, bounds.max.z]) {
+                    const d = this.normal.x * x + this.normal.y * y + this.normal.z * z;
+                    min = Math.min(min, d);
+                    max = Math.max(max, d);
+                }
+            }
+        }
+
+        return { min, max };
+    }
+
+    /**
+     * Orthonormal in-plane axes u and v, with u x v = normal
+     * Axis-aligned planes get coordinate axes, so their grids line up with the domain
+     * @returns {Object} - {u, v} as THREE.Vector3
+     */
+    getBasis() {
+        // Project the coordinate axis most perpendicular to the normal into the plane
+        const n = this.normal;
+        const components = [Math.abs(n.x), Math.abs(n.y), Math.abs(n.z)];
+        const axis = components.indexOf(Math.min(...components));
+        const helper = new THREE.Vector3().setComponent(axis, 1);
+
+        const u = helper.addScaledVector(n, -n.dot(helper)).normalize();
+        const v = new THREE.Vector3().crossVectors(n, u);
+        return { u, v };
+    }
+
+    /**
+     * Sample a regular grid on the plane, covering its intersection with the bounds
+     * @param {Object} bounds - {min, max} of the field domain
+     * @param {number} resolution - Grid points per side
+     * @returns {Object} - {positions, inside, resolution, center, u, v, extent, spacing}
+     *   positions: Float32Array with x, y, z per grid point (row-major, u varies fastest)
+     *   inside: Uint8Array, 1 where the grid point lies inside the bounds
+     *   center: Grid center on the plane; u, v: in-plane axes; extent: half side length
+     */
+    sample(bounds, resolution) {
+        const { u, v } = this.getBasis();
+        const boxCenter = new THREE.Vector3(
+            (bounds.min.x + bounds.max.x) / 2,
+            (bounds.min.y + bounds.max.y) / 2,
+            (bounds.min.z + bounds.max.z) / 2
+        );
+
+        // Project the box center onto the plane
+        const distance = this.normal.dot(boxCenter) - this.offset;
+        const center = boxCenter.clone().addScaledVector(this.normal, -distance);
+
+        // Half extent of the box projected onto the in-plane axes
+        const halfSize = new THREE.Vector3(
+            (bounds.max.x - bounds.min.x) / 2,
+            (bounds.max.y - bounds.min.y) / 2,
+            (bounds.max.z - bounds.min.z) / 2
+        );
+        const projectedHalfWidth = (w) =>
+            Math.abs(w.x) * halfSize.x + Math.abs(w.y) * halfSize.y + Math.abs(w.z) * halfSize.z;
+        const extent = Math.max(projectedHalfWidth(u), projectedHalfWidth(v));
+
+        const count = resolution * resolution;
+        const positions = new Float32Array(count * 3);
+        const inside = new Uint8Array(count);
+        const spacing = (2 * extent) / (resolution - 1);
+        const tolerance = spacing * 1e-6;
+        const point = new THREE.Vector3();
+
+        for (let j = 0; j < resolution; j++) {
+            for (let i = 0; i < resolution; i++) {
+                const k = j * resolution + i;
+                point.copy(center)
+                    .addScaledVector(u, -extent + i * spacing)
+                    .addScaledVector(v, -extent + j * spacing);
+
+                positions[k * 3] = point.x;
+                positions[k * 3 + 1] = point.y;
+                positions[k * 3 + 2] = point.z;
+
+                inside[k] = ['x', 'y', 'z'].every(a =>
+                    point[a] >= bounds.min[a] - tolerance && point[a] <= bounds.max[a] + tolerance
+                ) ? 1 : 0;
+            }
+        }
+
+        return { positions, inside, resolution, center, u, v, extent, spacing };
+    }
+}
+
+// Source of unique slice ids
+SlicePlane.nextId = 1;
+
+window.SlicePlane = SlicePlane;
@@ -0,0 +1,197 @@
+/**
+ * StreamlinePlacer.js - Evenly-spaced streamline placement (Jobard & Lefer, 1997)
+ * Grows streamlines from seeds offset a separation distance from existing ones,
+ * stopping each streamline when it comes closer than a test distance to another
+ */
+
+class StreamlinePlacer {
+    /**
+     * Create a placer
+     * @param {Object} options - Placement options
+     *   separation: Distance between neighbouring streamlines (dsep) in world units
+     *   testRatio: Streamlines stop at testRatio * separation from others (default 0.5)
+     *   maxStreamlines: Safety limit on the number of streamlines (default 1500)
+     *   minLength: Shorter streamlines are discarded, in multiples of separation (default 1)
+     *   integration: Extra options for VectorField.integrate
+     */
+    constructor(options = {}) {
+        this.separation = options.separation || 1;
+        this.testRatio = options.testRatio || 0.5;
+        this.maxStreamlines = options.maxStreamlines || 1500;
+        this.minLength = options.minLength !== undefined ? options.minLength : 1;
+        this.integration = options.integration || {};
+    }
+
+    /**
+     * Place evenly-spaced streamlines over the field domain
+     * @param {VectorField} vectorField - Field to trace
+     * @param {Array} seeds - Optional initial seeds {x, y, z?}, traced first
+     * @returns {Array} - Results of VectorField.integrate, one per streamline
+     */
+    place(vectorField, seeds = []) {
+        const dimension = vectorField.dimension;
+        const bounds = vectorField.getBounds();
+        const axes = ['x', 'y', 'z'].slice(0, dimension);
+        const dsep = this.separation;
+        const dtest = dsep * this.testRatio;
+
+        // Spatial hash of streamline sample points with cell size dsep
+        const grid = new Map();
+        const cellKey = (p) => axes.map(a => Math.floor((p[a] - bounds.min[a]) / dsep)).join(',');
+        const distanceToNearest = (p, radius) => {
+            const base = axes.map(a => Math.floor((p[a] - bounds.min[a]) / dsep));
+            let nearest = Infinity;
+            const visit = (offsets) => {
+                const bucket = grid.get(base.map((b, i) => b + offsets[i]).join(','));
+                if (!bucket) return;
+                for (const q of bucket) {
+                    let d2 = 0;
+                    for (const a of axes) d2 += (p[a] - q[a]) ** 2;
+                    nearest = Math.min(nearest, Math.sqrt(d2));
+                }
+            };
+            const range = Math.ceil(radius / dsep);
+            for (let i = -range; i <= range; i++) {
+                for (let j = -range; j <= range; j++) {
+                    if (dimension === 3) {
+                        for (let k = -range; k <= range; k++) visit([i, j, k]);
+                    } else {
+                        visit([i, j]);
+                    }
+                }
+            }
+            return nearest;
+        };
+
+        const inside = (p) => axes.every(a => p[a] >= bounds.min[a] && p[a] <= bounds.max[a]);
+
+        const streamlines = [];
+        const queue = [];
+        const gapScan = { cursor: 0 };
+
+        // Integrate with a step small enough to test distances reliably
+        const integration = {
+            direction: 'both',
+            maxStep: dtest * 0.5,
+            ...this.integration
+        };
+
+        const trace = (seed) => {
+            if (!inside(seed) || distanceToNearest(seed, dsep) < dsep) return null;
+
+            const result = vectorField.integrate(seed, {
+                ...integration,
+                stopCondition: (p) => distanceToNearest(p, dtest) < dtest
+            });
+
+            const arcs = result.arcLengths;
+            if (result.path.length < 2 || arcs[arcs.length - 1] - arcs[0] < this.minLength * dsep) {
+                return null;
+            }
+
+            result.path.forEach(p => {
+                const key = cellKey(p);
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(p);
+            });
+            streamlines.push(result);
+            queue.push(result);
+            return result;
+        };
+
+        const center = {};
+        axes.forEach(a => {
+            center[a] = (bounds.min[a] + bounds.max[a]) / 2;
+        });
+        const initial = seeds.length > 0 ? seeds : [center];
+        initial.forEach(seed => trace(seed));
+
+        while (streamlines.length < this.maxStreamlines) {
+            // Grow from the queue; refill it from empty regions when exhausted
+            if (queue.length === 0 && !this.fillGap(gapScan, bounds, axes, dsep, distanceToNearest, trace)) {
+                break;
+            }
+
+            const streamline = queue.shift();
+            if (!streamline) continue;
+
+            for (const candidate of this.candidateSeeds(streamline, dsep, dimension)) {
+                if (streamlines.length >= this.maxStreamlines) break;
+                trace(candidate);
+            }
+        }
+
+        return streamlines;
+    }
+
+    /**
+     * Seeds offset by dsep perpendicular to a streamline, spaced dsep apart along it
+     * @private
+     */
+    candidateSeeds(streamline, dsep, dimension) {
+        const { path, arcLengths } = streamline;
+        const candidates = [];
+        let nextArc = arcLengths[0];
+
+        for (let i = 0; i < path.length - 1; i++) {
+            if (arcLengths[i] < nextArc) continue;
+            nextArc = arcLengths[i] + dsep;
+
+            const a = path[i];
+            const b = path[i + 1];
+            const tangent = new THREE.Vector3(b.x - a.x, b.y - a.y, (b.z || 0) - (a.z || 0)).normalize();
+
+            const normals = [];
+            if (dimension === 2) {
+                normals.push(new THREE.Vector3(-tangent.y, tangent.x, 0));
+            } else {
+                const helper = Math.abs(tangent.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+                const n1 = new THREE.Vector3().crossVectors(tangent, helper).normalize();
+                normals.push(n1, new THREE.Vector3().crossVectors(tangent, n1).normalize());
+            }
+
+            for (const normal of normals) {
+                for (const side of [1, -1]) {
+                    const seed = { ...a };
+                    seed.x = a.x + side * dsep * normal.x;
+                    seed.y = a.y + side * dsep * normal.y;
+                    if (dimension === 3) seed.z = a.z + side * dsep * normal.z;
+                    candidates.push(seed);
+                }
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Try to start a streamline in a region no streamline has reached
+     * Scans a dsep lattice, resuming where the last scan stopped
+     * @private
+     * @param {Object} scan - {cursor} lattice position shared between calls
+     * @returns {boolean} - True if a new streamline was started
+     */
+    fillGap(scan, bounds, axes, dsep, distanceToNearest, trace) {
+        const counts = axes.map(a => Math.max(1, Math.floor((bounds.max[a] - bounds.min[a]) / dsep)));
+        const total = counts.reduce((p, c) => p * c, 1);
+
+        for (; scan.cursor < total; scan.cursor++) {
+            let rest = scan.cursor;
+            const seed = {};
+            axes.forEach((a, i) => {
+                const k = rest % counts[i];
+                rest = Math.floor(rest / counts[i]);
+                seed[a] = bounds.min[a] + (k + 0.5) * dsep;
+            });
+
+            if (distanceToNearest(seed, dsep) >= dsep && trace(seed)) {
+                scan.cursor++;
+                return true;
+            }
+        }
+
+        return false;
+    }
+}
+
+window.StreamlinePlacer = StreamlinePlacer;
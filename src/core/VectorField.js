@@ -15,6 +15,9 @@ class VectorField {
         this.func = func;
         this.bounds = bounds || this.getDefaultBounds();
         this.params = {}; // Store custom parameters (a, b, c, etc.)
+        this.time = 0; // Simulation time, exposed to the function as `t`
+        this.timeDependent = false; // True when the function references `t`
+        this.jacobianFunc = null; // Optional symbolic Jacobian from FunctionParser
     }
 
     /**
@@ -25,7 +28,7 @@ class VectorField {
      */
     evaluateAt(position, params = {}) {
         try {
-            const mergedParams = { ...this.params, ...params };
+            const mergedParams = { t: this.time, ...this.params, ...params };
             const result = this.func(position, mergedParams);
 
             // Validate result
@@ -57,6 +60,38 @@ class VectorField {
         return positions.map(pos => this.evaluateAt(pos, params));
     }
 
+    /**
+     * Evaluate the field at packed positions in one call
+     * Uses the function's batch evaluator when it has one (see FunctionParser)
+     * @param {Float32Array} positions - Packed coordinates, `dimension` values per point
+     * @param {Float32Array} out - Optional output array of the same length
+     * @param {Object} params - Optional parameters
+     * @returns {Float32Array} - Packed vectors, NaN components where the field is invalid
+     */
+    evaluateBatch(positions, out = null, params = {}) {
+        const n = this.dimension;
+        const result = out || new Float32Array(positions.length);
+        const mergedParams = { t: this.time, ...this.params, ...params };
+
+        if (this.func && typeof this.func.batch === 'function') {
+            this.func.batch(positions, result, mergedParams);
+            return result;
+        }
+
+        const axes = ['x', 'y', 'z'].slice(0, n);
+        const position = {};
+        for (let i = 0; i < positions.length; i += n) {
+            axes.forEach((a, k) => {
+                position[a] = positions[i + k];
+            });
+            const vector = this.evaluateAt(position, params);
+            for (let k = 0; k < n; k++) {
+                result[i + k] = vector ? vector[k] : NaN;
+            }
+        }
+        return result;
+    }
+
     /**
      * Get the magnitude of the field at a position
      * @param {Object} position - {x, y, z?}
@@ -69,6 +104,167 @@ class VectorField {
         return Math.sqrt(result.reduce((sum, comp) => sum + comp * comp, 0));
     }
 
+    /**
+     * Set a symbolic Jacobian used instead of finite differences
+     * @param {Function|null} jacobian - f(position, params) => J[i][j] = dF_i/dx_j
+     */
+    setJacobian(jacobian) {
+        this.jacobianFunc = jacobian;
+    }
+
+    /**
+     * Get the Jacobian matrix of the field at a position
+     * Uses the symbolic Jacobian when available, central differences otherwise
+     * @param {Object} position - {x, y, z?}
+     * @param {Object} params - Optional parameters
+     * @returns {Array|null} - J[i][j] = dF_i/dx_j, or null if undefined there
+     */
+    getJacobian(position, params = {}) {
+        const n = this.dimension;
+
+        if (this.jacobianFunc) {
+            const mergedParams = { t: this.time, ...this.params, ...params };
+            const jacobian = this.jacobianFunc(position, mergedParams);
+
+            if (!Array.isArray(jacobian) || jacobian.length < n) return null;
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    if (!Number.isFinite(jacobian[i][j])) return null;
+                }
+            }
+            return jacobian.slice(0, n).map(row => row.slice(0, n));
+        }
+
+        const axes = ['x', 'y', 'z'].slice(0, n);
+        const h = this.getDifferenceStep();
+        const jacobian = axes.map(() => new Array(n).fill(0));
+
+        for (let j = 0; j < n; j++) {
+            const forward = { ...position, [axes[j]]: position[axes[j]] + h };
+            const backward = { ...position, [axes[j]]: position[axes[j]] - h };
+            const vf = this.evaluateAt(forward, params);
+            const vb = this.evaluateAt(backward, params);
+            if (!vf || !vb) return null;
+
+            for (let i = 0; i < n; i++) {
+                jacobian[i][j] = (vf[i] - vb[i]) / (2 * h);
+            }
+        }
+
+        return jacobian;
+    }
+
+    /**
+     * Get the divergence of the field at a position
+     * @param {Object} position - {x, y, z?}
+     * @param {Object} params - Optional parameters
+     * @returns {number|null}
+     */
+    getDivergence(position, params = {}) {
+        const jacobian = this.getJacobian(position, params);
+        if (!jacobian) return null;
+
+        let divergence = 0;
+        for (let i = 0; i < this.dimension; i++) {
+            divergence += jacobian[i][i];
+        }
+        return divergence;
+    }
+
+    /**
+     * Get the curl of the field at a position
+     * @param {Object} position - {x, y, z?}
+     * @param {Object} params - Optional parameters
+     * @returns {number|Array|null} - Scalar curl in 2D, curl vector [cx, cy, cz] in 3D
+     */
+    getCurl(position, params = {}) {
+        const J = this.getJacobian(position, params);
+        if (!J) return null;
+
+        if (this.dimension === 2) {
+            return J[1][0] - J[0][1];
+        }
+
+        return [
+            J[2][1] - J[1][2],
+            J[0][2] - J[2][0],
+            J[1][0] - J[0][1]
+        ];
+    }
+
+    /**
+     * Evaluate a derived scalar quantity at a position
+     * @param {string} quantity - 'magnitude', 'x', 'y', 'z', 'angle', 'divergence' or 'curl'
+     *   (the curl magnitude is used for 3D fields)
+     * @param {Object} position - {x, y, z?}
+     * @param {Object} params - Optional parameters
+     * @returns {number|null}
+     */
+    evaluateScalar(quantity, position, params = {}) {
+        switch (quantity) {
+            case 'divergence':
+                return this.getDivergence(position, params);
+            case 'curl': {
+                const curl = this.getCurl(position, params);
+                if (curl === null || !Array.isArray(curl)) return curl;
+                return Math.sqrt(curl.reduce((sum, c) => sum + c * c, 0));
+            }
+            default: {
+                const vector = this.evaluateAt(position, params);
+                if (!vector) return null;
+                return VectorField.vectorScalar(quantity, vector, 0, this.dimension);
+            }
+        }
+    }
+
+    /**
+     * Scalar quantity computed from a vector alone, without derivatives
+     * @param {string} quantity - 'magnitude', 'x', 'y', 'z' or 'angle' (of the xy projection, in radians)
+     * @param {Array|Float32Array} vectors - Vector components, possibly packed
+     * @param {number} offset - Index of the vector's first component
+     * @param {number} dimension - Components per vector
+     * @returns {number}
+     */
+    static vectorScalar(quantity, vectors, offset = 0, dimension = vectors.length) {
+        switch (quantity) {
+            case 'x':
+                return vectors[offset];
+            case 'y':
+                return vectors[offset + 1];
+            case 'z':
+                return dimension === 3 ? vectors[offset + 2] : 0;
+            case 'angle':
+                return Math.atan2(vectors[offset + 1], vectors[offset]);
+            case 'magnitude':
+            default: {
+                let sum = 0;
+                for (let c = 0; c < dimension; c++) {
+                    sum += vectors[offset + c] * vectors[offset + c];
+                }
+                return Math.sqrt(sum);
+            }
+        }
+    }
+
+    /**
+     * Whether a scalar quantity needs field derivatives rather than the vector alone
+     * @param {string} quantity
+     * @returns {boolean}
+     */
+    static isDerivativeScalar(quantity) {
+        return quantity === 'divergence' || quantity === 'curl';
+    }
+
+    /**
+     * Step size for finite differences, relative to the domain size
+     * @private
+     */
+    getDifferenceStep() {
+        const bounds = this.getBounds();
+        const span = Math.max(bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y);
+        return span * 1e-5;
+    }
+
     /**
      * Get the bounds of the field domain
      * @returns {Object} - {min: {x, y, z?}, max: {x, y, z?}}
@@ -85,6 +281,30 @@ class VectorField {
         this.params = { ...params };
     }
 
+    /**
+     * Set the simulation time used for evaluation
+     * @param {number} time - Value bound to `t`
+     */
+    setTime(time) {
+        this.time = time;
+    }
+
+    /**
+     * Get the current simulation time
+     * @returns {number}
+     */
+    getTime() {
+        return this.time;
+    }
+
+    /**
+     * Mark whether the field depends on the simulation time
+     * @param {boolean} timeDependent
+     */
+    setTimeDependent(timeDependent) {
+        this.timeDependent = timeDependent;
+    }
+
     /**
      * Get default bounds based on dimension
      * @returns {Object}
@@ -107,7 +327,8 @@ class VectorField {
      * Sample the field on a grid
      * @param {number} resolution - Number of samples per dimension
      * @param {Object} params - Optional parameters
-     * @returns {Array} - Array of {position, vector} objects
+     * @returns {Array} - Array of {position, vector, index} objects; index is the grid node {i, j, k?}.
+     *   Positions where the field is invalid are left out.
      */
     sampleGrid(resolution = 20, params = {}) {
         const bounds = this.getBounds();
@@ -124,7 +345,7 @@ class VectorField {
                 if (this.dimension === 2) {
                     const vector = this.evaluateAt({ x, y }, params);
                     if (vector) {
-                        samples.push({ position: { x, y }, vector });
+                        samples.push({ position: { x, y }, vector, index: { i, j } });
                     }
                 } else {
                     const zStep = (bounds.max.z - bounds.min.z) / (resolution - 1);
@@ -132,7 +353,7 @@ class VectorField {
                         const z = bounds.min.z + k * zStep;
                         const vector = this.evaluateAt({ x, y, z }, params);
                         if (vector) {
-                            samples.push({ position: { x, y, z }, vector });
+                            samples.push({ position: { x, y, z }, vector, index: { i, j, k } });
                         }
                     }
                 }
@@ -180,15 +401,315 @@ class VectorField {
         return path;
     }
 
+    /**
+     * Trace a streamline with the adaptive Dormand-Prince RK45 method
+     * The normalized field is integrated, so the curve parameter is arc length.
+     * @param {Object} startPos - Seed position {x, y, z?}
+     * @param {Object} options - Integration options
+     *   direction: 'forward', 'backward' or 'both' (default 'forward')
+     *   tolerance: Local error tolerance relative to the domain size (default 1e-5)
+     *   initialStep, minStep, maxStep: Step sizes in world units (default relative to the domain)
+     *   maxSteps: Accepted steps per direction (default 2000)
+     *   maxArcLength: Length limit per direction (default 4x the domain size)
+     *   stagnationSpeed: Absolute speed below which tracing stops; by default
+     *     tracing stops when the speed drops below 1e-3 of the peak speed seen
+     *   detectLoops: Stop when the curve returns to its seed (default true)
+     *   stopCondition: Optional f(position, arcLength) returning true to stop
+     *     before that position is added (e.g. too close to another streamline)
+     *   params: Parameters passed to evaluateAt
+     * @returns {Object} - {path, speeds, arcLengths, seedIndex, termination}
+     *   path: Positions ordered along the flow (backward part first)
+     *   speeds: Field magnitude at each position
+     *   arcLengths: Signed arc length from the seed at each position
+     *   seedIndex: Index of the seed in path
+     *   termination: {forward, backward} reasons from VectorField.TERMINATION (null if not traced)
+     */
+    integrate(startPos, options = {}) {
+        const direction = options.direction || 'forward';
+        const termination = { forward: null, backward: null };
+
+        let forward = null;
+        let backward = null;
+
+        if (direction === 'forward' || direction === 'both') {
+            forward = this.traceDirection(startPos, 1, options);
+            termination.forward = forward.reason;
+        }
+
+        // A closed orbit is complete after one direction
+        const closed = forward && forward.reason === VectorField.TERMINATION.CLOSED_LOOP;
+        if (direction === 'backward' || (direction === 'both' && !closed)) {
+            backward = this.traceDirection(startPos, -1, options);
+            termination.backward = backward.reason;
+        }
+
+        const path = [];
+        const speeds = [];
+        const arcLengths = [];
+
+        if (backward) {
+            for (let i = backward.path.length - 1; i >= 1; i--) {
+                path.push(backward.path[i]);
+                speeds.push(backward.speeds[i]);
+                arcLengths.push(-backward.arcLengths[i]);
+            }
+        }
+
+        const seedIndex = path.length;
+        const first = forward || backward;
+        path.push(first.path[0]);
+        speeds.push(first.speeds[0]);
+        arcLengths.push(0);
+
+        if (forward) {
+            for (let i = 1; i < forward.path.length; i++) {
+                path.push(forward.path[i]);
+                speeds.push(forward.speeds[i]);
+                arcLengths.push(forward.arcLengths[i]);
+            }
+        }
+
+        return { path, speeds, arcLengths, seedIndex, termination };
+    }
+
+    /**
+     * Trace a streamline in one direction
+     * @private
+     * @param {Object} startPos - Seed position
+     * @param {number} sign - +1 forward, -1 backward
+     * @param {Object} options - See integrate()
+     * @returns {Object} - {path, speeds, arcLengths, reason}
+     */
+    traceDirection(startPos, sign, options) {
+        const T = VectorField.TERMINATION;
+        const DP = VectorField.DORMAND_PRINCE;
+        const n = this.dimension;
+        const axes = ['x', 'y', 'z'].slice(0, n);
+        const bounds = this.getBounds();
+        const params = options.params || {};
+
+        const span = Math.max(...axes.map(a => bounds.max[a] - bounds.min[a]));
+        const tolerance = (options.tolerance || 1e-5) * span;
+        const minStep = options.minStep || span * 1e-6;
+        const maxStep = options.maxStep || span * 0.02;
+        const maxSteps = options.maxSteps || 2000;
+        const maxArcLength = options.maxArcLength || span * 4;
+        const detectLoops = options.detectLoops !== false;
+        const loopTolerance = maxStep * 0.5;
+        const stagnationRatio = 1e-3;
+
+        const toPosition = (y) => {
+            const position = { ...startPos };
+            axes.forEach((a, i) => {
+                position[a] = y[i];
+            });
+            return position;
+        };
+
+        // Direction field: unit tangent times sign, plus the raw speed
+        const evaluate = (y) => {
+            const vector = this.evaluateAt(toPosition(y), params);
+            if (!vector) return null;
+            let speed = 0;
+            for (let i = 0; i < n; i++) speed += vector[i] * vector[i];
+            speed = Math.sqrt(speed);
+            const dir = new Array(n);
+            for (let i = 0; i < n; i++) dir[i] = speed > 0 ? sign * vector[i] / speed : 0;
+            return { dir, speed };
+        };
+
+        const isInside = (y) => axes.every((a, i) => y[i] >= bounds.min[a] && y[i] <= bounds.max[a]);
+
+        let y = axes.map(a => startPos[a]);
+        const path = [toPosition(y)];
+        const speeds = [];
+        const arcLengths = [0];
+
+        if (!isInside(y)) {
+            speeds.push(0);
+            return { path, speeds, arcLengths, reason: T.LEFT_DOMAIN };
+        }
+
+        let k1 = evaluate(y);
+        if (!k1) {
+            speeds.push(0);
+            return { path, speeds, arcLengths, reason: T.NAN };
+        }
+        speeds.push(k1.speed);
+
+        let peakSpeed = k1.speed;
+        let arcLength = 0;
+        let h = Math.min(options.initialStep || span * 0.005, maxStep);
+        let accepted = 0;
+
+        while (true) {
+            // Stagnation
+            const threshold = options.stagnationSpeed !== undefined
+                ? options.stagnationSpeed
+                : stagnationRatio * peakSpeed;
+            if (k1.speed <= threshold || k1.speed === 0) {
+                return { path, speeds, arcLengths, reason: T.STAGNATION };
+            }
+            if (accepted >= maxSteps) {
+                return { path, speeds, arcLengths, reason: T.MAX_STEPS };
+            }
+            if (arcLength >= maxArcLength) {
+                return { path, speeds, arcLengths, reason: T.MAX_ARC_LENGTH };
+            }
+            h = Math.min(h, maxArcLength - arcLength);
+
+            // One Dormand-Prince step; the last stage is evaluated at the
+            // 5th-order solution and reused as the next first stage (FSAL)
+            const stages = [k1.dir];
+            let yNext = null;
+            let kNext = null;
+            for (let s = 1; s < 7; s++) {
+                const ys = y.slice();
+                for (let j = 0; j < s; j++) {
+                    const a = DP.A[s][j];
+                    if (a === 0) continue;
+                    for (let i = 0; i < n; i++) ys[i] += h * a * stages[j][i];
+                }
+                const k = evaluate(ys);
+                if (!k) break;
+                stages.push(k.dir);
+                if (s === 6) {
+                    yNext = ys;
+                    kNext = k;
+                }
+            }
+
+            // Invalid stages shrink the step
+            if (!kNext) {
+                if (h <= minStep) {
+                    return { path, speeds, arcLengths, reason: this.invalidReason(y, h, k1.dir, isInside) };
+                }
+                h = Math.max(minStep, h * 0.25);
+                continue;
+            }
+
+            // Error estimate from the embedded 4th-order solution
+            let err = 0;
+            for (let i = 0; i < n; i++) {
+                let e = 0;
+                for (let j = 0; j < 7; j++) e += DP.E[j] * stages[j][i];
+                err += (h * e) * (h * e);
+            }
+            err = Math.sqrt(err);
+
+            if (err > tolerance && h > minStep) {
+                h = Math.max(minStep, h * Math.max(0.2, 0.9 * Math.pow(tolerance / err, 0.2)));
+                continue;
+            }
+
+            // Accept the step
+            const previous = y;
+            let stepLength = 0;
+            for (let i = 0; i < n; i++) stepLength += (yNext[i] - previous[i]) ** 2;
+            stepLength = Math.sqrt(stepLength);
+
+            if (!isInside(yNext)) {
+                // Cut the final segment at the domain boundary
+                const fraction = this.boundaryFraction(previous, yNext, axes, bounds);
+                const exit = previous.map((v, i) => v + fraction * (yNext[i] - v));
+                path.push(toPosition(exit));
+                speeds.push(kNext.speed);
+                arcLengths.push(arcLength + fraction * stepLength);
+                return { path, speeds, arcLengths, reason: T.LEFT_DOMAIN };
+            }
+
+            if (options.stopCondition && options.stopCondition(toPosition(yNext), arcLength + stepLength)) {
+                return { path, speeds, arcLengths, reason: T.STOPPED };
+            }
+
+            y = yNext;
+            k1 = kNext;
+            arcLength += stepLength;
+            accepted++;
+            peakSpeed = Math.max(peakSpeed, k1.speed);
+
+            path.push(toPosition(y));
+            speeds.push(k1.speed);
+            arcLengths.push(arcLength);
+
+            // Closed loop: the last segment passes back near the seed
+            if (detectLoops && arcLength > loopTolerance * 10) {
+                const seed = axes.map(a => startPos[a]);
+                if (this.segmentDistance(seed, previous, y) < loopTolerance) {
+                    path.push(path[0]);
+                    speeds.push(speeds[0]);
+                    arcLengths.push(arcLength + Math.sqrt(seed.reduce((s, v, i) => s + (v - y[i]) ** 2, 0)));
+                    return { path, speeds, arcLengths, reason: T.CLOSED_LOOP };
+                }
+            }
+
+            if (err > 0) {
+                h *= Math.min(5, Math.max(0.2, 0.9 * Math.pow(tolerance / err, 0.2)));
+            } else {
+                h *= 5;
+            }
+            h = Math.max(minStep, Math.min(maxStep, h));
+        }
+    }
+
+    /**
+     * Decide why the field could not be evaluated ahead of a point
+     * @private
+     */
+    invalidReason(y, h, dir, isInside) {
+        const ahead = y.map((v, i) => v + h * dir[i]);
+        return isInside(ahead) ? VectorField.TERMINATION.NAN : VectorField.TERMINATION.LEFT_DOMAIN;
+    }
+
+    /**
+     * Fraction along segment a->b where it leaves the bounds
+     * @private
+     */
+    boundaryFraction(a, b, axes, bounds) {
+        let fraction = 1;
+        axes.forEach((axis, i) => {
+            const delta = b[i] - a[i];
+            if (delta > 0 && b[i] > bounds.max[axis]) {
+                fraction = Math.min(fraction, (bounds.max[axis] - a[i]) / delta);
+            } else if (delta < 0 && b[i] < bounds.min[axis]) {
+                fraction = Math.min(fraction, (bounds.min[axis] - a[i]) / delta);
+            }
+        });
+        return Math.max(0, fraction);
+    }
+
+    /**
+     * Distance from point p to segment a-b
+     * @private
+     */
+    segmentDistance(p, a, b) {
+        let ab2 = 0;
+        let dot = 0;
+        for (let i = 0; i < p.length; i++) {
+            ab2 += (b[i] - a[i]) ** 2;
+            dot += (p[i] - a[i]) * (b[i] - a[i]);
+        }
+        const t = ab2 > 0 ? Math.max(0, Math.min(1, dot / ab2)) : 0;
+        let d2 = 0;
+        for (let i = 0; i < p.length; i++) {
+            d2 += (p[i] - (a[i] + t * (b[i] - a[i]))) ** 2;
+        }
+        return Math.sqrt(d2);
+    }
+
     /**
      * Helper: Add position vectors
+     * The offset may be a position object or a component array [dx, dy, dz?]
      * @private
      */
     addPosition(pos1, pos2) {
         const result = { ...pos1 };
-        for (const key in pos2) {
-            if (pos1.hasOwnProperty(key)) {
-                result[key] = pos1[key] + pos2[key];
+        const offset = Array.isArray(pos2)
+            ? { x: pos2[0], y: pos2[1], z: pos2[2] }
+            : pos2;
+        for (const key in offset) {
+            if (pos1.hasOwnProperty(key) && offset[key] !== undefined) {
+                result[key] = pos1[key] + offset[key];
             }
         }
         return result;
@@ -203,6 +724,39 @@ class VectorField {
     }
 }
 
+// Reasons a streamline stops, reported by integrate()
+VectorField.TERMINATION = Object.freeze({
+    LEFT_DOMAIN: 'left-domain',
+    STAGNATION: 'stagnation',
+    MAX_ARC_LENGTH: 'max-arc-length',
+    MAX_STEPS: 'max-steps',
+    CLOSED_LOOP: 'closed-loop',
+    NAN: 'nan',
+    STOPPED: 'stopped'
+});
+
+// Dormand-Prince 5(4) tableau: stage coefficients and error weights (b5 - b4)
+VectorField.DORMAND_PRINCE = Object.freeze({
+    A: [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+    ],
+    E: [
+        35 / 384 - 5179 / 57600,
+        0,
+        500 / 1113 - 7571 / 16695,
+        125 / 192 - 393 / 640,
+        -2187 / 6784 + 92097 / 339200,
+        11 / 84 - 187 / 2100,
+        -1 / 40
+    ]
+});
+
 // Export to global if not using modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = VectorField;
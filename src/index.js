@@ -55,6 +55,7 @@ class VectorFieldVisualization {
             }
             console.log('Creating VectorField...');
             this.vectorField = new VectorField(2, result.func);
+            this.vectorField.setJacobian(result.jacobian);
             console.log('VectorField created');
 
             // Initialize UI controller
@@ -0,0 +1,417 @@
+/**
+ * DataExporter.js - Writes the numbers behind the picture as data files
+ *
+ * Exports:
+ *   Grid         VectorField.sampleGrid over the field bounds, as CSV (x, y[, z], u, v[, w]),
+ *                JSON in the grid format DataLoader reads, or a legacy ASCII VTK STRUCTURED_POINTS
+ *                file. Invalid nodes are NaN in CSV, null in JSON, and zero vectors marked by a
+ *                "valid" scalar of 0 in VTK.
+ *   Streamlines  Polylines with the arc length from their start and the speed at every vertex,
+ *                as CSV or GeoJSON-like JSON (a FeatureCollection of LineStrings).
+ *   Particles    Positions, velocities and ages of the particles in the domain, as CSV or JSON.
+ * Every file records the source (expression or data file), parameters and time it shows.
+ */
+
+class DataExporter {
+    /**
+     * Sample a field on a regular grid
+     * @param {VectorField} field - Sampled at its current time and parameters
+     * @param {number} resolution - Nodes per axis
+     * @param {string} format - 'csv', 'json' or 'vtk'
+     * @param {Object} metadata - {source, parameters, time}
+     * @returns {Object} - {text, mimeType, extension}
+     * @throws {Error} - For an unknown format or a grid that is too large
+     */
+    exportGrid(field, resolution, format, metadata = {}) {
+        const n = field.dimension;
+        const count = Math.pow(resolution, n);
+        if (!(resolution >= 2) || count > DataExporter.MAX_NODES) {
+            throw new Error(`Grid resolution must be between 2 and ${Math.floor(Math.pow(DataExporter.MAX_NODES, 1 / n))} in ${n}D`);
+        }
+
+        const grid = this.sampleGrid(field, resolution);
+        const writers = {
+            csv: () => this.writeGridCSV(grid, metadata),
+            json: () => this.writeGridJSON(grid, metadata),
+            vtk: () => this.writeGridVTK(grid, metadata)
+        };
+        return this.result(writers, format);
+    }
+
+    /**
+     * Write streamline polylines
+     * @param {Array} streamlines - VectorField.integrate results, e.g. StreamlineMode.streamlines
+     * @param {number} dimension - 2 or 3
+     * @param {string} format - 'csv' or 'json'
+     * @param {Object} metadata - {source, parameters, time}
+     * @returns {Object} - {text, mimeType, extension}
+     * @throws {Error} - For an unknown format
+     */
+    exportStreamlines(streamlines, dimension, format, metadata = {}) {
+        const writers = {
+            csv: () => this.writeStreamlinesCSV(streamlines, dimension, metadata),
+            json: () => this.writeStreamlinesJSON(streamlines, dimension, metadata)
+        };
+        return this.result(writers, format);
+    }
+
+    /**
+     * Write a particle snapshot
+     * @param {Object} snapshot - ParticleMode.getSnapshot() result
+     * @param {string} format - 'csv' or 'json'
+     * @param {Object} metadata - {source, parameters, time}
+     * @returns {Object} - {text, mimeType, extension}
+     * @throws {Error} - For an unknown format
+     */
+    exportParticles(snapshot, format, metadata = {}) {
+        const writers = {
+            csv: () => this.writeParticlesCSV(snapshot, metadata),
+            json: () => this.writeParticlesJSON(snapshot, metadata)
+        };
+        return this.result(writers, format);
+    }
+
+    /**
+     * Run the writer for a format
+     * @private
+     */
+    result(writers, format) {
+        if (!writers[format]) {
+            throw new Error(`Unsupported format "${format}", expected ${Object.keys(writers).join(', ')}`);
+        }
+        return {
+            text: writers[format](),
+            mimeType: DataExporter.MIME_TYPES[format],
+            extension: format
+        };
+    }
+
+    /**
+     * Field vectors at every grid node, x varying fastest, NaN where invalid
+     * @private
+     * @returns {Object} - {dimension, size, bounds, spacing, vectors}
+     */
+    sampleGrid(field, resolution) {
+        const n = field.dimension;
+        const axes = ['x', 'y', 'z'].slice(0, n);
+        const bounds = field.getBounds();
+        const vectors = new Float64Array(Math.pow(resolution, n) * n).fill(NaN);
+
+        field.sampleGrid(resolution).forEach(({ vector, index }) => {
+            const node = index.i + resolution * (index.j + resolution * (index.k || 0));
+            for (let c = 0; c < n; c++) {
+                vectors[node * n + c] = vector[c];
+            }
+        });
+
+        return {
+            dimension: n,
+            size: axes.map(() => resolution),
+            bounds: {
+                min: Object.fromEntries(axes.map(axis => [axis, bounds.min[axis]])),
+                max: Object.fromEntries(axes.map(axis => [axis, bounds.max[axis]]))
+            },
+            spacing: axes.map(axis => (bounds.max[axis] - bounds.min[axis]) / (resolution - 1)),
+            vectors
+        };
+    }
+
+    /**
+     * Position of a grid node
+     * @private
+     */
+    getNodePosition(grid, node) {
+        const position = [];
+        let rest = node;
+        grid.size.forEach((count, d) => {
+            const axis = ['x', 'y', 'z'][d];
+            position.push(grid.bounds.min[axis] + (rest % count) * grid.spacing[d]);
+            rest = Math.floor(rest / count);
+        });
+        return position;
+    }
+
+    /**
+     * @private
+     */
+    writeGridCSV(grid, metadata) {
+        const n = grid.dimension;
+        const header = n === 3 ? 'x,y,z,u,v,w' : 'x,y,u,v';
+        const lines = [...this.getCommentLines(metadata), header];
+        const count = grid.vectors.length / n;
+
+        for (let node = 0; node < count; node++) {
+            const position = this.getNodePosition(grid, node);
+            const vector = Array.from(grid.vectors.subarray(node * n, node * n + n));
+            lines.push(position.concat(vector).map(value => DataExporter.formatNumber(value)).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @private
+     */
+    writeGridJSON(grid, metadata) {
+        const n = grid.dimension;
+        const count = grid.vectors.length / n;
+        const vectors = [];
+        for (let node = 0; node < count; node++) {
+            const vector = Array.from(grid.vectors.subarray(node * n, node * n + n));
+            vectors.push(vector.every(Number.isFinite)
+                ? `[${vector.map(value => DataExporter.formatNumber(value)).join(', ')}]`
+                : 'null');
+        }
+
+        // One vector per line keeps large files readable
+        return [
+            '{',
+            `  "metadata": ${JSON.stringify(this.getMetadata(metadata))},`,
+            `  "size": ${JSON.stringify(grid.size)},`,
+            `  "bounds": ${JSON.stringify(grid.bounds)},`,
+            '  "vectors": [',
+            vectors.map(vector => `    ${vector}`).join(',\n'),
+            '  ]',
+            '}'
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * @private
+     */
+    writeGridVTK(grid, metadata) {
+        const n = grid.dimension;
+        const count = grid.vectors.length / n;
+        const size = n === 3 ? grid.size : grid.size.concat(1);
+        const origin = ['x', 'y', 'z'].map(axis => grid.bounds.min[axis] || 0);
+        const spacing = n === 3 ? grid.spacing : grid.spacing.concat(1);
+
+        const vectors = [];
+        const valid = [];
+        for (let node = 0; node < count; node++) {
+            const vector = Array.from(grid.vectors.subarray(node * n, node * n + n));
+            const ok = vector.every(Number.isFinite);
+            const components = ok ? vector : vector.map(() => 0);
+            if (n === 2) components.push(0);
+            vectors.push(components.map(value => DataExporter.formatNumber(value)).join(' '));
+            valid.push(ok ? 1 : 0);
+        }
+
+        return [
+            '# vtk DataFile Version 3.0',
+            this.getTitle(metadata),
+            'ASCII',
+            'DATASET STRUCTURED_POINTS',
+            `DIMENSIONS ${size.join(' ')}`,
+            `ORIGIN ${origin.map(value => DataExporter.formatNumber(value)).join(' ')}`,
+            `SPACING ${spacing.map(value => DataExporter.formatNumber(value)).join(' ')}`,
+            `POINT_DATA ${count}`,
+            'VECTORS vectors double',
+            ...vectors,
+            'SCALARS valid int 1',
+            'LOOKUP_TABLE default',
+            ...valid
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * @private
+     */
+    writeStreamlinesCSV(streamlines, dimension, metadata) {
+        const axes = ['x', 'y', 'z'].slice(0, dimension);
+        const lines = [...this.getCommentLines(metadata), ['streamline', 'vertex', ...axes, 'arc_length', 'speed'].join(',')];
+
+        streamlines.forEach((streamline, s) => {
+            const arcs = this.getArcLengths(streamline);
+            streamline.path.forEach((position, v) => {
+                const values = axes.map(axis => position[axis]).concat(arcs[v], streamline.speeds[v]);
+                lines.push([s, v, ...values.map(value => DataExporter.formatNumber(value))].join(','));
+            });
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @private
+     */
+    writeStreamlinesJSON(streamlines, dimension, metadata) {
+        const axes = ['x', 'y', 'z'].slice(0, dimension);
+        const round = (value) => (Number.isFinite(value) ? Number(DataExporter.formatNumber(value)) : null);
+
+        const features = streamlines.map((streamline, s) => {
+            const arcs = this.getArcLengths(streamline);
+            return {
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: streamline.path.map(position => axes.map(axis => round(position[axis])))
+                },
+                properties: {
+                    id: s,
+                    seedIndex: streamline.seedIndex,
+                    length: round(arcs[arcs.length - 1]),
+                    arcLength: arcs.map(round),
+                    speed: streamline.speeds.map(round)
+                }
+            };
+        });
+
+        // One feature per line
+        return [
+            '{',
+            '  "type": "FeatureCollection",',
+            `  "metadata": ${JSON.stringify(this.getMetadata(metadata))},`,
+            '  "features": [',
+            features.map(feature => `    ${JSON.stringify(feature)}`).join(',\n'),
+            '  ]',
+            '}'
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * Arc length from the start of a streamline at each vertex
+     * @private
+     */
+    getArcLengths(streamline) {
+        const start = streamline.arcLengths[0];
+        return streamline.arcLengths.map(arc => arc - start);
+    }
+
+    /**
+     * @private
+     */
+    writeParticlesCSV(snapshot, metadata) {
+        const n = snapshot.dimension;
+        const axes = ['x', 'y', 'z'].slice(0, n);
+        const components = ['u', 'v', 'w'].slice(0, n);
+        const lines = [...this.getCommentLines(metadata), ['id', ...axes, ...components, 'speed', 'age'].join(',')];
+
+        this.forEachParticle(snapshot, (id, position, velocity, speed, age) => {
+            const values = position.concat(velocity, speed, age);
+            lines.push([id, ...values.map(value => DataExporter.formatNumber(value, DataExporter.FLOAT32_PRECISION))].join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @private
+     */
+    writeParticlesJSON(snapshot, metadata) {
+        const round = (value) => (Number.isFinite(value)
+            ? Number(DataExporter.formatNumber(value, DataExporter.FLOAT32_PRECISION))
+            : null);
+        const particles = [];
+        this.forEachParticle(snapshot, (id, position, velocity, speed, age) => {
+            particles.push(JSON.stringify({
+                id,
+                position: position.map(round),
+                velocity: velocity.map(round),
+                speed: round(speed),
+                age: round(age)
+            }));
+        });
+
+        return [
+            '{',
+            `  "metadata": ${JSON.stringify(this.getMetadata(metadata))},`,
+            `  "dimension": ${snapshot.dimension},`,
+            '  "particles": [',
+            particles.map(particle => `    ${particle}`).join(',\n'),
+            '  ]',
+            '}'
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * Visit the particles in the domain
+     * @private
+     * @param {Object} snapshot - ParticleMode.getSnapshot() result
+     * @param {Function} callback - f(id, position, velocity, speed, age)
+     */
+    forEachParticle(snapshot, callback) {
+        const n = snapshot.dimension;
+        for (let p = 0; p < snapshot.ages.length; p++) {
+            if (!snapshot.alive[p]) continue;
+            const position = Array.from(snapshot.positions.subarray(p * n, p * n + n));
+            const velocity = Array.from(snapshot.velocities.subarray(p * n, p * n + n));
+            const speed = Math.sqrt(velocity.reduce((sum, value) => sum + value * value, 0));
+            callback(p, position, velocity, speed, snapshot.ages[p]);
+        }
+    }
+
+    /**
+     * Metadata recorded in JSON files
+     * @private
+     */
+    getMetadata(metadata) {
+        return {
+            source: metadata.source || '',
+            parameters: metadata.parameters || {},
+            time: metadata.time || 0,
+            exported: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Metadata as # comment lines, which DataLoader skips
+     * @private
+     */
+    getCommentLines(metadata) {
+        const { source, parameters, time } = this.getMetadata(metadata);
+        const lines = [`# source: ${DataExporter.singleLine(source)}`, `# t = ${time}`];
+        const names = Object.keys(parameters);
+        if (names.length > 0) {
+            lines.push(`# ${names.map(name => `${name} = ${parameters[name]}`).join(', ')}`);
+        }
+        return lines;
+    }
+
+    /**
+     * VTK title line, which is limited to 256 characters
+     * @private
+     */
+    getTitle(metadata) {
+        const { source, parameters, time } = this.getMetadata(metadata);
+        const values = Object.keys(parameters).map(name => `${name} = ${parameters[name]}`);
+        const title = [DataExporter.singleLine(source), `t = ${time}`, ...values].join(', ');
+        return title.slice(0, DataExporter.VTK_TITLE_LENGTH);
+    }
+
+    /**
+     * Shortest text that keeps the given significant digits
+     * @param {number} value
+     * @param {number} precision - Significant digits
+     * @returns {string} - 'NaN' for invalid values
+     */
+    static formatNumber(value, precision = DataExporter.PRECISION) {
+        if (!Number.isFinite(value)) return 'NaN';
+        return String(Number(value.toPrecision(precision)));
+    }
+
+    /**
+     * Text on one line, e.g. an expression with parameter declarations
+     * @param {string} text
+     * @returns {string}
+     */
+    static singleLine(text) {
+        return String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean).join('; ');
+    }
+}
+
+// Significant digits written for values computed in double precision, and for single precision state
+DataExporter.PRECISION = 10;
+DataExporter.FLOAT32_PRECISION = 7;
+
+// Largest grid written, in nodes
+DataExporter.MAX_NODES = 4e6;
+
+// VTK legacy title lines are cut at this length
+DataExporter.VTK_TITLE_LENGTH = 255;
+
+// MIME type per format
+DataExporter.MIME_TYPES = {
+    csv: 'text/csv',
+    json: 'application/json',
+    vtk: 'text/plain'
+};
+
+window.DataExporter = DataExporter;
@@ -0,0 +1,891 @@
+/**
+ * DataLoader.js - Reads vector data files into vector fields
+ * Data on an evenly spaced grid becomes a GriddedVectorField, other points a ScatteredVectorField.
+ *
+ * Supported formats:
+ *   CSV   One point per row: x, y, u, v (2D) or x, y, z, u, v, w (3D). Separators are
+ *         commas, semicolons or whitespace; lines starting with # are comments. An optional
+ *         header names the columns (x, y, z, u|vx, v|vy, w|vz) in any order. On a grid,
+ *         missing nodes and empty, "nan" or "inf" vector cells become missing data; scattered
+ *         samples with missing vectors are dropped.
+ *   JSON  {
+ *           "size": [nx, ny] or [nx, ny, nz],
+ *           "bounds": {"min": {"x", "y", "z"?}, "max": {...}}   or   "origin": [...], "spacing": [...],
+ *           "vectors": [[u, v], ...]   or   "components": [[u, ...], [v, ...]]
+ *         }
+ *         Nodes are listed with x varying fastest, then y, then z; null marks missing data.
+ *         Scattered samples: {"points": [[x, y], ...], "vectors": [[u, v], ...]}
+ *   VTK   Legacy ASCII files with point VECTORS. STRUCTURED_POINTS and evenly spaced,
+ *         axis-aligned STRUCTURED_GRID datasets are grids, one node thick in z for 2D;
+ *         other STRUCTURED_GRID, POLYDATA and UNSTRUCTURED_GRID points are scattered
+ *         samples, 2D when they all share one z.
+ */
+
+class DataLoader {
+    /**
+     * Read a dropped or picked file
+     * @param {File} file
+     * @returns {Promise<Object>} - See parse()
+     */
+    async load(file) {
+        if (file.size > DataLoader.MAX_FILE_SIZE) {
+            return this.failure(`File is too large (max ${DataLoader.MAX_FILE_SIZE / 1e6} MB)`);
+        }
+        return this.parse(await file.text(), file.name);
+    }
+
+    /**
+     * Parse vector data
+     * @param {string} text - File contents
+     * @param {string} name - File name; its extension selects the format, otherwise the contents do
+     * @returns {Object} - {field, format, description, error}
+     *   field: GriddedVectorField or ScatteredVectorField, or null if error
+     *   description: Short summary like "CSV, 41 x 31 grid"
+     *   error: Error message string, prefixed with the line number where known, or null if successful
+     */
+    parse(text, name = '') {
+        const format = this.detectFormat(text, name);
+
+        try {
+            const data = {
+                csv: () => this.parseCSV(text),
+                json: () => this.parseJSON(text),
+                vtk: () => this.parseVTK(text)
+            }[format]();
+
+            if (data.positions) {
+                const field = new ScatteredVectorField(data.dimension, data);
+                return {
+                    field,
+                    format,
+                    description: `${format.toUpperCase()}, ${field.count} scattered samples`,
+                    error: null
+                };
+            }
+
+            const field = new GriddedVectorField(data.size.length, data);
+            return {
+                field,
+                format,
+                description: `${format.toUpperCase()}, ${data.size.join(' \u00D7 ')} grid`,
+                error: null
+            };
+        } catch (error) {
+            return this.failure(error.message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    failure(error) {
+        return { field: null, format: null, description: null, error };
+    }
+
+    /**
+     * Format from the file extension, or from the first characters
+     * @private
+     * @returns {string} - 'csv', 'json' or 'vtk'
+     */
+    detectFormat(text, name) {
+        const extension = name.toLowerCase().split('.').pop();
+        if (['csv', 'json', 'vtk'].includes(extension)) return extension;
+
+        const start = text.trimStart();
+        if (/^# vtk/i.test(start)) return 'vtk';
+        if (start.startsWith('{')) return 'json';
+        return 'csv';
+    }
+
+    /**
+     * Parse CSV points
+     * @private
+     * @returns {Object} - Grid for GriddedVectorField, or samples for ScatteredVectorField
+     */
+    parseCSV(text) {
+        let columns = null;
+        let dimension = 0;
+        const points = [];
+
+        text.split(/\r?\n/).forEach((raw, index) => {
+            const line = index + 1;
+            const content = raw.trim();
+            if (content === '' || content.startsWith('#')) return;
+
+            const separator = content.includes(',') ? ',' : content.includes(';') ? ';' : /\s+/;
+            const cells = content.split(separator).map(cell => cell.trim());
+
+            if (!columns) {
+                // A header has no values, so a first data row with missing vectors is still data
+                const isValue = cell => Number.isFinite(Number(cell)) || DataLoader.MISSING_VALUE.test(cell);
+                if (!cells.some(cell => cell !== '' && isValue(cell))) {
+                    columns = this.readCSVHeader(cells, line);
+                    dimension = 'z' in columns ? 3 : 2;
+                    return;
+                }
+                if (cells.length !== 4 && cells.length !== 6) {
+                    throw DataLoader.lineError(line, `Expected 4 columns (x, y, u, v) or 6 (x, y, z, u, v, w), got ${cells.length}`);
+                }
+                dimension = cells.length === 4 ? 2 : 3;
+                const names = dimension === 2 ? ['x', 'y', 'u', 'v'] : ['x', 'y', 'z', 'u', 'v', 'w'];
+                columns = {};
+                names.forEach((columnName, i) => {
+                    columns[columnName] = i;
+                });
+            }
+
+            const coordinates = ['x', 'y', 'z'].slice(0, dimension).map(axis => {
+                const value = Number(cells[columns[axis]]);
+                if (cells[columns[axis]] === undefined || cells[columns[axis]] === '' || !Number.isFinite(value)) {
+                    throw DataLoader.lineError(line, `Invalid ${axis} coordinate "${cells[columns[axis]] || ''}"`);
+                }
+                return value;
+            });
+            const vector = ['u', 'v', 'w'].slice(0, dimension).map(component => {
+                const cell = cells[columns[component]];
+                if (cell === undefined || cell === '' || DataLoader.MISSING_VALUE.test(cell)) return NaN;
+                const value = Number(cell);
+                if (!Number.isFinite(value)) {
+                    throw DataLoader.lineError(line, `Invalid ${component} value "${cell}"`);
+                }
+                return value;
+            });
+
+            points.push({ line, coordinates, vector });
+        });
+
+        if (points.length === 0) {
+            throw new Error('No data rows found');
+        }
+
+        // A single slice in z, e.g. of simulation output, is a 2D field
+        if (dimension === 3 && points.every(point => point.coordinates[2] === points[0].coordinates[2])) {
+            dimension = 2;
+            points.forEach(point => {
+                point.coordinates.length = 2;
+                point.vector.length = 2;
+            });
+        }
+        return this.gridFromPoints(points, dimension) || this.samplesFromPoints(points, dimension);
+    }
+
+    /**
+     * Column index per name from a CSV header row
+     * @private
+     * @returns {Object} - {x, y, z?, u, v, w?}
+     */
+    readCSVHeader(cells, line) {
+        const aliases = { x: 'x', y: 'y', z: 'z', u: 'u', vx: 'u', v: 'v', vy: 'v', w: 'w', vz: 'w' };
+        const columns = {};
+        cells.forEach((cell, i) => {
+            const key = aliases[cell.toLowerCase()];
+            if (key && !(key in columns)) {
+                columns[key] = i;
+            }
+        });
+
+        const required = 'z' in columns || 'w' in columns ? ['x', 'y', 'z', 'u', 'v', 'w'] : ['x', 'y', 'u', 'v'];
+        const missing = required.filter(key => !(key in columns));
+        if (missing.length > 0) {
+            throw DataLoader.lineError(line, `Header is missing column${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`);
+        }
+        return columns;
+    }
+
+    /**
+     * Arrange points on the evenly spaced grid through their coordinates
+     * @private
+     * @param {Array} points - {line, coordinates, vector}
+     * @param {number} dimension
+     * @returns {Object|null} - Grid for GriddedVectorField, or null if the points are not on a grid
+     */
+    gridFromPoints(points, dimension) {
+        const axes = ['x', 'y', 'z'].slice(0, dimension);
+        const nodes = axes.map((axis, d) => this.getAxisNodes(points.map(point => point.coordinates[d]), axis, points[0].line));
+        if (nodes.includes(null)) return null;
+
+        const size = nodes.map(axis => axis.count);
+        const count = size.reduce((product, n) => product * n, 1);
+        if (points.length < DataLoader.MIN_GRID_COVERAGE * count) return null;
+        if (count > DataLoader.MAX_NODES) {
+            throw new Error(`Grid of ${size.join(' \u00D7 ')} nodes is too large (max ${DataLoader.MAX_NODES})`);
+        }
+
+        const components = axes.map(() => new Float32Array(count).fill(NaN));
+        const filled = new Uint8Array(count);
+        points.forEach(({ line, coordinates, vector }) => {
+            let index = 0;
+            let stride = 1;
+            nodes.forEach((axis, d) => {
+                index += Math.round((coordinates[d] - axis.min) / axis.step) * stride;
+                stride *= axis.count;
+            });
+            if (filled[index]) {
+                throw DataLoader.lineError(line, `Duplicate point (${coordinates.join(', ')})`);
+            }
+            filled[index] = 1;
+            vector.forEach((value, c) => {
+                components[c][index] = value;
+            });
+        });
+
+        const bounds = { min: {}, max: {} };
+        axes.forEach((axis, d) => {
+            bounds.min[axis] = nodes[d].min;
+            bounds.max[axis] = nodes[d].min + (nodes[d].count - 1) * nodes[d].step;
+        });
+        return { size, bounds, components };
+    }
+
+    /**
+     * Packed samples of points that are not on a grid
+     * @private
+     * @param {Array} points - {line, coordinates, vector}
+     * @param {number} dimension
+     * @returns {Object} - Samples for ScatteredVectorField
+     */
+    samplesFromPoints(points, dimension) {
+        const positions = new Float64Array(points.length * dimension);
+        const vectors = new Float32Array(points.length * dimension);
+        points.forEach(({ coordinates, vector }, i) => {
+            for (let d = 0; d < dimension; d++) {
+                positions[i * dimension + d] = coordinates[d];
+                vectors[i * dimension + d] = vector[d];
+            }
+        });
+        return { dimension, positions, vectors };
+    }
+
+    /**
+     * Distinct, evenly spaced coordinate values along one axis
+     * @private
+     * @param {Array<number>} values - Coordinates of the points along the axis
+     * @param {string} axis - Axis name, for errors
+     * @param {number} line - Line of the first point, for errors
+     * @returns {Object|null} - {min, step, count}, or null if they are not evenly spaced
+     */
+    getAxisNodes(values, axis, line) {
+        const sorted = Float64Array.from(values).sort();
+        const span = sorted[sorted.length - 1] - sorted[0];
+        const tolerance = DataLoader.COORDINATE_TOLERANCE * Math.max(span, 1e-12);
+
+        const distinct = [sorted[0]];
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i] - distinct[distinct.length - 1] > tolerance) {
+                distinct.push(sorted[i]);
+            }
+        }
+        if (distinct.length < 2) {
+            throw DataLoader.lineError(line, `All points have the same ${axis} coordinate`);
+        }
+
+        const step = span / (distinct.length - 1);
+        const even = distinct.every((value, i) =>
+            Math.abs(value - (sorted[0] + i * step)) <= DataLoader.SPACING_TOLERANCE * step
+        );
+
+        return even ? { min: sorted[0], step, count: distinct.length } : null;
+    }
+
+    /**
+     * Parse the JSON grid or sample format
+     * @private
+     * @returns {Object} - Grid for GriddedVectorField, or samples for ScatteredVectorField
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            const offset = this.getJSONErrorOffset(text);
+            throw offset === null
+                ? new Error(error.message)
+                : DataLoader.lineError(text.slice(0, offset).split('\n').length, error.message);
+        }
+
+        // Structural errors point at the line of the offending key
+        const fail = (key, message) => DataLoader.lineError(this.getKeyLine(text, key), message);
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw DataLoader.lineError(1, 'Expected an object with "size", "bounds" and "vectors", or "points" and "vectors"');
+        }
+        if (Array.isArray(data.points)) {
+            return this.readJSONSamples(data, fail);
+        }
+
+        const size = data.size;
+        if (!Array.isArray(size) || (size.length !== 2 && size.length !== 3) || !size.every(n => Number.isInteger(n) && n >= 2)) {
+            throw fail('size', '"size" must list 2 or 3 node counts of at least 2, e.g. [41, 31]');
+        }
+        const dimension = size.length;
+        const axes = ['x', 'y', 'z'].slice(0, dimension);
+        const count = size.reduce((product, n) => product * n, 1);
+        if (count > DataLoader.MAX_NODES) {
+            throw fail('size', `Grid of ${size.join(' \u00D7 ')} nodes is too large (max ${DataLoader.MAX_NODES})`);
+        }
+
+        let bounds;
+        if (data.bounds) {
+            bounds = { min: {}, max: {} };
+            axes.forEach(axis => {
+                ['min', 'max'].forEach(end => {
+                    const value = data.bounds[end] && data.bounds[end][axis];
+                    if (!Number.isFinite(value)) {
+                        throw fail('bounds', `"bounds.${end}.${axis}" must be a number`);
+                    }
+                    bounds[end][axis] = value;
+                });
+            });
+        } else if (Array.isArray(data.origin) && Array.isArray(data.spacing)) {
+            bounds = { min: {}, max: {} };
+            axes.forEach((axis, d) => {
+                if (!Number.isFinite(data.origin[d]) || !(data.spacing[d] > 0)) {
+                    throw fail('spacing', `"origin" and "spacing" need ${dimension} numbers, with positive spacing`);
+                }
+                bounds.min[axis] = data.origin[d];
+                bounds.max[axis] = data.origin[d] + (size[d] - 1) * data.spacing[d];
+            });
+        } else {
+            throw DataLoader.lineError(1, 'Expected "bounds", or "origin" and "spacing"');
+        }
+
+        let components;
+        if (Array.isArray(data.vectors)) {
+            if (data.vectors.length !== count) {
+                throw fail('vectors', `"vectors" has ${data.vectors.length} entries, expected ${count}`);
+            }
+            components = axes.map(() => new Float32Array(count));
+            data.vectors.forEach((vector, i) => {
+                if (vector === null) {
+                    components.forEach(values => {
+                        values[i] = NaN;
+                    });
+                    return;
+                }
+                if (!Array.isArray(vector) || vector.length !== dimension) {
+                    throw fail('vectors', `"vectors[${i}]" must have ${dimension} components`);
+                }
+                vector.forEach((value, c) => {
+                    components[c][i] = this.readJSONValue(value, 'vectors', `vectors[${i}][${c}]`, fail);
+                });
+            });
+        } else if (Array.isArray(data.components)) {
+            if (data.components.length !== dimension) {
+                throw fail('components', `"components" must hold ${dimension} arrays`);
+            }
+            components = data.components.map((values, c) => {
+                if (!Array.isArray(values) || values.length !== count) {
+                    throw fail('components', `"components[${c}]" must have ${count} values`);
+                }
+                return Float32Array.from(values, (value, i) => this.readJSONValue(value, 'components', `components[${c}][${i}]`, fail));
+            });
+        } else {
+            throw DataLoader.lineError(1, 'Expected "vectors" or "components"');
+        }
+
+        return { size, bounds, components };
+    }
+
+    /**
+     * Scattered samples from parsed JSON with "points" and "vectors"
+     * @private
+     * @param {Object} data - Parsed JSON
+     * @param {Function} fail - Error at the line of a key
+     * @returns {Object} - Samples for ScatteredVectorField
+     */
+    readJSONSamples(data, fail) {
+        const count = data.points.length;
+        const dimension = count > 0 && Array.isArray(data.points[0]) ? data.points[0].length : 0;
+        if (dimension !== 2 && dimension !== 3) {
+            throw fail('points', '"points" must list [x, y] or [x, y, z] coordinates');
+        }
+        if (count > DataLoader.MAX_NODES) {
+            throw fail('points', `${count} points are too many (max ${DataLoader.MAX_NODES})`);
+        }
+        if (!Array.isArray(data.vectors) || data.vectors.length !== count) {
+            throw fail('vectors', `"vectors" must have one entry per point (${count})`);
+        }
+
+        const positions = new Float64Array(count * dimension);
+        const vectors = new Float32Array(count * dimension).fill(NaN);
+        data.points.forEach((point, i) => {
+            if (!Array.isArray(point) || point.length !== dimension || !point.every(Number.isFinite)) {
+                throw fail('points', `"points[${i}]" must have ${dimension} numeric coordinates`);
+            }
+            positions.set(point, i * dimension);
+        });
+        data.vectors.forEach((vector, i) => {
+            // null marks a missing vector, whose sample is dropped
+            if (vector === null) return;
+            if (!Array.isArray(vector) || vector.length !== dimension) {
+                throw fail('vectors', `"vectors[${i}]" must have ${dimension} components`);
+            }
+            vector.forEach((value, c) => {
+                vectors[i * dimension + c] = this.readJSONValue(value, 'vectors', `vectors[${i}][${c}]`, fail);
+            });
+        });
+
+        return { dimension, positions, vectors };
+    }
+
+    /**
+     * Vector component from JSON: a number, or null for missing data
+     * @private
+     * @param {*} value - Parsed JSON value
+     * @param {string} key - Key whose line errors point at
+     * @param {string} label - Where the value is, e.g. "vectors[3][1]"
+     * @param {Function} fail - Error at the line of a key
+     * @returns {number} - NaN for null
+     */
+    readJSONValue(value, key, label, fail) {
+        if (value === null) return NaN;
+        if (typeof value !== 'number') {
+            throw fail(key, `"${label}" must be a number or null, got ${JSON.stringify(value)}`);
+        }
+        return value;
+    }
+
+    /**
+     * Offset of the first JSON syntax error
+     * Engines do not all report a position in their messages, so the text is scanned here.
+     * @private
+     * @returns {number|null} - Index into text (its length for an unexpected end), or null if none is found
+     */
+    getJSONErrorOffset(text) {
+        let i = 0;
+        const fail = () => {
+            throw i;
+        };
+        const expect = (character) => {
+            if (text[i] !== character) fail();
+            i++;
+        };
+        const skipSpace = () => {
+            while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+        };
+        const skipString = () => {
+            expect('"');
+            while (text[i] !== '"') {
+                if (i >= text.length || text.charCodeAt(i) < 0x20) fail();
+                if (text[i] === '\\') {
+                    i++;
+                    if (text[i] === 'u') {
+                        if (!/^[0-9a-fA-F]{4}$/.test(text.slice(i + 1, i + 5))) fail();
+                        i += 4;
+                    } else if (i >= text.length || !'"\\/bfnrt'.includes(text[i])) {
+                        fail();
+                    }
+                }
+                i++;
+            }
+            i++;
+        };
+        const skipValue = () => {
+            skipSpace();
+            const start = text[i];
+            if (start === '{' || start === '[') {
+                const close = start === '{' ? '}' : ']';
+                i++;
+                skipSpace();
+                if (text[i] === close) {
+                    i++;
+                    return;
+                }
+                for (;;) {
+                    if (start === '{') {
+                        skipSpace();
+                        skipString();
+                        skipSpace();
+                        expect(':');
+                    }
+                    skipValue();
+                    skipSpace();
+                    if (text[i] === close) {
+                        i++;
+                        return;
+                    }
+                    expect(',');
+                }
+            }
+            if (start === '"') {
+                skipString();
+                return;
+            }
+            const token = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?|true|false|null/y;
+            token.lastIndex = i;
+            const match = token.exec(text);
+            if (!match) fail();
+            i += match[0].length;
+        };
+
+        try {
+            skipValue();
+            skipSpace();
+            if (i < text.length) fail();
+        } catch (offset) {
+            // Anything else, e.g. a stack overflow on deep nesting, leaves the position unknown
+            if (typeof offset === 'number') return offset;
+        }
+        return null;
+    }
+
+    /**
+     * Line where a JSON key first appears, or 1
+     * @private
+     */
+    getKeyLine(text, key) {
+        const index = text.indexOf(`"${key}"`);
+        return index === -1 ? 1 : text.slice(0, index).split('\n').length;
+    }
+
+    /**
+     * Parse a legacy ASCII VTK file
+     * @private
+     * @returns {Object} - Grid for GriddedVectorField, or samples for ScatteredVectorField
+     */
+    parseVTK(text) {
+        const lines = text.split(/\r?\n/);
+        if (!/^# vtk DataFile/i.test(lines[0] || '')) {
+            throw DataLoader.lineError(1, 'Expected "# vtk DataFile Version ..."');
+        }
+        const encoding = (lines[2] || '').trim().toUpperCase();
+        if (encoding === 'BINARY') {
+            throw DataLoader.lineError(3, 'Binary VTK files are not supported; save the file as ASCII');
+        }
+        if (encoding !== 'ASCII') {
+            throw DataLoader.lineError(3, 'Expected ASCII');
+        }
+
+        // Tokens after the three header lines, with their line numbers
+        const tokens = [];
+        for (let i = 3; i < lines.length; i++) {
+            lines[i].trim().split(/\s+/).forEach(value => {
+                if (value !== '') tokens.push({ value, line: i + 1 });
+            });
+        }
+
+        let cursor = 0;
+        const lastLine = lines.length;
+        const next = (what) => {
+            if (cursor >= tokens.length) {
+                throw DataLoader.lineError(lastLine, `Unexpected end of file, expected ${what}`);
+            }
+            return tokens[cursor++];
+        };
+        const nextNumber = (what, allowNaN = false) => {
+            const token = next(what);
+            const value = Number(token.value);
+            if (Number.isFinite(value)) return value;
+            if (allowNaN && DataLoader.MISSING_VALUE.test(token.value)) return NaN;
+            throw DataLoader.lineError(token.line, `Expected ${what}, got "${token.value}"`);
+        };
+        const nextInteger = (what) => {
+            const token = tokens[cursor];
+            const value = nextNumber(what);
+            if (!Number.isInteger(value) || value < 0) {
+                throw DataLoader.lineError(token.line, `Expected ${what}, got "${token.value}"`);
+            }
+            return value;
+        };
+        const skipNumbers = (count, what) => {
+            for (let i = 0; i < count; i++) {
+                nextNumber(what, true);
+            }
+        };
+
+        let dataset = null;
+        let size = null;
+        let origin = [0, 0, 0];
+        let spacing = [1, 1, 1];
+        let points = null; // Explicit points, packed xyz
+        let vectors = null;
+        let section = null; // 'point' or 'cell' attribute data
+        let sectionCount = 0;
+
+        while (cursor < tokens.length && !vectors) {
+            const token = next('a keyword');
+            const keyword = token.value.toUpperCase();
+
+            switch (keyword) {
+                case 'DATASET': {
+                    const type = next('a dataset type');
+                    dataset = type.value.toUpperCase();
+                    if (!DataLoader.VTK_DATASETS.includes(dataset)) {
+                        throw DataLoader.lineError(type.line, `Unsupported dataset ${type.value}; use ${DataLoader.VTK_DATASETS.join(', ')}`);
+                    }
+                    break;
+                }
+                case 'DIMENSIONS':
+                    size = [nextInteger('a node count'), nextInteger('a node count'), nextInteger('a node count')];
+                    if (size[0] * size[1] * size[2] > DataLoader.MAX_NODES) {
+                        throw DataLoader.lineError(token.line, `Grid of ${size.join(' \u00D7 ')} nodes is too large (max ${DataLoader.MAX_NODES})`);
+                    }
+                    break;
+                case 'ORIGIN':
+                    origin = [nextNumber('a coordinate'), nextNumber('a coordinate'), nextNumber('a coordinate')];
+                    break;
+                case 'SPACING':
+                case 'ASPECT_RATIO':
+                    spacing = [nextNumber('a spacing'), nextNumber('a spacing'), nextNumber('a spacing')];
+                    if (!spacing.every(step => step > 0)) {
+                        throw DataLoader.lineError(token.line, 'Spacing must be positive');
+                    }
+                    break;
+                case 'POINTS': {
+                    const count = nextInteger('a point count');
+                    if (count > DataLoader.MAX_NODES) {
+                        throw DataLoader.lineError(token.line, `${count} points are too many (max ${DataLoader.MAX_NODES})`);
+                    }
+                    next('a data type');
+                    points = new Float64Array(count * 3);
+                    for (let i = 0; i < points.length; i++) {
+                        points[i] = nextNumber('a point coordinate');
+                    }
+                    break;
+                }
+                case 'VERTICES':
+                case 'LINES':
+                case 'POLYGONS':
+                case 'TRIANGLE_STRIPS':
+                case 'CELLS': {
+                    // Connectivity is not needed for point data
+                    nextInteger('a cell count');
+                    skipNumbers(nextInteger('a list size'), 'a cell index');
+                    break;
+                }
+                case 'CELL_TYPES':
+                    skipNumbers(nextInteger('a cell count'), 'a cell type');
+                    break;
+                case 'POINT_DATA':
+                case 'CELL_DATA':
+                    section = keyword === 'POINT_DATA' ? 'point' : 'cell';
+                    sectionCount = nextInteger('a count');
+                    break;
+                case 'VECTORS': {
+                    next('an array name');
+                    next('a data type');
+                    if (section !== 'point') {
+                        skipNumbers(sectionCount * 3, 'a vector component');
+                        break;
+                    }
+                    vectors = new Float32Array(sectionCount * 3);
+                    for (let i = 0; i < vectors.length; i++) {
+                        vectors[i] = nextNumber('a vector component', true);
+                    }
+                    break;
+                }
+                case 'SCALARS': {
+                    next('an array name');
+                    next('a data type');
+                    // The component count is optional
+                    let components = 1;
+                    if (cursor < tokens.length && /^\d+$/.test(tokens[cursor].value)) {
+                        components = nextInteger('a component count');
+                    }
+                    if (cursor < tokens.length && tokens[cursor].value.toUpperCase() === 'LOOKUP_TABLE') {
+                        cursor++;
+                        next('a lookup table name');
+                    }
+                    skipNumbers(sectionCount * components, 'a scalar value');
+                    break;
+                }
+                case 'LOOKUP_TABLE': {
+                    next('a lookup table name');
+                    skipNumbers(nextInteger('a table size') * 4, 'a color component');
+                    break;
+                }
+                case 'NORMALS':
+                    next('an array name');
+                    next('a data type');
+                    skipNumbers(sectionCount * 3, 'a normal component');
+                    break;
+                case 'TEXTURE_COORDINATES': {
+                    next('an array name');
+                    const components = nextInteger('a component count');
+                    next('a data type');
+                    skipNumbers(sectionCount * components, 'a texture coordinate');
+                    break;
+                }
+                case 'TENSORS':
+                    next('an array name');
+                    next('a data type');
+                    skipNumbers(sectionCount * 9, 'a tensor component');
+                    break;
+                case 'FIELD': {
+                    next('a field name');
+                    const arrays = nextInteger('an array count');
+                    for (let a = 0; a < arrays; a++) {
+                        next('an array name');
+                        const components = nextInteger('a component count');
+                        const tuples = nextInteger('a tuple count');
+                        next('a data type');
+                        skipNumbers(components * tuples, 'a field value');
+                    }
+                    break;
+                }
+                case 'METADATA':
+                    // Skipped up to the blank line that ends it
+                    while (cursor < tokens.length && !['POINT_DATA', 'CELL_DATA', 'SCALARS', 'VECTORS', 'FIELD']
+                        .includes(tokens[cursor].value.toUpperCase())) {
+                        cursor++;
+                    }
+                    break;
+                default:
+                    throw DataLoader.lineError(token.line, `Unexpected "${token.value}"`);
+            }
+        }
+
+        if (!dataset) {
+            throw DataLoader.lineError(4, 'Expected a DATASET line');
+        }
+        if (!vectors) {
+            throw DataLoader.lineError(lastLine, 'No point VECTORS found');
+        }
+
+        if (dataset === 'POLYDATA' || dataset === 'UNSTRUCTURED_GRID') {
+            return this.samplesFromVTK(points, vectors, dataset);
+        }
+
+        if (!size) {
+            throw DataLoader.lineError(lastLine, 'Missing DIMENSIONS');
+        }
+        const count = size[0] * size[1] * size[2];
+        if (vectors.length !== count * 3) {
+            throw new Error(`POINT_DATA has ${vectors.length / 3} points, but DIMENSIONS give ${count}`);
+        }
+
+        if (dataset === 'STRUCTURED_GRID') {
+            if (!points) {
+                throw DataLoader.lineError(lastLine, 'STRUCTURED_GRID needs POINTS');
+            }
+            if (points.length !== vectors.length) {
+                throw new Error(`POINTS has ${points.length / 3} points, but DIMENSIONS give ${count}`);
+            }
+            // Curvilinear grids are read as scattered samples
+            const grid = this.getUniformSpacing(points, size);
+            if (!grid) {
+                return this.samplesFromVTK(points, vectors, dataset);
+            }
+            ({ origin, spacing } = grid);
+        }
+
+        // A single layer in z is a 2D field
+        const dimension = size[2] === 1 ? 2 : 3;
+        const axes = ['x', 'y', 'z'].slice(0, dimension);
+        const bounds = { min: {}, max: {} };
+        axes.forEach((axis, d) => {
+            bounds.min[axis] = origin[d];
+            bounds.max[axis] = origin[d] + (size[d] - 1) * spacing[d];
+        });
+        const components = axes.map((axis, c) => {
+            const values = new Float32Array(count);
+            for (let i = 0; i < count; i++) {
+                values[i] = vectors[i * 3 + c];
+            }
+            return values;
+        });
+
+        return { size: size.slice(0, dimension), bounds, components };
+    }
+
+    /**
+     * Points of a dataset without a regular grid as scattered samples
+     * @private
+     * @param {Float64Array|null} points - Packed xyz
+     * @param {Float32Array} vectors - Packed xyz, one per point
+     * @param {string} dataset - Dataset type, for messages
+     * @returns {Object} - Samples for ScatteredVectorField, 2D if all points share one z
+     */
+    samplesFromVTK(points, vectors, dataset) {
+        if (!points) {
+            throw new Error(`${dataset} needs POINTS`);
+        }
+        if (points.length !== vectors.length) {
+            throw new Error(`POINT_DATA has ${vectors.length / 3} points, but POINTS has ${points.length / 3}`);
+        }
+
+        const count = points.length / 3;
+        let planar = true;
+        for (let i = 1; i < count && planar; i++) {
+            planar = points[i * 3 + 2] === points[2];
+        }
+        if (!planar) {
+            return { dimension: 3, positions: points, vectors };
+        }
+
+        const positions = new Float64Array(count * 2);
+        const planarVectors = new Float32Array(count * 2);
+        for (let i = 0; i < count; i++) {
+            positions[i * 2] = points[i * 3];
+            positions[i * 2 + 1] = points[i * 3 + 1];
+            planarVectors[i * 2] = vectors[i * 3];
+            planarVectors[i * 2 + 1] = vectors[i * 3 + 1];
+        }
+        return { dimension: 2, positions, vectors: planarVectors };
+    }
+
+    /**
+     * Origin and spacing of STRUCTURED_GRID points, if they form an evenly spaced, axis-aligned grid
+     * @private
+     * @param {Float64Array} points - Packed xyz, x index varying fastest
+     * @param {Array<number>} size - Nodes per axis
+     * @returns {Object|null} - {origin, spacing}, or null for curvilinear grids
+     */
+    getUniformSpacing(points, size) {
+        const [nx, ny, nz] = size;
+        const origin = [points[0], points[1], points[2]];
+        const strides = [1, nx, nx * ny];
+        const spacing = size.map((n, d) => (n > 1 ? points[strides[d] * 3 + d] - origin[d] : 1));
+        if (!spacing.every(step => step > 0)) return null;
+
+        const tolerance = DataLoader.SPACING_TOLERANCE;
+        for (let k = 0; k < nz; k++) {
+            for (let j = 0; j < ny; j++) {
+                for (let i = 0; i < nx; i++) {
+                    const p = i + nx * (j + ny * k);
+                    const index = [i, j, k];
+                    for (let d = 0; d < 3; d++) {
+                        if (Math.abs(points[p * 3 + d] - (origin[d] + index[d] * spacing[d])) > tolerance * spacing[d]) {
+                            return null;
+                        }
+                    }
+                }
+            }
+        }
+
+        return { origin, spacing };
+    }
+
+    /**
+     * Error whose message starts with a line number
+     * @param {number} line - 1-based line
+     * @param {string} message
+     * @returns {Error}
+     */
+    static lineError(line, message) {
+        return new Error(`Line ${line}: ${message}`);
+    }
+}
+
+// Legacy VTK dataset types that can hold point vectors
+DataLoader.VTK_DATASETS = ['STRUCTURED_POINTS', 'STRUCTURED_GRID', 'POLYDATA', 'UNSTRUCTURED_GRID'];
+
+// Vector values that mark missing data
+DataLoader.MISSING_VALUE = /^[+-]?(nan|inf|infinity)$/i;
+
+// Largest accepted file, in bytes
+DataLoader.MAX_FILE_SIZE = 200e6;
+
+// Largest accepted grid, in nodes
+DataLoader.MAX_NODES = 4e6;
+
+// Coordinates closer than this fraction of the span are the same grid line
+DataLoader.COORDINATE_TOLERANCE = 1e-9;
+
+// Allowed deviation of node coordinates from an even grid, as a fraction of the spacing
+DataLoader.SPACING_TOLERANCE = 1e-3;
+
+// Smallest fraction of grid nodes CSV points must cover to be read as a grid, not as scattered samples
+DataLoader.MIN_GRID_COVERAGE = 0.5;
+
+window.DataLoader = DataLoader;
@@ -0,0 +1,285 @@
+/**
+ * FigureExporter.js - Vector (SVG) figures of 2D visualizations
+ * Layers are drawn from the flat primitives of VisualizationMode.getVectorGraphics, clipped
+ * to the field domain at equal x and y scale, with framed axes and an optional colorbar.
+ * Sizes of text and strokes follow the figure size, so figures look alike at any size.
+ */
+
+class FigureExporter {
+    /**
+     * Write an SVG figure
+     * @param {Array<VisualizationMode>} modes - Bottom to top; modes without vector graphics are left out
+     * @param {Object} bounds - Plotted domain {min, max}
+     * @param {Object} options - {width, height, legend, transparent}
+     *   legend: {colormap, range, quantity} from VisualizationMode.getLegend, or null for no colorbar
+     *   transparent: leave the background out, and draw axes in dark ink for light pages
+     * @returns {Object} - {text, mimeType, extension, skipped}; skipped counts the modes left out
+     * @throws {Error} - If the figure is too small for the axes
+     */
+    exportSVG(modes, bounds, options) {
+        const { width, height, legend = null, transparent = false } = options;
+        const unit = Math.min(width, height) / FigureExporter.REFERENCE_SIZE;
+        const ink = transparent ? FigureExporter.LIGHT_PAGE_INK : FigureExporter.DARK_PAGE_INK;
+        const layout = this.getLayout(bounds, width, height, unit, legend !== null);
+        const f = FigureExporter.formatNumber;
+
+        const layers = [];
+        let skipped = 0;
+        modes.forEach(mode => {
+            const graphics = mode.getVectorGraphics();
+            if (graphics) {
+                layers.push(this.writeGraphics(graphics, mode.config.opacity, layout, unit));
+            } else {
+                skipped++;
+            }
+        });
+
+        const text = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">`,
+            '<defs>',
+            `<clipPath id="plot-area"><rect x="${f(layout.left)}" y="${f(layout.top)}" width="${f(layout.width)}" height="${f(layout.height)}"/></clipPath>`,
+            legend ? this.writeGradient(legend) : '',
+            '</defs>',
+            transparent ? '' : `<rect width="${width}" height="${height}" fill="${FigureExporter.BACKGROUND}"/>`,
+            '<g clip-path="url(#plot-area)">',
+            ...layers,
+            '</g>',
+            this.writeAxes(layout, unit, ink),
+            legend ? this.writeColorbar(legend, layout, unit, ink) : '',
+            '</svg>'
+        ].filter(Boolean).join('\n') + '\n';
+
+        return { text, mimeType: 'image/svg+xml', extension: 'svg', skipped };
+    }
+
+    /**
+     * Plot area in figure pixels and the mapping from world coordinates
+     * @private
+     */
+    getLayout(bounds, width, height, unit, hasColorbar) {
+        const margin = FigureExporter.MARGIN;
+        const right = hasColorbar ? FigureExporter.COLORBAR_MARGIN : margin.right;
+        const availableWidth = width - (margin.left + right) * unit;
+        const availableHeight = height - (margin.top + margin.bottom) * unit;
+        if (!(availableWidth > 0 && availableHeight > 0)) {
+            throw new Error('The figure is too small for its axes');
+        }
+
+        const spanX = bounds.max.x - bounds.min.x;
+        const spanY = bounds.max.y - bounds.min.y;
+        const scale = Math.min(availableWidth / spanX, availableHeight / spanY);
+        const left = margin.left * unit + (availableWidth - spanX * scale) / 2;
+        const top = margin.top * unit + (availableHeight - spanY * scale) / 2;
+
+        return {
+            bounds,
+            scale,
+            left,
+            top,
+            width: spanX * scale,
+            height: spanY * scale,
+            x: (x) => left + (x - bounds.min.x) * scale,
+            y: (y) => top + (bounds.max.y - y) * scale
+        };
+    }
+
+    /**
+     * One layer's primitives as an SVG group
+     * @private
+     */
+    writeGraphics({ polygons, lines, labels }, opacity, layout, unit) {
+        const f = FigureExporter.formatNumber;
+        const out = [`<g opacity="${f(opacity)}">`];
+
+        polygons.forEach(({ points, color, seamless }) => {
+            const coordinates = [];
+            for (let i = 0; i < points.length; i += 2) {
+                coordinates.push(`${f(layout.x(points[i]))},${f(layout.y(points[i + 1]))}`);
+            }
+            const stroke = seamless ? ` stroke="${color}" stroke-width="${f(FigureExporter.SEAM_WIDTH * unit)}" stroke-linejoin="round"` : '';
+            out.push(`<polygon points="${coordinates.join(' ')}" fill="${color}"${stroke}/>`);
+        });
+
+        lines.forEach(({ segments, color }) => {
+            const path = [];
+            for (let i = 0; i < segments.length; i += 4) {
+                path.push(`M${f(layout.x(segments[i]))} ${f(layout.y(segments[i + 1]))}L${f(layout.x(segments[i + 2]))} ${f(layout.y(segments[i + 3]))}`);
+            }
+            out.push(`<path d="${path.join('')}" fill="none" stroke="${color}" stroke-width="${f(FigureExporter.LINE_WIDTH * unit)}" stroke-linecap="round"/>`);
+        });
+        out.push('</g>');
+
+        // Labels stay opaque, as in the view
+        labels.forEach(({ text, x, y, height, color, background }) => {
+            const fontSize = height * layout.scale / FigureExporter.LABEL_LINE_HEIGHT;
+            const cx = layout.x(x);
+            const cy = layout.y(y);
+            if (background) {
+                const { fill, opacity: fillOpacity } = FigureExporter.parseCSSColor(background);
+                const boxWidth = (text.length * FigureExporter.CHARACTER_WIDTH + 0.5) * fontSize;
+                const boxHeight = height * layout.scale;
+                out.push(`<rect x="${f(cx - boxWidth / 2)}" y="${f(cy - boxHeight / 2)}" width="${f(boxWidth)}" height="${f(boxHeight)}" fill="${fill}" fill-opacity="${f(fillOpacity)}"/>`);
+            }
+            out.push(`<text x="${f(cx)}" y="${f(cy)}" font-size="${f(fontSize)}" fill="${color}" text-anchor="middle" dominant-baseline="central">${FigureExporter.escapeXML(text)}</text>`);
+        });
+
+        return out.join('\n');
+    }
+
+    /**
+     * Frame, ticks and axis names
+     * @private
+     */
+    writeAxes(layout, unit, ink) {
+        const f = FigureExporter.formatNumber;
+        const { bounds, left, top, width, height } = layout;
+        const bottom = top + height;
+        const tick = FigureExporter.TICK_LENGTH * unit;
+        const fontSize = FigureExporter.FONT_SIZE * unit;
+        const out = [`<g stroke="${ink}" stroke-width="${f(unit)}" fill="none">`];
+        const labels = [`<g fill="${ink}" font-size="${f(fontSize)}">`];
+
+        out.push(`<rect x="${f(left)}" y="${f(top)}" width="${f(width)}" height="${f(height)}"/>`);
+        Colormap.getTicks(bounds.min.x, bounds.max.x, FigureExporter.AXIS_TICKS).forEach(({ value, label }) => {
+            const x = layout.x(value);
+            out.push(`<line x1="${f(x)}" y1="${f(bottom)}" x2="${f(x)}" y2="${f(bottom + tick)}"/>`);
+            labels.push(`<text x="${f(x)}" y="${f(bottom + tick * 1.5)}" text-anchor="middle" dominant-baseline="hanging">${label}</text>`);
+        });
+        Colormap.getTicks(bounds.min.y, bounds.max.y, FigureExporter.AXIS_TICKS).forEach(({ value, label }) => {
+            const y = layout.y(value);
+            out.push(`<line x1="${f(left - tick)}" y1="${f(y)}" x2="${f(left)}" y2="${f(y)}"/>`);
+            labels.push(`<text x="${f(left - tick * 1.5)}" y="${f(y)}" text-anchor="end" dominant-baseline="central">${label}</text>`);
+        });
+        out.push('</g>');
+
+        // Axis names below and left of the tick labels
+        const nameSize = fontSize * 1.2;
+        labels.push(`<text x="${f(left + width / 2)}" y="${f(bottom + tick * 1.5 + fontSize * 2.2)}" font-size="${f(nameSize)}" font-style="italic" text-anchor="middle" dominant-baseline="hanging">x</text>`);
+        labels.push(`<text x="${f(left - FigureExporter.MARGIN.left * unit * 0.85)}" y="${f(top + height / 2)}" font-size="${f(nameSize)}" font-style="italic" text-anchor="middle" dominant-baseline="central">y</text>`);
+        labels.push('</g>');
+
+        return out.concat(labels).join('\n');
+    }
+
+    /**
+     * Vertical colormap gradient, minimum at the bottom
+     * @private
+     */
+    writeGradient(legend) {
+        const stops = legend.colormap.getCSSStops(FigureExporter.GRADIENT_STOPS);
+        const f = FigureExporter.formatNumber;
+        return [
+            '<linearGradient id="colorbar-gradient" x1="0" y1="1" x2="0" y2="0">',
+            ...stops.map((color, i) => `<stop offset="${f(i / (stops.length - 1))}" stop-color="${color}"/>`),
+            '</linearGradient>'
+        ].join('\n');
+    }
+
+    /**
+     * Colorbar right of the plot with ticks and a title, as in ColorLegend
+     * @private
+     */
+    writeColorbar({ colormap, range, quantity }, layout, unit, ink) {
+        const f = FigureExporter.formatNumber;
+        const x = layout.left + layout.width + FigureExporter.COLORBAR_GAP * unit;
+        const barWidth = FigureExporter.COLORBAR_WIDTH * unit;
+        const { top, height } = layout;
+        const tick = FigureExporter.TICK_LENGTH * unit;
+        const fontSize = FigureExporter.FONT_SIZE * unit;
+
+        const out = [
+            `<g stroke="${ink}" stroke-width="${f(unit)}">`,
+            `<rect x="${f(x)}" y="${f(top)}" width="${f(barWidth)}" height="${f(height)}" fill="url(#colorbar-gradient)"/>`
+        ];
+        const labels = [`<g fill="${ink}" font-size="${f(fontSize)}">`];
+
+        const ticks = quantity === 'angle' && range.min === -Math.PI && range.max === Math.PI
+            ? Colormap.ANGLE_TICKS
+            : Colormap.getTicks(range.min, range.max);
+        ticks.forEach(({ value, label }) => {
+            const y = top + height - (value - range.min) / (range.max - range.min) * height;
+            out.push(`<line x1="${f(x + barWidth)}" y1="${f(y)}" x2="${f(x + barWidth + tick)}" y2="${f(y)}"/>`);
+            labels.push(`<text x="${f(x + barWidth + tick * 1.5)}" y="${f(y)}" dominant-baseline="central">${FigureExporter.escapeXML(label)}</text>`);
+        });
+        out.push('</g>');
+
+        const title = `${Colormap.QUANTITY_LABELS[quantity] || quantity} (${colormap.label})`;
+        const titleX = x + (FigureExporter.COLORBAR_MARGIN - FigureExporter.COLORBAR_GAP - FigureExporter.MARGIN.right / 2) * unit;
+        const titleY = top + height / 2;
+        labels.push(`<text x="${f(titleX)}" y="${f(titleY)}" text-anchor="middle" transform="rotate(90 ${f(titleX)} ${f(titleY)})">${FigureExporter.escapeXML(title)}</text>`);
+        labels.push('</g>');
+
+        return out.concat(labels).join('\n');
+    }
+
+    /**
+     * Coordinates to two decimals, which is finer than print resolution
+     * @param {number} value
+     * @returns {string}
+     */
+    static formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Escape text for XML content and attributes
+     * @param {string} text
+     * @returns {string}
+     */
+    static escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Split a CSS color into an SVG fill and opacity, since rgba() fills are not read everywhere
+     * @param {string} css - '#rrggbb' or 'rgba(r, g, b, a)'
+     * @returns {Object} - {fill, opacity}
+     */
+    static parseCSSColor(css) {
+        const match = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(css);
+        if (!match) return { fill: css, opacity: 1 };
+        return {
+            fill: `rgb(${match[1]}, ${match[2]}, ${match[3]})`,
+            opacity: match[4] === undefined ? 1 : parseFloat(match[4])
+        };
+    }
+}
+
+// Figure side, in pixels, at which text and strokes have their nominal size
+FigureExporter.REFERENCE_SIZE = 600;
+
+// Space around the plot for tick labels and axis names, in nominal pixels; a colorbar widens the right margin
+FigureExporter.MARGIN = { left: 70, right: 20, top: 20, bottom: 55 };
+FigureExporter.COLORBAR_MARGIN = 120;
+
+// Colorbar position and width, in nominal pixels
+FigureExporter.COLORBAR_GAP = 20;
+FigureExporter.COLORBAR_WIDTH = 14;
+
+// Nominal sizes: tick labels, tick marks, contour lines and the outline hiding seams between ribbon quads
+FigureExporter.FONT_SIZE = 12;
+FigureExporter.TICK_LENGTH = 5;
+FigureExporter.LINE_WIDTH = 1.5;
+FigureExporter.SEAM_WIDTH = 0.5;
+
+// Approximate number of ticks per axis
+FigureExporter.AXIS_TICKS = 6;
+
+// Colormap samples in the colorbar gradient
+FigureExporter.GRADIENT_STOPS = 32;
+
+// Label text geometry relative to the font size, matching VisualizationMode.createLabel
+FigureExporter.LABEL_LINE_HEIGHT = 1.4;
+FigureExporter.CHARACTER_WIDTH = 0.6;
+
+// Background as displayed, and axis colors on it and on light pages
+FigureExporter.BACKGROUND = '#1a1a1a';
+FigureExporter.DARK_PAGE_INK = '#dddddd';
+FigureExporter.LIGHT_PAGE_INK = '#222222';
+
+window.FigureExporter = FigureExporter;
@@ -8,9 +8,11 @@ class CameraController {
         this.container = container;
         this.dimension = dimension;
 
+        this.enabled = true; // Disabled while another tool owns the pointer
         this.isDragging = false;
         this.previousMousePosition = { x: 0, y: 0 };
         this.zoom = 1;
+        this.homeZoom = 1;
         this.minZoom = 0.1;
         this.maxZoom = 10;
 
@@ -21,6 +23,9 @@ class CameraController {
         this.maxDistance = 100;
         this.target = new THREE.Vector3(0, 0, 0);
 
+        // Domain the home view frames, null for the default view of the built-in fields
+        this.homeBounds = null;
+
         this.initEventListeners();
     }
 
@@ -44,6 +49,7 @@ class CameraController {
      * Handle mouse down
      */
     onMouseDown(event) {
+        if (!this.enabled) return;
         if (event.button !== 0 && event.button !== 2) return; // Only left and right click
 
         this.isDragging = true;
@@ -85,7 +91,7 @@ class CameraController {
         const direction = event.deltaY > 0 ? 1 : -1;
 
         if (this.dimension === 2) {
-            this.zoom += direction * zoomSpeed;
+            this.zoom += direction * zoomSpeed * this.homeZoom;
             this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.zoom));
             this.updateOrthographicCamera();
         } else {
@@ -99,6 +105,7 @@ class CameraController {
      * Handle touch start
      */
     onTouchStart(event) {
+        if (!this.enabled) return;
         if (event.touches.length === 1) {
             this.isDragging = true;
             this.previousMousePosition = {
@@ -142,7 +149,7 @@ class CameraController {
                 const zoomSpeed = 0.01;
 
                 if (this.dimension === 2) {
-                    this.zoom -= delta * zoomSpeed;
+                    this.zoom -= delta * zoomSpeed * this.homeZoom;
                     this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.zoom));
                     this.updateOrthographicCamera();
                 } else {
@@ -214,21 +221,63 @@ class CameraController {
     }
 
     /**
-     * Reset view
+     * Reset view to the home view
      */
     reset() {
-        this.zoom = 1;
-        this.rotation = { x: 0, y: 0 };
-        this.distance = 12;
+        const home = this.getHomeView();
+        // Limits and zoom steps keep their proportions to the home view
+        this.homeZoom = home.zoom;
+        this.zoom = home.zoom;
+        this.minZoom = 0.1 * home.zoom;
+        this.maxZoom = 10 * home.zoom;
+        this.rotation = this.dimension === 3 ? { ...CameraController.DEFAULT_ROTATION_3D } : { x: 0, y: 0 };
+        this.distance = home.distance;
+        this.minDistance = 2 * home.distance / 12;
+        this.maxDistance = 100 * home.distance / 12;
+        this.target.copy(home.target);
 
         if (this.dimension === 2) {
-            this.camera.position.set(0, 0, 10);
+            this.camera.position.set(home.target.x, home.target.y, 10);
             this.updateOrthographicCamera();
         } else {
             this.updatePerspectiveCamera();
         }
     }
 
+    /**
+     * Make the home view frame a domain, e.g. of loaded data, and go there
+     * @param {Object|null} bounds - {min: {x, y, z?}, max: {x, y, z?}}, or null for the default view
+     */
+    frameBounds(bounds) {
+        this.homeBounds = bounds;
+        this.reset();
+    }
+
+    /**
+     * Zoom, orbit distance and target of the home view
+     * @private
+     * @returns {Object} - {zoom, distance, target}
+     */
+    getHomeView() {
+        const bounds = this.homeBounds;
+        if (!bounds) {
+            return { zoom: 1, distance: 12, target: new THREE.Vector3(0, 0, 0) };
+        }
+
+        const axes = this.dimension === 3 ? ['x', 'y', 'z'] : ['x', 'y'];
+        const center = axes.map(a => ((bounds.min[a] || 0) + (bounds.max[a] || 0)) / 2);
+        const half = axes.map(a => ((bounds.max[a] || 0) - (bounds.min[a] || 0)) / 2);
+        const aspect = this.container.clientWidth / this.container.clientHeight || 1;
+
+        // The default 2D view shows 10 units above and below the center
+        const extent = Math.max(half[1], half[0] / aspect) * CameraController.FRAME_MARGIN;
+        return {
+            zoom: extent > 0 ? 10 / extent : 1,
+            distance: Math.max(...half) * 2 * CameraController.FRAME_DISTANCE || 12,
+            target: new THREE.Vector3(center[0], center[1], center[2] || 0)
+        };
+    }
+
     /**
      * Set dimension (2D or 3D)
      */
@@ -237,6 +286,17 @@ class CameraController {
         this.reset();
     }
 
+    /**
+     * Control a new camera, e.g. after a dimension switch
+     * @param {THREE.Camera} camera - Orthographic for 2D, perspective for 3D
+     * @param {number} dimension - 2 or 3
+     */
+    setCamera(camera, dimension = this.dimension) {
+        this.camera = camera;
+        this.isDragging = false;
+        this.setDimension(dimension);
+    }
+
     /**
      * Clean up event listeners
      */
@@ -251,4 +311,13 @@ class CameraController {
     }
 }
 
+// Initial orbit angles in 3D, looking down at the domain from an oblique angle
+CameraController.DEFAULT_ROTATION_3D = { x: 0.45, y: 0.6 };
+
+// Space around framed 2D bounds, as a factor of their size
+CameraController.FRAME_MARGIN = 1.05;
+
+// Orbit distance for framed 3D bounds, as a factor of their largest side
+CameraController.FRAME_DISTANCE = 1.2;
+
 window.CameraController = CameraController;
@@ -17,10 +17,22 @@ class RenderEngine {
         this.stats = {
             fps: 0,
             frameTime: 0,
-            vectorCount: 0
+            vectorCount: 0,
+            time: 0
         };
 
-        this.visualizationMode = null;
+        // Global simulation clock, bound to `t` in time-dependent fields
+        this.clock = {
+            time: 0,
+            speed: 1,
+            playing: true,
+            loop: true,
+            loopStart: 0,
+            loopEnd: 10
+        };
+
+        this.visualizationModes = [];
+        this.frameCallbacks = [];
     }
 
     /**
@@ -58,9 +70,20 @@ class RenderEngine {
         const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
         this.lastTime = currentTime;
 
-        // Update visualization if present
-        if (this.visualizationMode && this.visualizationMode.update) {
-            this.visualizationMode.update(deltaTime);
+        // Advance the simulation clock
+        const simDeltaTime = this.advanceClock(deltaTime);
+
+        // Per-frame hooks (e.g. parameter animation)
+        this.frameCallbacks.forEach(callback => callback(deltaTime));
+
+        // Update visualizations
+        for (const mode of this.visualizationModes) {
+            if (mode.setTime) {
+                mode.setTime(this.clock.time);
+            }
+            if (mode.update) {
+                mode.update(simDeltaTime);
+            }
         }
 
         // Render scene
@@ -73,6 +96,113 @@ class RenderEngine {
         this.animationFrameId = requestAnimationFrame(this.animate);
     };
 
+    /**
+     * Advance the simulation clock by a frame
+     * @private
+     * @param {number} deltaTime - Wall-clock seconds since the last frame
+     * @returns {number} - Simulation seconds elapsed during this frame
+     */
+    advanceClock(deltaTime) {
+        const clock = this.clock;
+        if (!clock.playing) return 0;
+
+        const previous = clock.time;
+        let time = previous + deltaTime * clock.speed;
+        const span = clock.loopEnd - clock.loopStart;
+
+        if (clock.loop && span > 0) {
+            // Wrap into [loopStart, loopEnd) in either playback direction
+            time = clock.loopStart + ((((time - clock.loopStart) % span) + span) % span);
+        } else if (time >= clock.loopEnd || time <= clock.loopStart) {
+            // Stop at the end of the range when not looping
+            time = Math.max(clock.loopStart, Math.min(clock.loopEnd, time));
+            clock.playing = false;
+        }
+
+        clock.time = time;
+        return clock.playing ? deltaTime * clock.speed : time - previous;
+    }
+
+    /**
+     * Start advancing the simulation clock
+     */
+    play() {
+        const clock = this.clock;
+        // Restart from the beginning if playback had stopped at the end of the range
+        if (!clock.loop && clock.speed > 0 && clock.time >= clock.loopEnd) {
+            clock.time = clock.loopStart;
+        } else if (!clock.loop && clock.speed < 0 && clock.time <= clock.loopStart) {
+            clock.time = clock.loopEnd;
+        }
+        clock.playing = true;
+    }
+
+    /**
+     * Freeze the simulation clock
+     */
+    pause() {
+        this.clock.playing = false;
+    }
+
+    /**
+     * Toggle between playing and paused
+     * @returns {boolean} - True if the clock is now playing
+     */
+    togglePlayback() {
+        if (this.clock.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+        return this.clock.playing;
+    }
+
+    /**
+     * Scrub the simulation clock to a given time
+     * @param {number} time - New simulation time
+     */
+    setTime(time) {
+        if (!Number.isFinite(time)) return;
+        this.clock.time = time;
+    }
+
+    /**
+     * Get the current simulation time
+     * @returns {number}
+     */
+    getTime() {
+        return this.clock.time;
+    }
+
+    /**
+     * Set the playback speed (negative values play backwards)
+     * @param {number} speed - Simulation seconds per wall-clock second
+     */
+    setSpeed(speed) {
+        if (!Number.isFinite(speed)) return;
+        this.clock.speed = speed;
+    }
+
+    /**
+     * Set the time range the clock plays through
+     * @param {number} start - Range start
+     * @param {number} end - Range end, must be greater than start
+     */
+    setLoopRange(start, end) {
+        if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) return;
+        this.clock.loopStart = start;
+        this.clock.loopEnd = end;
+        this.clock.time = Math.max(start, Math.min(end, this.clock.time));
+    }
+
+    /**
+     * Enable or disable looping over the time range
+     * @param {boolean} loop
+     */
+    setLooping(loop) {
+        this.clock.loop = loop;
+    }
+
     /**
      * Render a single frame
      */
@@ -96,21 +226,49 @@ class RenderEngine {
         }
 
         this.stats.frameTime = deltaTime * 1000; // Convert to milliseconds
-        this.stats.vectorCount = this.sceneManager.meshes.length;
+        this.stats.vectorCount = this.sceneManager.getObjectCount();
+        this.stats.time = this.clock.time;
     }
 
     /**
      * Get current statistics
      */
     getStats() {
-        return { ...this.stats };
+        return { ...this.stats, playing: this.clock.playing };
     }
 
     /**
      * Set the visualization mode to update
      */
     setVisualizationMode(mode) {
-        this.visualizationMode = mode;
+        this.setVisualizationModes(mode ? [mode] : []);
+    }
+
+    /**
+     * Set all visualization modes to update, e.g. a mode plus its overlays
+     * @param {Array} modes - VisualizationMode instances
+     */
+    setVisualizationModes(modes) {
+        this.visualizationModes = modes.slice();
+    }
+
+    /**
+     * Register a callback invoked every frame with the wall-clock delta time
+     * @param {Function} callback - f(deltaTime)
+     */
+    addFrameCallback(callback) {
+        this.frameCallbacks.push(callback);
+    }
+
+    /**
+     * Unregister a frame callback
+     * @param {Function} callback
+     */
+    removeFrameCallback(callback) {
+        const idx = this.frameCallbacks.indexOf(callback);
+        if (idx > -1) {
+            this.frameCallbacks.splice(idx, 1);
+        }
     }
 
     /**
@@ -8,6 +8,7 @@ class SceneManager {
         this.container = container;
         this.dimension = 2;
         this.meshes = [];
+        this.layerGroups = new Map(); // Layer order -> THREE.Group
 
         // Three.js core setup
         this.initRenderer();
@@ -66,69 +67,90 @@ class SceneManager {
      * Initialize camera for 2D/3D
      */
     initCamera() {
+        this.camera = this.createCamera(this.dimension);
+    }
+
+    /**
+     * Create the default camera for a dimension
+     * 2D uses an orthographic camera looking down z, 3D a perspective camera
+     * @param {number} dimension - 2 or 3
+     * @returns {THREE.Camera}
+     */
+    createCamera(dimension) {
         const width = this.container.clientWidth;
         const height = this.container.clientHeight;
+        let camera;
 
-        if (this.dimension === 2) {
+        if (dimension === 2) {
             const aspect = width / height;
-            this.camera = new THREE.OrthographicCamera(
+            camera = new THREE.OrthographicCamera(
                 -10 * aspect, 10 * aspect,  // left, right
                 10, -10,                     // top, bottom
                 0.1, 1000                    // near, far
             );
-            this.camera.position.z = 10;
+            camera.position.z = 10;
         } else {
-            this.camera = new THREE.PerspectiveCamera(
+            camera = new THREE.PerspectiveCamera(
                 75,           // fov
                 width / height, // aspect
                 0.1,          // near
                 1000          // far
             );
-            this.camera.position.set(10, 10, 10);
-            this.camera.lookAt(0, 0, 0);
+            camera.position.set(10, 10, 10);
+            camera.lookAt(0, 0, 0);
         }
+
+        return camera;
     }
 
     /**
-     * Switch between 2D and 3D with smooth transition
+     * Switch between 2D and 3D with a smooth camera transition
+     * Pose and projection are blended from the current camera to the target camera,
+     * so the view morphs between orthographic and perspective
+     * @param {number} dimension - Target dimension; toggles when omitted
+     * @param {THREE.Camera} camera - Target camera; a default camera is created when omitted
+     * @returns {Promise<THREE.Camera>} - Resolves with the target camera once it is active
      */
-    async switchDimension() {
-        const newDimension = this.dimension === 2 ? 3 : 2;
-        const duration = 0.5; // seconds
-        const steps = 30;
+    switchDimension(dimension = this.dimension === 2 ? 3 : 2, camera = null) {
+        const target = camera || this.createCamera(dimension);
+        const source = this.camera;
+        const duration = SceneManager.DIMENSION_TRANSITION_DURATION * 1000;
+
+        source.updateMatrixWorld();
+        const startPosition = source.position.clone();
+        const startQuaternion = source.quaternion.clone();
+        const startProjection = source.projectionMatrix.clone();
+
+        // Camera whose matrices are blended each frame
+        const transition = new THREE.Camera();
+        this.camera = transition;
 
         const startTime = performance.now();
-        const oldCamera = this.camera;
-        const oldPosition = { ...oldCamera.position };
 
         return new Promise(resolve => {
             const animate = (currentTime) => {
-                const elapsed = (currentTime - startTime) / 1000;
-                const progress = Math.min(elapsed / duration, 1);
-
-                if (progress < 1) {
-                    // Interpolate camera
-                    if (newDimension === 2) {
-                        const aspect = this.container.clientWidth / this.container.clientHeight;
-                        oldCamera.left = -10 * aspect * (1 - progress * 0.5);
-                        oldCamera.right = 10 * aspect * (1 - progress * 0.5);
-                        oldCamera.top = 10 * (1 - progress * 0.5);
-                        oldCamera.bottom = -10 * (1 - progress * 0.5);
-                        oldCamera.position.z = 10 - progress * 5;
-                        oldCamera.updateProjectionMatrix();
-                    } else {
-                        // Transition from orthographic to perspective
-                        oldCamera.position.x = 5 + progress * 5;
-                        oldCamera.position.y = 5 + progress * 5;
-                        oldCamera.position.z = 10 - progress * 2;
+                const linear = Math.min((currentTime - startTime) / duration, 1);
+                const progress = linear * linear * (3 - 2 * linear); // Smoothstep
+
+                if (linear < 1) {
+                    target.updateMatrixWorld();
+                    transition.position.lerpVectors(startPosition, target.position, progress);
+                    transition.quaternion.copy(startQuaternion).slerp(target.quaternion, progress);
+
+                    const from = startProjection.elements;
+                    const to = target.projectionMatrix.elements;
+                    const blended = transition.projectionMatrix.elements;
+                    for (let i = 0; i < 16; i++) {
+                        blended[i] = from[i] + (to[i] - from[i]) * progress;
                     }
+                    transition.projectionMatrixInverse.copy(transition.projectionMatrix).invert();
 
                     requestAnimationFrame(animate);
                 } else {
                     // Complete transition
-                    this.dimension = newDimension;
-                    this.initCamera();
-                    resolve();
+                    this.dimension = dimension;
+                    this.camera = target;
+                    resolve(target);
                 }
             };
 
@@ -138,32 +160,44 @@ class SceneManager {
 
     /**
      * Add a mesh to the scene
+     * @param {THREE.Object3D} mesh
+     * @param {THREE.Object3D} parent - Scene or layer group to add to (default: the scene)
      */
-    addMesh(mesh) {
-        this.scene.add(mesh);
+    addMesh(mesh, parent = this.scene) {
+        parent.add(mesh);
         this.meshes.push(mesh);
         return mesh;
     }
 
+    /**
+     * Get the group holding the meshes of a visualization layer, creating it if needed
+     * @param {number} order - Layer position in the stack, 0 at the bottom
+     * @param {number} zOffset - Depth offset of the group, lifting upper layers above lower ones
+     * @returns {THREE.Group}
+     */
+    getLayerGroup(order, zOffset = 0) {
+        let group = this.layerGroups.get(order);
+        if (!group) {
+            group = new THREE.Group();
+            group.name = `layer-${order}`;
+            this.scene.add(group);
+            this.layerGroups.set(order, group);
+        }
+        group.position.z = zOffset;
+        return group;
+    }
+
     /**
      * Remove a mesh from the scene
      */
     removeMesh(mesh) {
-        this.scene.remove(mesh);
+        if (mesh.parent) mesh.parent.remove(mesh);
         const idx = this.meshes.indexOf(mesh);
         if (idx > -1) {
             this.meshes.splice(idx, 1);
         }
 
-        // Cleanup geometry and material
-        if (mesh.geometry) mesh.geometry.dispose();
-        if (mesh.material) {
-            if (Array.isArray(mesh.material)) {
-                mesh.material.forEach(m => m.dispose());
-            } else {
-                mesh.material.dispose();
-            }
-        }
+        this.disposeMesh(mesh);
     }
 
     /**
@@ -171,17 +205,31 @@ class SceneManager {
      */
     clearMeshes() {
         this.meshes.forEach(mesh => {
-            if (mesh.geometry) mesh.geometry.dispose();
-            if (mesh.material) {
-                if (Array.isArray(mesh.material)) {
-                    mesh.material.forEach(m => m.dispose());
-                } else {
-                    mesh.material.dispose();
-                }
-            }
-            this.scene.remove(mesh);
+            this.disposeMesh(mesh);
+            if (mesh.parent) mesh.parent.remove(mesh);
         });
         this.meshes = [];
+
+        this.layerGroups.forEach(group => this.scene.remove(group));
+        this.layerGroups.clear();
+    }
+
+    /**
+     * Free GPU resources of a mesh and its children (geometry, material, textures)
+     * @private
+     */
+    disposeMesh(mesh) {
+        mesh.traverse(object => {
+            if (object.isInstancedMesh) object.dispose();
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                const materials = Array.isArray(object.material) ? object.material : [object.material];
+                materials.forEach(m => {
+                    if (m.map) m.map.dispose();
+                    m.dispose();
+                });
+            }
+        });
     }
 
     /**
@@ -191,6 +239,137 @@ class SceneManager {
         this.renderer.render(this.scene, this.camera);
     }
 
+    /**
+     * Render the current view offscreen at any pixel size, independent of the window
+     * The view keeps its vertical extent and widens or narrows to the image aspect. Images
+     * larger than a render target are drawn in tiles.
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} options - {transparent}: leave the background out
+     * @returns {HTMLCanvasElement} - The image
+     * @throws {Error} - For sizes beyond MAX_EXPORT_SIZE, or during a dimension transition
+     */
+    renderImage(width, height, options = {}) {
+        if (!(width >= 1 && height >= 1 && width <= SceneManager.MAX_EXPORT_SIZE && height <= SceneManager.MAX_EXPORT_SIZE)) {
+            throw new Error(`Image size must be between 1 and ${SceneManager.MAX_EXPORT_SIZE} pixels per side`);
+        }
+
+        const camera = this.createExportCamera(width / height);
+        const capabilities = this.renderer.capabilities;
+        const tileSize = Math.min(SceneManager.EXPORT_TILE_SIZE, capabilities.maxTextureSize);
+        const TargetClass = capabilities.isWebGL2 ? THREE.WebGLMultisampleRenderTarget : THREE.WebGLRenderTarget;
+        const target = new TargetClass(Math.min(tileSize, width), Math.min(tileSize, height));
+        const pixels = new Uint8Array(tileSize * tileSize * 4);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) {
+            target.dispose();
+            throw new Error(`The browser cannot hold a ${width}\u00D7${height} image`);
+        }
+
+        const background = this.scene.background;
+        const clearColor = this.renderer.getClearColor(new THREE.Color());
+        const clearAlpha = this.renderer.getClearAlpha();
+        if (options.transparent) {
+            this.scene.background = null;
+            this.renderer.setClearColor(clearColor, 0);
+        }
+
+        try {
+            for (let top = 0; top < height; top += tileSize) {
+                for (let left = 0; left < width; left += tileSize) {
+                    const w = Math.min(tileSize, width - left);
+                    const h = Math.min(tileSize, height - top);
+                    camera.setViewOffset(width, height, left, top, w, h);
+                    target.setSize(w, h);
+
+                    this.renderer.setRenderTarget(target);
+                    this.renderer.render(this.scene, camera);
+                    this.renderer.readRenderTargetPixels(target, 0, 0, w, h, pixels);
+
+                    // WebGL rows run bottom to top
+                    const image = ctx.createImageData(w, h);
+                    for (let row = 0; row < h; row++) {
+                        image.data.set(pixels.subarray((h - 1 - row) * w * 4, (h - row) * w * 4), row * w * 4);
+                    }
+                    ctx.putImageData(image, left, top);
+                }
+            }
+        } finally {
+            this.renderer.setRenderTarget(null);
+            this.scene.background = background;
+            this.renderer.setClearColor(clearColor, clearAlpha);
+            target.dispose();
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Copy of the camera with a different aspect ratio
+     * @private
+     * @param {number} aspect - Width over height
+     * @returns {THREE.Camera}
+     */
+    createExportCamera(aspect) {
+        const camera = this.camera.clone();
+
+        if (camera.isOrthographicCamera) {
+            const center = (camera.left + camera.right) / 2;
+            const halfHeight = (camera.top - camera.bottom) / 2;
+            camera.left = center - halfHeight * aspect;
+            camera.right = center + halfHeight * aspect;
+        } else if (camera.isPerspectiveCamera) {
+            camera.aspect = aspect;
+        } else {
+            throw new Error('The view is changing dimension; export again once it settles');
+        }
+
+        camera.updateProjectionMatrix();
+        return camera;
+    }
+
+    /**
+     * Convert a screen position to world coordinates
+     * In 2D the ray hits the z = 0 plane; in 3D a plane through the origin facing the camera
+     * @param {number} clientX - Pointer x in client pixels
+     * @param {number} clientY - Pointer y in client pixels
+     * @returns {THREE.Vector3|null} - World position, or null if the ray misses the plane
+     */
+    screenToWorld(clientX, clientY) {
+        const raycaster = this.getRaycaster(clientX, clientY);
+
+        const normal = new THREE.Vector3(0, 0, 1);
+        if (this.dimension === 3) {
+            this.camera.getWorldDirection(normal).negate();
+        }
+        const plane = new THREE.Plane(normal, 0);
+
+        const target = new THREE.Vector3();
+        return raycaster.ray.intersectPlane(plane, target);
+    }
+
+    /**
+     * Create a raycaster through a screen position
+     * @param {number} clientX - Pointer x in client pixels
+     * @param {number} clientY - Pointer y in client pixels
+     * @returns {THREE.Raycaster}
+     */
+    getRaycaster(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const ndc = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(ndc, this.camera);
+        return raycaster;
+    }
+
     /**
      * Get camera position
      */
@@ -218,12 +397,13 @@ class SceneManager {
         const width = this.container.clientWidth;
         const height = this.container.clientHeight;
 
-        if (this.dimension === 2) {
+        // Checked by type, since the camera is a plain blend during dimension transitions
+        if (this.camera.isOrthographicCamera) {
             const aspect = width / height;
             this.camera.left = -10 * aspect;
             this.camera.right = 10 * aspect;
             this.camera.updateProjectionMatrix();
-        } else {
+        } else if (this.camera.isPerspectiveCamera) {
             this.camera.aspect = width / height;
             this.camera.updateProjectionMatrix();
         }
@@ -240,6 +420,14 @@ class SceneManager {
         this.container.removeChild(this.renderer.domElement);
     }
 
+    /**
+     * Count drawn objects, counting every instance of an instanced mesh
+     * @returns {number}
+     */
+    getObjectCount() {
+        return this.meshes.reduce((sum, m) => sum + (m.isInstancedMesh ? m.count : 1), 0);
+    }
+
     /**
      * Get scene statistics
      */
@@ -247,14 +435,25 @@ class SceneManager {
         return {
             meshes: this.meshes.length,
             geometries: this.scene.children.length,
+            objects: this.getObjectCount(),
             triangles: this.meshes.reduce((sum, m) => {
-                if (m.geometry && m.geometry.index) {
-                    return sum + m.geometry.index.count / 3;
-                }
-                return sum;
+                if (!m.geometry) return sum;
+                const vertices = m.geometry.index
+                    ? m.geometry.index.count
+                    : m.geometry.getAttribute('position').count;
+                return sum + (vertices / 3) * (m.isInstancedMesh ? m.count : 1);
             }, 0)
         };
     }
 }
 
+// Seconds for the 2D/3D camera transition
+SceneManager.DIMENSION_TRANSITION_DURATION = 0.6;
+
+// Largest exported image side, within what browsers allow for a canvas
+SceneManager.MAX_EXPORT_SIZE = 16384;
+
+// Side of the offscreen tiles that exported images are rendered in
+SceneManager.EXPORT_TILE_SIZE = 2048;
+
 window.SceneManager = SceneManager;
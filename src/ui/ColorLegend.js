@@ -0,0 +1,96 @@
+/**
+ * ColorLegend.js - Colorbar drawn over the viewport
+ * Shows the colormap, range and quantity of a mode's color mapping with tick labels
+ */
+
+class ColorLegend {
+    /**
+     * Create the legend canvas inside a container
+     * @param {HTMLElement} container - Positioned element over the viewport
+     */
+    constructor(container) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.id = 'color-legend';
+        this.canvas.style.width = ColorLegend.WIDTH + 'px';
+        this.canvas.style.height = ColorLegend.HEIGHT + 'px';
+        container.appendChild(this.canvas);
+
+        this.key = null; // Identifies the drawn legend, to skip redundant redraws
+        this.update(null);
+    }
+
+    /**
+     * Show a legend, or hide the colorbar
+     * @param {Object|null} legend - {colormap, range, quantity} from VisualizationMode.getLegend
+     */
+    update(legend) {
+        if (!legend) {
+            this.canvas.style.display = 'none';
+            this.key = null;
+            return;
+        }
+
+        const key = [legend.colormap.name, legend.quantity, legend.range.min, legend.range.max].join('|');
+        if (key === this.key) return;
+        this.key = key;
+
+        this.canvas.style.display = 'block';
+        this.draw(legend);
+    }
+
+    /**
+     * Draw title, gradient bar and ticks
+     * @private
+     */
+    draw({ colormap, range, quantity }) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = ColorLegend.WIDTH;
+        const height = ColorLegend.HEIGHT;
+        this.canvas.width = width * ratio;
+        this.canvas.height = height * ratio;
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const padding = 10;
+        const barTop = 24;
+        const barHeight = 12;
+        const barWidth = width - 2 * padding;
+
+        ctx.font = '11px monospace';
+        ctx.fillStyle = '#ddd';
+        ctx.textBaseline = 'alphabetic';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${Colormap.QUANTITY_LABELS[quantity] || quantity} (${colormap.label})`, padding, 16);
+
+        const gradient = ctx.createLinearGradient(padding, 0, padding + barWidth, 0);
+        const stops = colormap.getCSSStops(32);
+        stops.forEach((color, i) => gradient.addColorStop(i / (stops.length - 1), color));
+        ctx.fillStyle = gradient;
+        ctx.fillRect(padding, barTop, barWidth, barHeight);
+
+        ctx.strokeStyle = '#ddd';
+        ctx.fillStyle = '#ddd';
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'center';
+        const ticks = quantity === 'angle' && range.min === -Math.PI && range.max === Math.PI
+            ? Colormap.ANGLE_TICKS
+            : Colormap.getTicks(range.min, range.max);
+
+        ticks.forEach(({ value, label }) => {
+            const x = padding + (value - range.min) / (range.max - range.min) * barWidth;
+            ctx.beginPath();
+            ctx.moveTo(x, barTop + barHeight);
+            ctx.lineTo(x, barTop + barHeight + 4);
+            ctx.stroke();
+            ctx.fillText(label, Math.max(padding, Math.min(width - padding, x)), barTop + barHeight + 6);
+        });
+    }
+}
+
+// Colorbar size in CSS pixels
+ColorLegend.WIDTH = 220;
+ColorLegend.HEIGHT = 56;
+
+window.ColorLegend = ColorLegend;
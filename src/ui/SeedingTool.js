@@ -0,0 +1,140 @@
+/**
+ * SeedingTool.js - Place streamline seeds with the pointer
+ * 'point' seeds a single streamline per click, 'rake' seeds evenly along a dragged line
+ */
+
+class SeedingTool {
+    /**
+     * @param {SceneManager} sceneManager - Used for screen-to-world conversion and previews
+     * @param {HTMLElement} container - Element receiving pointer events
+     * @param {Function} onSeeds - Called with an array of {x, y, z?} seeds
+     */
+    constructor(sceneManager, container, onSeeds) {
+        this.sceneManager = sceneManager;
+        this.container = container;
+        this.onSeeds = onSeeds;
+
+        this.tool = 'none'; // 'none', 'point' or 'rake'
+        this.rakeCount = 10;
+        this.dimension = 2;
+        this.dragStart = null;
+        this.preview = null;
+
+        this.handleMouseDown = (e) => this.onMouseDown(e);
+        this.handleMouseMove = (e) => this.onMouseMove(e);
+        this.handleMouseUp = (e) => this.onMouseUp(e);
+
+        this.container.addEventListener('mousedown', this.handleMouseDown);
+        this.container.addEventListener('mousemove', this.handleMouseMove);
+        window.addEventListener('mouseup', this.handleMouseUp);
+    }
+
+    /**
+     * Select the active tool
+     * @param {string} tool - 'none', 'point' or 'rake'
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.dragStart = null;
+        this.removePreview();
+    }
+
+    /**
+     * Whether a tool currently owns the pointer
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.tool !== 'none';
+    }
+
+    onMouseDown(event) {
+        if (!this.isActive() || event.button !== 0) return;
+
+        const point = this.sceneManager.screenToWorld(event.clientX, event.clientY);
+        if (!point) return;
+
+        if (this.tool === 'point') {
+            this.onSeeds([this.toSeed(point)]);
+        } else {
+            this.dragStart = point;
+        }
+    }
+
+    onMouseMove(event) {
+        if (this.tool !== 'rake' || !this.dragStart) return;
+
+        const point = this.sceneManager.screenToWorld(event.clientX, event.clientY);
+        if (point) {
+            this.updatePreview(this.dragStart, point);
+        }
+    }
+
+    onMouseUp(event) {
+        if (this.tool !== 'rake' || !this.dragStart) return;
+
+        const start = this.dragStart;
+        const end = this.sceneManager.screenToWorld(event.clientX, event.clientY) || start;
+        this.dragStart = null;
+        this.removePreview();
+
+        const count = Math.max(1, this.rakeCount);
+        const seeds = [];
+        for (let i = 0; i < count; i++) {
+            const f = count === 1 ? 0.5 : i / (count - 1);
+            seeds.push(this.toSeed(new THREE.Vector3().lerpVectors(start, end, f)));
+        }
+        this.onSeeds(seeds);
+    }
+
+    /**
+     * @private
+     */
+    toSeed(point) {
+        return this.dimension === 3
+            ? { x: point.x, y: point.y, z: point.z }
+            : { x: point.x, y: point.y };
+    }
+
+    /**
+     * Draw the rake line while dragging
+     * @private
+     */
+    updatePreview(start, end) {
+        if (!this.preview) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+            const material = new THREE.LineBasicMaterial({ color: 0xffd43b, depthTest: false });
+            this.preview = new THREE.Line(geometry, material);
+            this.preview.renderOrder = VisualizationMode.OVERLAY_RENDER_ORDER;
+            this.sceneManager.scene.add(this.preview);
+        }
+
+        const positions = this.preview.geometry.getAttribute('position');
+        positions.setXYZ(0, start.x, start.y, start.z);
+        positions.setXYZ(1, end.x, end.y, end.z);
+        positions.needsUpdate = true;
+    }
+
+    /**
+     * @private
+     */
+    removePreview() {
+        if (!this.preview) return;
+        this.sceneManager.scene.remove(this.preview);
+        this.preview.geometry.dispose();
+        this.preview.material.dispose();
+        this.preview = null;
+    }
+
+    /**
+     * Remove event listeners
+     */
+    dispose() {
+        this.removePreview();
+        this.container.removeEventListener('mousedown', this.handleMouseDown);
+        this.container.removeEventListener('mousemove', this.handleMouseMove);
+        window.removeEventListener('mouseup', this.handleMouseUp);
+    }
+}
+
+window.SeedingTool = SeedingTool;
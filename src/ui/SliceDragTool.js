@@ -0,0 +1,107 @@
+/**
+ * SliceDragTool.js - Drag slice planes along their normal in the viewport
+ * Pointer presses that hit a slice frame are taken from the camera controls
+ */
+
+class SliceDragTool {
+    /**
+     * @param {SceneManager} sceneManager - Used for picking
+     * @param {HTMLElement} container - Element receiving pointer events
+     * @param {Function} onDrag - Called with the slice after each move
+     */
+    constructor(sceneManager, container, onDrag) {
+        this.sceneManager = sceneManager;
+        this.container = container;
+        this.onDrag = onDrag;
+
+        this.sliceMode = null; // SliceMode whose frames can be dragged
+        this.drag = null;
+
+        this.handleMouseDown = (e) => this.onMouseDown(e);
+        this.handleMouseMove = (e) => this.onMouseMove(e);
+        this.handleMouseUp = () => this.onMouseUp();
+
+        // Capture phase runs before the camera controls on the same container
+        this.container.addEventListener('mousedown', this.handleMouseDown, true);
+        window.addEventListener('mousemove', this.handleMouseMove);
+        window.addEventListener('mouseup', this.handleMouseUp);
+    }
+
+    /**
+     * Set the slice mode to pick from, or null to disable dragging
+     * @param {SliceMode|null} sliceMode
+     */
+    setSliceMode(sliceMode) {
+        this.sliceMode = sliceMode;
+        this.drag = null;
+    }
+
+    onMouseDown(event) {
+        if (!this.sliceMode || event.button !== 0) return;
+
+        const raycaster = this.sceneManager.getRaycaster(event.clientX, event.clientY);
+        const hits = raycaster.intersectObjects(this.sliceMode.getPickMeshes(), false);
+        if (hits.length === 0) return;
+
+        const slice = hits[0].object.userData.slice;
+        this.drag = {
+            slice,
+            anchor: hits[0].point.clone(),
+            startOffset: slice.offset
+        };
+
+        event.stopImmediatePropagation();
+        event.preventDefault();
+    }
+
+    onMouseMove(event) {
+        if (!this.drag) return;
+
+        const { slice, anchor, startOffset } = this.drag;
+        const ray = this.sceneManager.getRaycaster(event.clientX, event.clientY).ray;
+        const shift = this.closestAlongLine(ray, anchor, slice.normal);
+        if (shift === null) return;
+
+        const range = slice.getOffsetRange(this.sliceMode.vectorField.getBounds());
+        const offset = Math.max(range.min, Math.min(range.max, startOffset + shift));
+        if (offset === slice.offset) return;
+
+        slice.setOffset(offset);
+        this.sliceMode.renderSlice(slice);
+        this.onDrag(slice);
+    }
+
+    onMouseUp() {
+        this.drag = null;
+    }
+
+    /**
+     * Parameter s of the point anchor + s * direction closest to a ray
+     * @private
+     * @returns {number|null} - null when the ray is parallel to the line
+     */
+    closestAlongLine(ray, anchor, direction) {
+        const w = new THREE.Vector3().subVectors(ray.origin, anchor);
+        const a = ray.direction.dot(ray.direction);
+        const b = ray.direction.dot(direction);
+        const c = direction.dot(direction);
+        const d = ray.direction.dot(w);
+        const e = direction.dot(w);
+
+        const denominator = a * c - b * b;
+        if (Math.abs(denominator) < 1e-9) return null;
+
+        return (a * e - b * d) / denominator;
+    }
+
+    /**
+     * Remove event listeners
+     */
+    dispose() {
+        this.container.removeEventListener('mousedown', this.handleMouseDown, true);
+        window.removeEventListener('mousemove', this.handleMouseMove);
+        window.removeEventListener('mouseup', this.handleMouseUp);
+    }
+}
+
+window.SliceDragTool = SliceDragTool;
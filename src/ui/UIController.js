@@ -7,16 +7,53 @@ class UIController {
         this.app = app;
         this.state = {
             dimension: 2,
-            mode: 'arrows',
             function: '[-y, x]',
             functionVariables: ['x', 'y'],
-            color: '#ffffff',
-            scale: 1.0,
-            density: 1.5,
-            opacity: 1.0,
-            showArrowheads: true,
-            parameters: {}
+            dataSource: null, // Name of the loaded data file while it replaces the function
+            dataInterpolation: 'idw', // How scattered data samples are combined
+            showSamples: false,
+            layers: [],
+            selectedLayerId: null,
+            showCriticalPoints: false,
+            showSeparatrices: false,
+            seeding: 'grid',
+            separation: 1.0,
+            seedTool: 'none',
+            rakeCount: 10,
+            streamlineSeeds: [],
+            particleCount: 2000,
+            particleIntegrator: 'rk2',
+            particleSpeed: 0.2,
+            trailLength: 20,
+            particleLifetime: 5,
+            particleBoundary: 'respawn',
+            particleRespawn: 'random',
+            slices: [],
+            parameters: Object.create(null),
+            parameterDefinitions: [],
+            timeSpeed: 1.0,
+            timeLoop: true,
+            timeLoopStart: 0,
+            timeLoopEnd: 10
         };
+        this.isScrubbing = false;
+        // Keyed by parameter name, so without Object.prototype members
+        this.parameterAnimations = Object.create(null);
+        this.parameterControls = Object.create(null);
+        this.overlayModes = [];
+        this.sliceMode = null;
+        this.sliceControls = {};
+        this.isSwitchingDimension = false;
+        this.layerModes = [];
+        this.layerControls = {};
+        this.nextLayerId = 1;
+
+        const layer = this.createLayer('arrows');
+        this.state.layers.push(layer);
+        this.state.selectedLayerId = layer.id;
+
+        // Last accepted expression per dimension, restored when switching back
+        this.functionByDimension = { ...UIController.DEFAULT_FUNCTIONS };
 
         this.initEventListeners();
     }
@@ -31,6 +68,12 @@ class UIController {
             resetBtn.addEventListener('click', () => this.resetView());
         }
 
+        // Dimension toggle
+        const dimensionSelect = document.getElementById('dimension-select');
+        if (dimensionSelect) {
+            dimensionSelect.addEventListener('change', (e) => this.setDimension(parseInt(e.target.value, 10)));
+        }
+
         // Function preset
         const presetSelect = document.getElementById('function-preset');
         if (presetSelect) {
@@ -47,47 +90,921 @@ class UIController {
         const densitySlider = document.getElementById('density-slider');
         if (densitySlider) {
             densitySlider.addEventListener('input', (e) => {
-                this.state.density = parseFloat(e.target.value);
                 document.getElementById('density-value').textContent = e.target.value;
+                this.setLayerStyle('density', parseFloat(e.target.value));
+            });
+        }
+
+        // Color input
+        const colorInput = document.getElementById('vector-color');
+        if (colorInput) {
+            colorInput.addEventListener('input', (e) => this.setLayerStyle('color', e.target.value));
+        }
+
+        // Arrowheads toggle
+        const arrowheadsCheckbox = document.getElementById('show-arrowheads');
+        if (arrowheadsCheckbox) {
+            arrowheadsCheckbox.addEventListener('change', (e) => this.setLayerStyle('showArrowheads', e.target.checked));
+        }
+
+        // Color mapping
+        const colorBySelect = document.getElementById('color-by');
+        if (colorBySelect) {
+            colorBySelect.addEventListener('change', (e) => this.setLayerStyle('colorBy', e.target.value));
+        }
+
+        const colormapSelect = document.getElementById('colormap');
+        if (colormapSelect) {
+            colormapSelect.addEventListener('change', (e) => this.setLayerStyle('colormap', e.target.value));
+        }
+
+        // Heatmap surface
+        const interpolationSelect = document.getElementById('heatmap-interpolation');
+        if (interpolationSelect) {
+            interpolationSelect.addEventListener('change', (e) => this.setLayerStyle('interpolation', e.target.value));
+        }
+
+        const hillshadeCheckbox = document.getElementById('heatmap-hillshade');
+        if (hillshadeCheckbox) {
+            hillshadeCheckbox.addEventListener('change', (e) => this.setLayerStyle('hillshade', e.target.checked));
+        }
+
+        const licAnimateCheckbox = document.getElementById('lic-animate');
+        if (licAnimateCheckbox) {
+            licAnimateCheckbox.addEventListener('change', (e) => this.setLayerStyle('animatePhase', e.target.checked));
+        }
+
+        this.initContourControls();
+
+        const rangeModeSelect = document.getElementById('color-range-mode');
+        if (rangeModeSelect) {
+            rangeModeSelect.addEventListener('change', (e) => this.setColorRange({ mode: e.target.value }));
+        }
+
+        const percentileInput = document.getElementById('color-range-percentile');
+        if (percentileInput) {
+            percentileInput.addEventListener('change', (e) => {
+                const percentile = parseFloat(e.target.value);
+                if (Number.isFinite(percentile) && percentile >= 0 && percentile < 50) {
+                    this.setColorRange({ percentile });
+                }
+            });
+        }
+
+        ['min', 'max'].forEach(bound => {
+            const input = document.getElementById(`color-range-${bound}`);
+            if (input) {
+                input.addEventListener('change', (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (Number.isFinite(value)) {
+                        this.setColorRange({ [bound]: value });
+                    }
+                });
+            }
+        });
+
+        // Scale slider
+        const scaleSlider = document.getElementById('vector-scale');
+        if (scaleSlider) {
+            scaleSlider.addEventListener('input', (e) => {
+                document.getElementById('scale-value').textContent = e.target.value;
+                this.setLayerStyle('scale', parseFloat(e.target.value));
+            });
+        }
+
+        // Opacity slider
+        const opacitySlider = document.getElementById('opacity-slider');
+        if (opacitySlider) {
+            opacitySlider.addEventListener('input', (e) => {
+                document.getElementById('opacity-value').textContent = Math.round(parseFloat(e.target.value) * 100);
+                this.setLayerStyle('opacity', parseFloat(e.target.value));
+            });
+        }
+
+        // Critical point overlay
+        const criticalPointsCheckbox = document.getElementById('show-critical-points');
+        if (criticalPointsCheckbox) {
+            criticalPointsCheckbox.addEventListener('change', (e) => {
+                this.state.showCriticalPoints = e.target.checked;
+                this.updateVisualization();
+            });
+        }
+
+        // Separatrix overlay
+        const separatricesCheckbox = document.getElementById('show-separatrices');
+        if (separatricesCheckbox) {
+            separatricesCheckbox.addEventListener('change', (e) => {
+                this.state.showSeparatrices = e.target.checked;
+                this.updateVisualization();
+            });
+        }
+
+        this.initLayerControls();
+        this.initTimeControls();
+        this.initSeedingControls();
+        this.initParticleControls();
+        this.initSliceControls();
+        this.initDataControls();
+        this.initExportControls();
+
+        // Parameter sweeps advance with the render loop
+        this.app.renderEngine.addFrameCallback((deltaTime) => this.stepParameterAnimations(deltaTime));
+    }
+
+    /**
+     * Initialize the layer stack controls
+     */
+    initLayerControls() {
+        this.colorLegend = new ColorLegend(this.app.sceneManager.renderer.domElement.parentElement);
+
+        const addBtn = document.getElementById('add-layer');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.addLayer(document.getElementById('layer-mode').value));
+        }
+
+        this.createLayerControls();
+    }
+
+    /**
+     * Create a layer entry for the state
+     * @param {string} mode - Key in UIController.LAYER_MODES
+     * @returns {Object} - {id, mode, visible, style}
+     */
+    createLayer(mode) {
+        const defaults = UIController.DEFAULT_LAYER_STYLE;
+        return {
+            id: this.nextLayerId++,
+            mode,
+            visible: true,
+            style: {
+                ...defaults,
+                colorBy: UIController.DEFAULT_COLOR_BY[mode] || defaults.colorBy,
+                colorRange: { ...defaults.colorRange }
+            }
+        };
+    }
+
+    /**
+     * Add a layer on top of the stack and select it
+     * @param {string} mode - Visualization mode of the layer
+     */
+    addLayer(mode) {
+        const layer = this.createLayer(mode);
+        this.state.layers.push(layer);
+        this.state.selectedLayerId = layer.id;
+        this.createLayerControls();
+        this.syncStyleControls();
+        this.updateVisualization();
+    }
+
+    /**
+     * Remove a layer from the stack
+     * @param {number} id - Layer id
+     */
+    removeLayer(id) {
+        this.state.layers = this.state.layers.filter(layer => layer.id !== id);
+        if (this.state.selectedLayerId === id) {
+            const top = this.state.layers[this.state.layers.length - 1];
+            this.state.selectedLayerId = top ? top.id : null;
+            this.syncStyleControls();
+        }
+        this.createLayerControls();
+        this.updateVisualization();
+    }
+
+    /**
+     * Move a layer up (towards the top) or down the stack
+     * @param {number} id - Layer id
+     * @param {number} step - +1 to move up, -1 to move down
+     */
+    moveLayer(id, step) {
+        const layers = this.state.layers;
+        const index = layers.findIndex(layer => layer.id === id);
+        const target = index + step;
+        if (index === -1 || target < 0 || target >= layers.length) return;
+
+        [layers[index], layers[target]] = [layers[target], layers[index]];
+        this.createLayerControls();
+        this.updateVisualization();
+    }
+
+    /**
+     * Select the layer edited by the style controls
+     * @param {number|null} id - Layer id
+     */
+    selectLayer(id) {
+        this.state.selectedLayerId = id;
+        Object.entries(this.layerControls).forEach(([layerId, item]) => {
+            item.classList.toggle('selected', Number(layerId) === id);
+        });
+        this.syncStyleControls();
+        this.updateLegend();
+    }
+
+    /**
+     * Get the layer edited by the style controls
+     * @returns {Object|null}
+     */
+    getSelectedLayer() {
+        return this.state.layers.find(layer => layer.id === this.state.selectedLayerId) || null;
+    }
+
+    /**
+     * Set a style property of the selected layer and redraw
+     * @param {string} key - Style property, e.g. 'color' or 'opacity'
+     * @param {*} value
+     */
+    setLayerStyle(key, value) {
+        const layer = this.getSelectedLayer();
+        if (!layer) return;
+
+        layer.style[key] = value;
+        this.updateVisualization();
+    }
+
+    /**
+     * Change the color range options of the selected layer
+     * @param {Object} changes - Any of {mode, min, max, percentile}
+     */
+    setColorRange(changes) {
+        const layer = this.getSelectedLayer();
+        if (!layer) return;
+
+        this.setLayerStyle('colorRange', { ...layer.style.colorRange, ...changes });
+        this.syncStyleControls();
+    }
+
+    /**
+     * Show the selected layer's style in the style controls
+     */
+    syncStyleControls() {
+        const style = this.getSelectedLayer() ? this.getSelectedLayer().style : UIController.DEFAULT_LAYER_STYLE;
+
+        const densitySlider = document.getElementById('density-slider');
+        if (densitySlider) {
+            densitySlider.value = String(style.density);
+            document.getElementById('density-value').textContent = String(style.density);
+        }
+
+        const colorInput = document.getElementById('vector-color');
+        if (colorInput) {
+            colorInput.value = style.color;
+        }
+
+        const arrowheadsCheckbox = document.getElementById('show-arrowheads');
+        if (arrowheadsCheckbox) {
+            arrowheadsCheckbox.checked = style.showArrowheads;
+        }
+
+        const scaleSlider = document.getElementById('vector-scale');
+        if (scaleSlider) {
+            scaleSlider.value = String(style.scale);
+            document.getElementById('scale-value').textContent = String(style.scale);
+        }
+
+        const opacitySlider = document.getElementById('opacity-slider');
+        if (opacitySlider) {
+            opacitySlider.value = String(style.opacity);
+            document.getElementById('opacity-value').textContent = Math.round(style.opacity * 100);
+        }
+
+        const colorBySelect = document.getElementById('color-by');
+        if (colorBySelect) {
+            colorBySelect.value = style.colorBy;
+            document.getElementById('colormap').value = style.colormap;
+        }
+
+        const interpolationSelect = document.getElementById('heatmap-interpolation');
+        if (interpolationSelect) {
+            interpolationSelect.value = style.interpolation;
+            document.getElementById('heatmap-hillshade').checked = style.hillshade;
+        }
+
+        const licAnimateCheckbox = document.getElementById('lic-animate');
+        if (licAnimateCheckbox) {
+            licAnimateCheckbox.checked = style.animatePhase;
+        }
+
+        const contourScalarSelect = document.getElementById('contour-scalar');
+        if (contourScalarSelect) {
+            contourScalarSelect.value = style.contourScalar;
+            document.getElementById('contour-potential').value = style.potential;
+            document.getElementById('contour-potential-group').style.display = style.contourScalar === 'potential' ? 'block' : 'none';
+            document.getElementById('contour-levels').value = style.contourLevels ? style.contourLevels.join(', ') : '';
+            document.getElementById('contour-level-count').value = String(style.contourLevelCount);
+            document.getElementById('contour-labels').checked = style.contourLabels;
+            this.showContourError(null);
+        }
+
+        const rangeModeSelect = document.getElementById('color-range-mode');
+        if (rangeModeSelect) {
+            const range = style.colorRange;
+            rangeModeSelect.value = range.mode;
+            document.getElementById('color-range-percentile').value = String(range.percentile);
+            document.getElementById('color-range-min').value = String(range.min);
+            document.getElementById('color-range-max').value = String(range.max);
+            document.getElementById('color-range-percentile-group').style.display = range.mode === 'percentile' ? 'block' : 'none';
+            document.getElementById('color-range-manual-group').style.display = range.mode === 'manual' ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Show the colorbar of the selected layer, or of the topmost color mapped layer or overlay
+     */
+    updateLegend() {
+        if (!this.colorLegend) return;
+
+        this.colorLegend.update(this.getDisplayedLegend());
+    }
+
+    /**
+     * Legend of the selected layer, or of the topmost color mapped layer or overlay
+     * @returns {Object|null} - {colormap, range, quantity}, or null when nothing is color mapped
+     */
+    getDisplayedLegend() {
+        const selectedIndex = this.state.layers.indexOf(this.getSelectedLayer());
+        const selected = this.layerModes.find(mode => mode.layerOrder === selectedIndex);
+        const candidates = [selected, ...this.layerModes.slice().reverse(), ...this.overlayModes];
+        const source = candidates.find(mode => mode && mode.getLegend());
+        return source ? source.getLegend() : null;
+    }
+
+    /**
+     * Build the layer list, top layer first, with visibility, mode, ordering and remove controls
+     */
+    createLayerControls() {
+        const container = document.getElementById('layers-container');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.layerControls = {};
+        const layers = this.state.layers;
+
+        layers.slice().reverse().forEach((layer, i) => {
+            const index = layers.length - 1 - i;
+
+            const item = document.createElement('div');
+            item.className = 'layer-item' + (layer.id === this.state.selectedLayerId ? ' selected' : '');
+            item.addEventListener('click', () => {
+                if (layer.id !== this.state.selectedLayerId) this.selectLayer(layer.id);
+            });
+
+            const visibleCheckbox = document.createElement('input');
+            visibleCheckbox.type = 'checkbox';
+            visibleCheckbox.checked = layer.visible;
+            visibleCheckbox.title = 'Visible';
+            visibleCheckbox.addEventListener('change', (e) => {
+                layer.visible = e.target.checked;
+                this.updateVisualization();
+            });
+
+            const modeSelect = document.createElement('select');
+            Object.entries(UIController.LAYER_MODES).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                modeSelect.appendChild(option);
+            });
+            modeSelect.value = layer.mode;
+            modeSelect.addEventListener('change', (e) => {
+                layer.mode = e.target.value;
+                this.updateVisualization();
+            });
+
+            const upBtn = document.createElement('button');
+            upBtn.textContent = '\u25B2';
+            upBtn.title = 'Move up';
+            upBtn.disabled = index === layers.length - 1;
+            upBtn.addEventListener('click', () => this.moveLayer(layer.id, 1));
+
+            const downBtn = document.createElement('button');
+            downBtn.textContent = '\u25BC';
+            downBtn.title = 'Move down';
+            downBtn.disabled = index === 0;
+            downBtn.addEventListener('click', () => this.moveLayer(layer.id, -1));
+
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = '\u00D7';
+            removeBtn.title = 'Remove';
+            removeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeLayer(layer.id);
+            });
+
+            item.appendChild(visibleCheckbox);
+            item.appendChild(modeSelect);
+            item.appendChild(upBtn);
+            item.appendChild(downBtn);
+            item.appendChild(removeBtn);
+            container.appendChild(item);
+
+            this.layerControls[layer.id] = item;
+        });
+    }
+
+    /**
+     * Initialize the contour controls of the style panel
+     * Potentials and level lists are validated here, so invalid input never reaches the layer
+     */
+    initContourControls() {
+        const scalarSelect = document.getElementById('contour-scalar');
+        if (scalarSelect) {
+            scalarSelect.addEventListener('change', (e) => {
+                document.getElementById('contour-potential-group').style.display = e.target.value === 'potential' ? 'block' : 'none';
+                const layer = this.getSelectedLayer();
+                if (e.target.value === 'potential' && layer && !layer.style.potential) {
+                    // Wait for an expression before drawing
+                    this.showContourError('Enter a potential to contour');
+                    return;
+                }
+                this.setLayerStyle('contourScalar', e.target.value);
+            });
+        }
+
+        const potentialInput = document.getElementById('contour-potential');
+        if (potentialInput) {
+            potentialInput.addEventListener('change', (e) => {
+                const names = Object.keys(this.app.vectorField.params);
+                const result = new FunctionParser().parseScalar(e.target.value, this.state.dimension, names);
+                const error = result.error || this.checkPotential(result.func);
+                this.showContourError(error);
+                if (error) return;
+
+                const layer = this.getSelectedLayer();
+                if (layer) {
+                    layer.style.contourScalar = 'potential';
+                }
+                this.setLayerStyle('potential', e.target.value.trim());
+            });
+        }
+
+        const levelsInput = document.getElementById('contour-levels');
+        if (levelsInput) {
+            levelsInput.addEventListener('change', (e) => {
+                const text = e.target.value.trim();
+                if (text === '' || text.toLowerCase() === 'auto') {
+                    this.showContourError(null);
+                    this.setLayerStyle('contourLevels', null);
+                    return;
+                }
+
+                const levels = text.split(/[\s,]+/).filter(part => part.length > 0).map(Number);
+                if (!levels.every(Number.isFinite)) {
+                    this.showContourError('Levels must be numbers separated by commas, or empty for automatic levels');
+                    return;
+                }
+                this.showContourError(null);
+                this.setLayerStyle('contourLevels', levels);
+            });
+        }
+
+        const countInput = document.getElementById('contour-level-count');
+        if (countInput) {
+            countInput.addEventListener('change', (e) => {
+                const count = parseInt(e.target.value, 10);
+                if (Number.isFinite(count) && count >= 1 && count <= UIController.MAX_CONTOUR_LEVELS) {
+                    this.setLayerStyle('contourLevelCount', count);
+                }
+            });
+        }
+
+        const labelsCheckbox = document.getElementById('contour-labels');
+        if (labelsCheckbox) {
+            labelsCheckbox.addEventListener('change', (e) => this.setLayerStyle('contourLabels', e.target.checked));
+        }
+    }
+
+    /**
+     * Check that a parsed potential has values in the domain, e.g. that no branch of a
+     * conditional is left undefined everywhere
+     * @param {Function} func - Compiled potential from FunctionParser.parseScalar
+     * @returns {string|null} - Error message, or null if the potential is defined somewhere
+     */
+    checkPotential(func) {
+        const field = this.app.vectorField;
+        const params = { t: field.getTime(), ...field.params };
+        const samples = field.sampleGrid(UIController.POTENTIAL_CHECK_RESOLUTION);
+        const defined = samples.some(({ position }) => Number.isFinite(func(position, params)));
+        return defined || samples.length === 0 ? null : 'Potential has no finite values in the domain';
+    }
+
+    /**
+     * Show or clear the contour input error
+     * @param {string|null} message
+     */
+    showContourError(message) {
+        const errorEl = document.getElementById('contour-error');
+        if (errorEl) {
+            errorEl.textContent = message || '';
+            errorEl.className = message ? 'error' : '';
+        }
+    }
+
+    /**
+     * Initialize streamline seeding controls and the pointer seeding tool
+     */
+    initSeedingControls() {
+        const container = this.app.sceneManager.renderer.domElement.parentElement;
+        this.seedingTool = new SeedingTool(this.app.sceneManager, container, (seeds) => this.addSeeds(seeds));
+
+        const seedingSelect = document.getElementById('streamline-seeding');
+        if (seedingSelect) {
+            seedingSelect.addEventListener('change', (e) => {
+                this.state.seeding = e.target.value;
+                this.updateVisualization();
+            });
+        }
+
+        const separationSlider = document.getElementById('streamline-separation');
+        if (separationSlider) {
+            separationSlider.addEventListener('input', (e) => {
+                this.state.separation = parseFloat(e.target.value);
+                document.getElementById('separation-value').textContent = parseFloat(e.target.value).toFixed(1);
+                if (this.state.seeding === 'even') {
+                    this.updateVisualization();
+                }
+            });
+        }
+
+        const toolSelect = document.getElementById('seed-tool');
+        if (toolSelect) {
+            toolSelect.addEventListener('change', (e) => this.setSeedTool(e.target.value));
+        }
+
+        const rakeInput = document.getElementById('rake-count');
+        if (rakeInput) {
+            rakeInput.addEventListener('change', (e) => {
+                this.state.rakeCount = Math.max(2, parseInt(e.target.value, 10) || 2);
+                this.seedingTool.rakeCount = this.state.rakeCount;
+            });
+        }
+
+        const criticalSeedBtn = document.getElementById('seed-critical-points');
+        if (criticalSeedBtn) {
+            criticalSeedBtn.addEventListener('click', () => this.seedCriticalPoints());
+        }
+
+        const clearSeedsBtn = document.getElementById('clear-seeds');
+        if (clearSeedsBtn) {
+            clearSeedsBtn.addEventListener('click', () => {
+                this.state.streamlineSeeds = [];
+                this.updateSeedCount();
+                this.updateVisualization();
+            });
+        }
+    }
+
+    /**
+     * Select the pointer seeding tool; the camera ignores the pointer while a tool is active
+     * @param {string} tool - 'none', 'point' or 'rake'
+     */
+    setSeedTool(tool) {
+        this.state.seedTool = tool;
+        this.seedingTool.dimension = this.state.dimension;
+        this.seedingTool.rakeCount = this.state.rakeCount;
+        this.seedingTool.setTool(tool);
+        this.app.cameraController.enabled = tool === 'none';
+    }
+
+    /**
+     * Initialize particle advection controls
+     * Speed and integrator apply to running particles; the others restart them
+     */
+    initParticleControls() {
+        const countInput = document.getElementById('particle-count');
+        if (countInput) {
+            countInput.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value, 10);
+                this.state.particleCount = Number.isFinite(value)
+                    ? Math.max(1, Math.min(ParticleMode.MAX_PARTICLES, value))
+                    : this.state.particleCount;
+                e.target.value = this.state.particleCount;
+                this.updateParticles();
+            });
+        }
+
+        const integratorSelect = document.getElementById('particle-integrator');
+        if (integratorSelect) {
+            integratorSelect.addEventListener('change', (e) => {
+                this.state.particleIntegrator = e.target.value;
+                this.layerModes
+                    .filter(mode => mode instanceof ParticleMode)
+                    .forEach(mode => mode.updateStyle({ integrator: this.state.particleIntegrator }));
+            });
+        }
+
+        const speedSlider = document.getElementById('particle-speed');
+        if (speedSlider) {
+            speedSlider.addEventListener('input', (e) => {
+                this.state.particleSpeed = parseFloat(e.target.value);
+                document.getElementById('particle-speed-value').textContent = this.state.particleSpeed.toFixed(2);
+                this.layerModes
+                    .filter(mode => mode instanceof ParticleMode)
+                    .forEach(mode => mode.updateStyle({ speed: this.state.particleSpeed }));
+            });
+        }
+
+        const trailSlider = document.getElementById('particle-trail');
+        if (trailSlider) {
+            trailSlider.addEventListener('input', (e) => {
+                this.state.trailLength = parseInt(e.target.value, 10);
+                document.getElementById('particle-trail-value').textContent = e.target.value;
+            });
+            trailSlider.addEventListener('change', () => this.updateParticles());
+        }
+
+        const lifetimeInput = document.getElementById('particle-lifetime');
+        if (lifetimeInput) {
+            lifetimeInput.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                this.state.particleLifetime = Number.isFinite(value) && value > 0 ? value : 0;
+                e.target.value = this.state.particleLifetime;
+                this.updateParticles();
+            });
+        }
+
+        const boundarySelect = document.getElementById('particle-boundary');
+        if (boundarySelect) {
+            boundarySelect.addEventListener('change', (e) => {
+                this.state.particleBoundary = e.target.value;
+                this.updateParticles();
+            });
+        }
+
+        const respawnSelect = document.getElementById('particle-respawn');
+        if (respawnSelect) {
+            respawnSelect.addEventListener('change', (e) => {
+                this.state.particleRespawn = e.target.value;
+                this.updateParticles();
+            });
+        }
+    }
+
+    /**
+     * Redraw when a particle layer is shown, so particle settings take effect
+     */
+    updateParticles() {
+        if (this.state.layers.some(layer => layer.visible && layer.mode === 'particles')) {
+            this.updateVisualization();
+        }
+    }
+
+    /**
+     * Add manual streamline seeds, adding a streamline layer when none is shown
+     * @param {Array} seeds - Seed positions {x, y, z?}
+     */
+    addSeeds(seeds) {
+        this.state.streamlineSeeds = this.state.streamlineSeeds.concat(seeds);
+        this.updateSeedCount();
+
+        if (!this.state.layers.some(layer => layer.visible && layer.mode === 'streamlines')) {
+            this.addLayer('streamlines');
+        } else {
+            this.updateVisualization();
+        }
+    }
+
+    /**
+     * Seed a small ring of streamlines around every critical point
+     * Streamlines starting near a critical point reveal its local flow pattern
+     */
+    seedCriticalPoints() {
+        const field = this.app.vectorField;
+        const points = new CriticalPointFinder().find(field);
+        const bounds = field.getBounds();
+        const radius = 0.05 * Math.max(bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y);
+        const count = UIController.CRITICAL_POINT_SEEDS;
+
+        const seeds = [];
+        points.forEach(point => {
+            for (let i = 0; i < count; i++) {
+                const angle = (i / count) * Math.PI * 2;
+                seeds.push({
+                    ...point.position,
+                    x: point.position.x + radius * Math.cos(angle),
+                    y: point.position.y + radius * Math.sin(angle)
+                });
+            }
+        });
+
+        if (seeds.length > 0) {
+            this.addSeeds(seeds);
+        }
+    }
+
+    /**
+     * Show the number of manual seeds
+     */
+    updateSeedCount() {
+        const countEl = document.getElementById('seed-count');
+        if (countEl) {
+            countEl.textContent = this.state.streamlineSeeds.length;
+        }
+    }
+
+    /**
+     * Initialize slice plane controls and viewport dragging of slices
+     */
+    initSliceControls() {
+        const container = this.app.sceneManager.renderer.domElement.parentElement;
+        this.sliceDragTool = new SliceDragTool(this.app.sceneManager, container, (slice) => this.updateSliceControl(slice));
+
+        const axisSelect = document.getElementById('slice-axis');
+        if (axisSelect) {
+            axisSelect.addEventListener('change', (e) => {
+                document.getElementById('slice-normal-group').style.display =
+                    e.target.value === 'custom' ? 'block' : 'none';
+            });
+        }
+
+        const addBtn = document.getElementById('add-slice');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.addSlice());
+        }
+    }
+
+    /**
+     * Add a slice plane from the slice controls
+     */
+    addSlice() {
+        const errorEl = document.getElementById('slice-error');
+        const axis = document.getElementById('slice-axis').value;
+        const style = document.getElementById('slice-style').value;
+
+        let slice;
+        if (axis === 'custom') {
+            const components = document.getElementById('slice-normal').value.split(',').map(v => parseFloat(v));
+            if (components.length !== 3 || !components.every(Number.isFinite) || components.every(v => v === 0)) {
+                errorEl.textContent = 'Normal must be three numbers, not all zero';
+                errorEl.className = 'error';
+                return;
+            }
+            slice = new SlicePlane({
+                normal: { x: components[0], y: components[1], z: components[2] },
+                style
+            });
+        } else {
+            slice = SlicePlane.fromAxis(axis, 0, style);
+        }
+
+        errorEl.textContent = '';
+        this.state.slices.push(slice);
+        this.createSliceControls();
+
+        if (this.state.dimension === 3) {
+            this.updateVisualization();
+        }
+    }
+
+    /**
+     * Build the list of slices with offset slider, style and remove button
+     */
+    createSliceControls() {
+        const container = document.getElementById('slices-container');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.sliceControls = {};
+        const bounds = this.app.vectorField.getBounds();
+
+        this.state.slices.forEach(slice => {
+            const group = document.createElement('div');
+            group.className = 'control-group';
+
+            const label = document.createElement('label');
+            label.className = 'label';
+            label.textContent = slice.getLabel();
+
+            const range = slice.getOffsetRange(bounds);
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = String(range.min);
+            slider.max = String(range.max);
+            slider.step = String((range.max - range.min) / 200);
+            slider.value = String(slice.offset);
+
+            slider.addEventListener('input', (e) => {
+                slice.setOffset(parseFloat(e.target.value));
+                label.textContent = slice.getLabel();
+                if (this.sliceMode) {
+                    this.sliceMode.renderSlice(slice);
+                }
+            });
+
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.gap = '8px';
+            row.style.marginTop = '8px';
+
+            const styleSelect = document.createElement('select');
+            styleSelect.style.flex = '1';
+            ['arrows', 'heatmap'].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value === 'arrows' ? 'Arrows' : 'Heatmap';
+                styleSelect.appendChild(option);
+            });
+            styleSelect.value = slice.style;
+            styleSelect.addEventListener('change', (e) => {
+                slice.style = e.target.value;
+                if (this.sliceMode) {
+                    this.sliceMode.renderSlice(slice);
+                }
+            });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = 'Remove';
+            removeBtn.style.flex = '1';
+            removeBtn.addEventListener('click', () => {
+                this.state.slices = this.state.slices.filter(s => s !== slice);
+                this.createSliceControls();
                 this.updateVisualization();
             });
+
+            row.appendChild(styleSelect);
+            row.appendChild(removeBtn);
+
+            group.appendChild(label);
+            group.appendChild(slider);
+            group.appendChild(row);
+            container.appendChild(group);
+
+            this.sliceControls[slice.id] = { label, slider };
+        });
+    }
+
+    /**
+     * Sync a slice's controls after it was dragged in the viewport
+     * @param {SlicePlane} slice
+     */
+    updateSliceControl(slice) {
+        const control = this.sliceControls[slice.id];
+        if (!control) return;
+        control.label.textContent = slice.getLabel();
+        control.slider.value = String(slice.offset);
+    }
+
+    /**
+     * Initialize simulation clock controls
+     */
+    initTimeControls() {
+        const engine = this.app.renderEngine;
+
+        const playBtn = document.getElementById('time-play');
+        if (playBtn) {
+            playBtn.addEventListener('click', () => {
+                const playing = engine.togglePlayback();
+                playBtn.textContent = playing ? 'Pause' : 'Play';
+            });
         }
 
-        // Color input
-        const colorInput = document.getElementById('vector-color');
-        if (colorInput) {
-            colorInput.addEventListener('input', (e) => {
-                this.state.color = e.target.value;
-                this.updateVisualization();
+        const timeSlider = document.getElementById('time-slider');
+        if (timeSlider) {
+            timeSlider.addEventListener('input', (e) => {
+                this.isScrubbing = true;
+                engine.setTime(parseFloat(e.target.value));
+                document.getElementById('time-value').textContent = parseFloat(e.target.value).toFixed(2);
+            });
+            timeSlider.addEventListener('change', () => {
+                this.isScrubbing = false;
             });
         }
 
-        // Arrowheads toggle
-        const arrowheadsCheckbox = document.getElementById('show-arrowheads');
-        if (arrowheadsCheckbox) {
-            arrowheadsCheckbox.addEventListener('change', (e) => {
-                this.state.showArrowheads = e.target.checked;
-                this.updateVisualization();
+        const speedSlider = document.getElementById('time-speed');
+        if (speedSlider) {
+            speedSlider.addEventListener('input', (e) => {
+                this.state.timeSpeed = parseFloat(e.target.value);
+                engine.setSpeed(this.state.timeSpeed);
+                document.getElementById('time-speed-value').textContent = this.state.timeSpeed.toFixed(1);
             });
         }
 
-        // Scale slider
-        const scaleSlider = document.getElementById('vector-scale');
-        if (scaleSlider) {
-            scaleSlider.addEventListener('input', (e) => {
-                this.state.scale = parseFloat(e.target.value);
-                document.getElementById('scale-value').textContent = e.target.value;
-                this.updateVisualization();
-            });
+        const loopStartInput = document.getElementById('time-loop-start');
+        const loopEndInput = document.getElementById('time-loop-end');
+        const onRangeChange = () => {
+            const start = parseFloat(loopStartInput.value);
+            const end = parseFloat(loopEndInput.value);
+            if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+                return;
+            }
+            this.state.timeLoopStart = start;
+            this.state.timeLoopEnd = end;
+            engine.setLoopRange(start, end);
+            if (timeSlider) {
+                timeSlider.min = String(start);
+                timeSlider.max = String(end);
+            }
+        };
+        if (loopStartInput && loopEndInput) {
+            loopStartInput.addEventListener('change', onRangeChange);
+            loopEndInput.addEventListener('change', onRangeChange);
         }
 
-        // Opacity slider
-        const opacitySlider = document.getElementById('opacity-slider');
-        if (opacitySlider) {
-            opacitySlider.addEventListener('input', (e) => {
-                this.state.opacity = parseFloat(e.target.value);
-                document.getElementById('opacity-value').textContent = Math.round(parseFloat(e.target.value) * 100);
-                this.updateVisualization();
+        const loopCheckbox = document.getElementById('time-loop');
+        if (loopCheckbox) {
+            loopCheckbox.addEventListener('change', (e) => {
+                this.state.timeLoop = e.target.checked;
+                engine.setLooping(this.state.timeLoop);
             });
         }
     }
@@ -99,21 +1016,91 @@ class UIController {
         this.app.cameraController.reset();
     }
 
+    /**
+     * Switch between 2D and 3D
+     * Swaps the expression, field, camera, controls, presets and dimension-specific state
+     * @param {number} dimension - 2 or 3
+     * @returns {Promise} - Resolves when the camera transition has finished
+     */
+    async setDimension(dimension) {
+        if (dimension === this.state.dimension || this.isSwitchingDimension) return;
+        this.isSwitchingDimension = true;
+
+        const sceneManager = this.app.sceneManager;
+        const cameraController = this.app.cameraController;
+
+        // Pose the target camera with the controller before blending towards it
+        const camera = sceneManager.createCamera(dimension);
+        this.clearDataSource();
+        cameraController.setCamera(camera, dimension);
+        cameraController.enabled = false;
+
+        // Keep the current expression for when the user switches back
+        this.functionByDimension[this.state.dimension] = this.state.function;
+        this.state.dimension = dimension;
+
+        // Manual seeds are positions in the old space
+        this.state.streamlineSeeds = [];
+        this.updateSeedCount();
+        this.seedingTool.dimension = dimension;
+
+        this.updatePresetOptions();
+        const dimensionSelect = document.getElementById('dimension-select');
+        if (dimensionSelect) {
+            dimensionSelect.value = String(dimension);
+        }
+
+        const funcString = this.functionByDimension[dimension];
+        document.getElementById('function-input').value = funcString;
+        this.setCustomFunction(funcString);
+
+        await sceneManager.switchDimension(dimension, camera);
+
+        cameraController.enabled = this.state.seedTool === 'none';
+        this.isSwitchingDimension = false;
+    }
+
+    /**
+     * Show only the presets of the current dimension
+     */
+    updatePresetOptions() {
+        const presetSelect = document.getElementById('function-preset');
+        if (!presetSelect) return;
+
+        presetSelect.querySelectorAll('optgroup').forEach(group => {
+            // Disabled as well, for browsers that ignore hidden optgroups
+            group.hidden = group.dataset.dimension !== String(this.state.dimension);
+            group.disabled = group.hidden;
+        });
+        presetSelect.value = '';
+    }
+
     /**
      * Set function from preset
      */
     setFunctionPreset(key) {
         const presets = {
-            'vortex-2d': '[[-y, x]]',
-            'saddle-2d': '[[x, -y]]',
-            'spiral-2d': '[[-y + 0.1*x, x + 0.1*y]]',
-            'wave-2d': '[[sin(y), cos(x)]]',
-            'gradient-2d': '[[x, y]]',
-            'curl-2d': '[[cos(x)*sin(y), sin(x)*cos(y)]]'
+            'vortex-2d': '[-y, x]',
+            'saddle-2d': '[x, -y]',
+            'spiral-2d': '[-y + 0.1*x, x + 0.1*y]',
+            'wave-2d': '[sin(y), cos(x)]',
+            'gradient-2d': '[x, y]',
+            'curl-2d': '[cos(x)*sin(y), sin(x)*cos(y)]',
+            'unsteady-vortex-2d': '[-y + sin(t), x]',
+            'travelling-wave-2d': '[sin(y - t), cos(x + t)]',
+            'damped-oscillator-2d': '[y, -x - c*y]\nc in [0, 2] = 0.3 step 0.01',
+            'hopf-2d': '[mu*x - y - x*(x^2 + y^2), x + mu*y - y*(x^2 + y^2)]\nmu in [-1, 1] = 0.2 step 0.01',
+            'vortex-3d': '[-y, x, 0]',
+            'helix-3d': '[-y, x, 0.5]',
+            'source-3d': '[x, y, z]',
+            'saddle-3d': '[x, y, -2*z]',
+            'abc-flow-3d': '[A*sin(z) + C*cos(y), B*sin(x) + A*cos(z), C*sin(y) + B*cos(x)]\n' +
+                'A in [0, 2] = 1 step 0.01\nB in [0, 2] = 1 step 0.01\nC in [0, 2] = 1 step 0.01',
+            'unsteady-swirl-3d': '[-y, x, sin(z - t)]'
         };
 
         if (presets[key]) {
-            const func = presets[key].slice(1, -1); // Remove outer brackets
+            const func = presets[key];
             document.getElementById('function-input').value = func;
             this.setCustomFunction(func);
         }
@@ -148,162 +1135,581 @@ class UIController {
         // Success
         this.state.function = funcString;
         this.state.functionVariables = result.variables;
+        this.clearDataSource();
 
         // Update vector field
         this.app.vectorField = new VectorField(
             this.state.dimension,
             result.func
         );
+        this.app.vectorField.setJacobian(result.jacobian);
+        this.app.vectorField.setTimeDependent(result.variables.includes('t'));
+        this.app.vectorField.setTime(this.app.renderEngine.getTime());
 
         // Create/update parameter sliders
-        this.createParameterSliders(result.variables);
+        this.createParameterSliders(result.parameters);
 
         // Re-render
         this.updateVisualization();
     }
 
     /**
-     * Create parameter sliders for function variables
+     * Initialize the data file picker, drag-and-drop onto the view and scattered data options
+     */
+    initDataControls() {
+        const fileInput = document.getElementById('data-file');
+        const loadBtn = document.getElementById('data-load');
+        if (fileInput && loadBtn) {
+            loadBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.loadDataFile(e.target.files[0]);
+                }
+                // Picking the same file again reloads it
+                e.target.value = '';
+            });
+        }
+
+        const container = document.getElementById('canvas-container');
+        if (container) {
+            const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+            container.addEventListener('dragover', (e) => {
+                if (!hasFiles(e)) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                container.classList.add('drop-target');
+            });
+            container.addEventListener('dragleave', (e) => {
+                if (!container.contains(e.relatedTarget)) {
+                    container.classList.remove('drop-target');
+                }
+            });
+            container.addEventListener('drop', (e) => {
+                if (!hasFiles(e)) return;
+                e.preventDefault();
+                container.classList.remove('drop-target');
+                if (e.dataTransfer.files.length > 0) {
+                    this.loadDataFile(e.dataTransfer.files[0]);
+                }
+            });
+        }
+
+        const interpolationSelect = document.getElementById('data-interpolation');
+        if (interpolationSelect) {
+            interpolationSelect.addEventListener('change', (e) => {
+                this.state.dataInterpolation = e.target.value;
+                if (this.app.vectorField instanceof ScatteredVectorField) {
+                    this.app.vectorField.setInterpolation(this.state.dataInterpolation);
+                    this.updateVisualization();
+                }
+            });
+        }
+
+        const samplesCheckbox = document.getElementById('show-samples');
+        if (samplesCheckbox) {
+            samplesCheckbox.addEventListener('change', (e) => {
+                this.state.showSamples = e.target.checked;
+                this.updateVisualization();
+            });
+        }
+    }
+
+    /**
+     * Load a vector field from a data file
+     * Parse errors are shown with their line number in the function error area
+     * @param {File} file - CSV, JSON or legacy VTK file
+     * @returns {Promise}
+     */
+    async loadDataFile(file) {
+        if (this.isSwitchingDimension) return;
+
+        const errorEl = document.getElementById('function-error');
+        let result;
+        try {
+            result = await new DataLoader().load(file);
+        } catch (error) {
+            result = { error: `Could not read the file (${error.message})` };
+        }
+
+        if (result.error) {
+            errorEl.textContent = `${file.name}: ${result.error}`;
+            errorEl.className = 'error';
+            return;
+        }
+
+        await this.setDataField(result.field, file.name, result.description);
+    }
+
+    /**
+     * Show a field built from data in place of the function
+     * @param {VectorField} field - Field with bounds taken from the data
+     * @param {string} name - Shown as the data source
+     * @param {string} description - Format and grid size
+     * @returns {Promise}
+     */
+    async setDataField(field, name, description) {
+        // Frame the data; a dimension switch poses its new camera with this home view
+        this.clearDataSource();
+        this.app.cameraController.frameBounds(field.getBounds());
+        if (field.dimension !== this.state.dimension) {
+            await this.setDimension(field.dimension);
+        }
+
+        this.state.dataSource = name;
+        this.state.streamlineSeeds = [];
+        this.updateSeedCount();
+
+        if (field instanceof ScatteredVectorField) {
+            field.setInterpolation(this.state.dataInterpolation);
+        }
+        this.app.vectorField = field;
+        this.app.vectorField.setTime(this.app.renderEngine.getTime());
+        this.createParameterSliders([]);
+
+        const errorEl = document.getElementById('function-error');
+        errorEl.textContent = '';
+        errorEl.className = '';
+        this.updateDataStatus(description);
+
+        this.updateVisualization();
+    }
+
+    /**
+     * Go back to the function after data was shown, e.g. when a new expression is accepted
+     */
+    clearDataSource() {
+        if (!this.state.dataSource) return;
+        this.state.dataSource = null;
+        this.app.cameraController.frameBounds(null);
+        this.updateDataStatus();
+    }
+
+    /**
+     * Show which data file is displayed, if any, and the options of scattered data
+     * @param {string} description - Format and grid size of the loaded data
+     */
+    updateDataStatus(description = '') {
+        const scatteredGroup = document.getElementById('data-scattered-group');
+        if (scatteredGroup) {
+            const scattered = this.state.dataSource && this.app.vectorField instanceof ScatteredVectorField;
+            scatteredGroup.style.display = scattered ? 'block' : 'none';
+        }
+
+        const statusEl = document.getElementById('data-status');
+        if (!statusEl) return;
+
+        if (this.state.dataSource) {
+            statusEl.textContent = `Showing ${this.state.dataSource} (${description}); edit the function to return to it`;
+            statusEl.className = 'success';
+        } else {
+            statusEl.textContent = '';
+            statusEl.className = '';
+        }
+    }
+
+    /**
+     * Initialize the export buttons
+     */
+    initExportControls() {
+        ['grid', 'streamlines', 'particles'].forEach(kind => {
+            const button = document.getElementById(`export-${kind}`);
+            if (button) {
+                button.addEventListener('click', () => this.exportData(kind));
+            }
+        });
+
+        ['png', 'svg'].forEach(format => {
+            const button = document.getElementById(`export-${format}`);
+            if (button) {
+                button.addEventListener('click', () => this.exportFigure(format));
+            }
+        });
+    }
+
+    /**
+     * Export what is displayed as a data file
+     * Problems, e.g. no visible streamline layer, are shown in the export status area
+     * @param {string} kind - 'grid', 'streamlines' or 'particles'
+     */
+    exportData(kind) {
+        const statusEl = document.getElementById('export-status');
+        const format = document.getElementById('export-format').value;
+        const exporter = new DataExporter();
+        const metadata = {
+            source: this.state.dataSource || this.state.function,
+            parameters: { ...this.state.parameters },
+            time: this.app.vectorField.getTime()
+        };
+
+        let result;
+        let summary;
+        try {
+            if (kind === 'grid') {
+                const resolution = this.getExportResolution();
+                result = exporter.exportGrid(this.app.vectorField, resolution, format, metadata);
+                summary = `${Array(this.state.dimension).fill(resolution).join('\u00D7')} grid`;
+            } else if (kind === 'streamlines') {
+                const modes = this.layerModes.filter(mode => mode instanceof StreamlineMode);
+                if (modes.length === 0) {
+                    throw new Error('Show a streamline layer to export its streamlines');
+                }
+                const streamlines = modes.flatMap(mode => mode.streamlines);
+                result = exporter.exportStreamlines(streamlines, this.state.dimension, format, metadata);
+                summary = `${streamlines.length} streamlines`;
+            } else {
+                // The topmost particle layer
+                const mode = this.layerModes.filter(mode => mode instanceof ParticleMode).pop();
+                if (!mode) {
+                    throw new Error('Show a particle layer to export its particles');
+                }
+                const snapshot = mode.getSnapshot();
+                result = exporter.exportParticles(snapshot, format, metadata);
+                summary = `${snapshot.alive.reduce((count, alive) => count + (alive ? 1 : 0), 0)} particles`;
+            }
+        } catch (error) {
+            statusEl.textContent = error.message;
+            statusEl.className = 'error';
+            return;
+        }
+
+        this.downloadFile(result.text, `vector-field-${kind}.${result.extension}`, result.mimeType);
+        statusEl.textContent = `Exported ${summary} at t = ${metadata.time.toFixed(2)}`;
+        statusEl.className = 'success';
+    }
+
+    /**
+     * Export the view as an image at the entered figure size
+     * PNG renders the scene offscreen; SVG draws the 2D layers that have a vector form
+     * @param {string} format - 'png' or 'svg'
+     */
+    exportFigure(format) {
+        const statusEl = document.getElementById('export-status');
+        const width = parseInt(document.getElementById('figure-width').value, 10);
+        const height = parseInt(document.getElementById('figure-height').value, 10);
+        const transparent = document.getElementById('figure-transparent').checked;
+        const size = `${width}\u00D7${height}`;
+
+        const showError = (message) => {
+            statusEl.textContent = message;
+            statusEl.className = 'error';
+        };
+
+        try {
+            if (format === 'png') {
+                const canvas = this.app.sceneManager.renderImage(width, height, { transparent });
+                canvas.toBlob(blob => {
+                    if (!blob) {
+                        showError(`The browser could not encode a ${size} image`);
+                        return;
+                    }
+                    this.downloadFile(blob, 'vector-field.png', 'image/png');
+                    statusEl.textContent = `Exported ${size} PNG`;
+                    statusEl.className = 'success';
+                }, 'image/png');
+                return;
+            }
+
+            if (this.state.dimension !== 2) {
+                throw new Error('SVG export draws 2D fields; use PNG for 3D views');
+            }
+            const result = new FigureExporter().exportSVG(
+                [...this.layerModes, ...this.overlayModes],
+                this.app.vectorField.getBounds(),
+                { width, height, transparent, legend: this.getDisplayedLegend() }
+            );
+            this.downloadFile(result.text, `vector-field.${result.extension}`, result.mimeType);
+            statusEl.textContent = result.skipped > 0
+                ? `Exported ${size} SVG; ${result.skipped} layers without a vector form were left out`
+                : `Exported ${size} SVG`;
+            statusEl.className = 'success';
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    /**
+     * Nodes per axis of exported grids: the entered value, or else the arrow grid as displayed
+     * @returns {number}
+     */
+    getExportResolution() {
+        const value = parseInt(document.getElementById('export-resolution').value, 10);
+        if (Number.isFinite(value)) return value;
+
+        const arrows = this.layerModes.filter(mode => mode instanceof ArrowMode).pop();
+        if (arrows) return arrows.getGridResolution();
+
+        // No arrows shown: the grid an arrow layer would use at the selected layer's density
+        const layer = this.getSelectedLayer();
+        const probe = new ArrowMode(this.app.vectorField, this.app.sceneManager);
+        probe.updateStyle({ density: layer ? layer.style.density : UIController.DEFAULT_LAYER_STYLE.density });
+        return probe.getGridResolution();
+    }
+
+    /**
+     * Offer contents to the user as a downloaded file
+     * @param {string|Blob} contents - Text or binary file contents
+     * @param {string} filename - Suggested name
+     * @param {string} mimeType
+     */
+    downloadFile(contents, filename, mimeType) {
+        const blob = contents instanceof Blob ? contents : new Blob([contents], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Create parameter sliders from parsed parameter definitions
+     * Values of parameters whose declaration is unchanged are kept
+     * @param {Array} definitions - Array of {name, min, max, value, step}
      */
-    createParameterSliders(variables) {
+    createParameterSliders(definitions) {
         const paramsSection = document.getElementById('parameters-section');
         const container = document.getElementById('parameters-container');
 
-        // Filter to only custom variables (exclude x, y, z)
-        const customvars = variables.filter(v => !['x', 'y', 'z'].includes(v));
+        const previous = Object.create(null);
+        this.state.parameterDefinitions.forEach(def => {
+            previous[def.name] = def;
+        });
+
+        const parameters = Object.create(null);
+        const animations = Object.create(null);
+        definitions.forEach(def => {
+            const old = previous[def.name];
+            const unchanged = old && old.min === def.min && old.max === def.max &&
+                old.value === def.value && old.step === def.step;
+
+            parameters[def.name] = unchanged && this.state.parameters[def.name] !== undefined
+                ? this.state.parameters[def.name]
+                : def.value;
+            if (unchanged && this.parameterAnimations[def.name]) {
+                animations[def.name] = this.parameterAnimations[def.name];
+            }
+        });
+
+        this.state.parameters = parameters;
+        this.state.parameterDefinitions = definitions;
+        this.parameterAnimations = animations;
+        this.parameterControls = Object.create(null);
+        container.innerHTML = '';
 
-        if (customvars.length === 0) {
+        if (definitions.length === 0) {
             paramsSection.style.display = 'none';
             return;
         }
 
         paramsSection.style.display = 'block';
-        container.innerHTML = '';
 
-        customvars.forEach(varName => {
+        definitions.forEach(def => {
+            const varName = def.name;
+            const decimals = this.getStepDecimals(def.step);
+
             const group = document.createElement('div');
             group.className = 'control-group';
 
             const label = document.createElement('label');
             label.className = 'label';
-            label.textContent = varName;
+            label.textContent = `${varName} \u2208 [${def.min}, ${def.max}]`;
 
             const slider = document.createElement('input');
             slider.type = 'range';
-            slider.min = '-5';
-            slider.max = '5';
-            slider.step = '0.1';
-            slider.value = '1';
+            slider.min = String(def.min);
+            slider.max = String(def.max);
+            slider.step = String(def.step);
+            slider.value = String(parameters[varName]);
 
             const valueSpan = document.createElement('small');
             valueSpan.style.color = '#666';
             valueSpan.style.display = 'block';
             valueSpan.style.marginTop = '5px';
-            valueSpan.textContent = '1.0';
+            valueSpan.textContent = parameters[varName].toFixed(decimals);
 
             slider.addEventListener('input', (e) => {
                 const value = parseFloat(e.target.value);
-                valueSpan.textContent = value.toFixed(1);
+                valueSpan.textContent = value.toFixed(decimals);
                 this.state.parameters[varName] = value;
-                this.updateVisualization();
+                this.applyParameters();
+            });
+
+            // Sweep controls
+            const sweep = document.createElement('div');
+            sweep.style.display = 'flex';
+            sweep.style.gap = '8px';
+            sweep.style.marginTop = '8px';
+
+            const playBtn = document.createElement('button');
+            playBtn.textContent = this.parameterAnimations[varName] ? 'Stop' : 'Play';
+            playBtn.style.flex = '1';
+
+            const sweepSelect = document.createElement('select');
+            sweepSelect.style.flex = '1';
+            ['loop', 'bounce'].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value === 'loop' ? 'Loop' : 'Bounce';
+                sweepSelect.appendChild(option);
+            });
+            if (this.parameterAnimations[varName]) {
+                sweepSelect.value = this.parameterAnimations[varName].mode;
+            }
+
+            playBtn.addEventListener('click', () => {
+                if (this.parameterAnimations[varName]) {
+                    delete this.parameterAnimations[varName];
+                    playBtn.textContent = 'Play';
+                } else {
+                    this.parameterAnimations[varName] = { mode: sweepSelect.value, direction: 1 };
+                    playBtn.textContent = 'Stop';
+                }
+            });
+
+            sweepSelect.addEventListener('change', (e) => {
+                if (this.parameterAnimations[varName]) {
+                    this.parameterAnimations[varName].mode = e.target.value;
+                }
             });
 
+            sweep.appendChild(playBtn);
+            sweep.appendChild(sweepSelect);
+
             group.appendChild(label);
             group.appendChild(slider);
             group.appendChild(valueSpan);
+            group.appendChild(sweep);
             container.appendChild(group);
 
-            // Initialize parameter
-            this.state.parameters[varName] = 1;
+            this.parameterControls[varName] = { slider, valueSpan, decimals };
+        });
+    }
+
+    /**
+     * Advance animated parameter sweeps
+     * Registered as a render loop frame callback
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    stepParameterAnimations(deltaTime) {
+        const names = Object.keys(this.parameterAnimations);
+        if (names.length === 0) return;
+
+        this.state.parameterDefinitions.forEach(def => {
+            const anim = this.parameterAnimations[def.name];
+            if (!anim) return;
+
+            const span = def.max - def.min;
+            let value = this.state.parameters[def.name] +
+                anim.direction * span * deltaTime / UIController.PARAMETER_SWEEP_DURATION;
+
+            if (anim.mode === 'bounce') {
+                if (value > def.max) {
+                    value = def.max - (value - def.max);
+                    anim.direction = -1;
+                } else if (value < def.min) {
+                    value = def.min + (def.min - value);
+                    anim.direction = 1;
+                }
+            } else if (value > def.max) {
+                value = def.min + (value - def.max);
+            }
+            value = Math.max(def.min, Math.min(def.max, value));
+
+            this.state.parameters[def.name] = value;
+
+            const controls = this.parameterControls[def.name];
+            if (controls) {
+                controls.slider.value = String(value);
+                controls.valueSpan.textContent = value.toFixed(controls.decimals);
+            }
         });
+
+        this.applyParameters();
+    }
+
+    /**
+     * Push current parameter values to the field and refresh the layers
+     */
+    applyParameters() {
+        this.app.vectorField.setParameters(this.state.parameters);
+
+        this.layerModes.forEach(mode => mode.refresh());
+        this.overlayModes.forEach(overlay => overlay.refresh());
+    }
+
+    /**
+     * Helper: Number of decimals needed to display values of a given step
+     */
+    getStepDecimals(step) {
+        const text = String(step);
+        const exp = text.match(/e-(\d+)$/);
+        if (exp) return parseInt(exp[1], 10);
+        const dot = text.indexOf('.');
+        return dot === -1 ? 0 : Math.min(6, text.length - dot - 1);
     }
 
     /**
-     * Set visualization mode
+     * Set the visualization mode of the selected layer, adding a layer if there is none
+     * @param {string} mode - Key in UIController.LAYER_MODES
      */
     setVisualizationMode(mode) {
-        this.state.mode = mode;
+        const layer = this.getSelectedLayer();
+        if (!layer) {
+            this.addLayer(mode);
+            return;
+        }
+
+        layer.mode = mode;
+        this.createLayerControls();
         this.updateVisualization();
     }
 
     /**
      * Update visualization with current state
+     * Visible layers are rendered bottom to top, followed by the overlays
      */
     updateVisualization() {
         try {
-            console.log('updateVisualization() called, mode:', this.state.mode);
+            console.log('updateVisualization() called, layers:', this.state.layers.map(layer => layer.mode).join(', '));
 
             // Clear previous visualization
             this.app.sceneManager.clearMeshes();
             console.log('Cleared meshes');
 
-            // Create new visualization mode
-            let ModeClass;
-            console.log('Available classes - ArrowMode:', typeof window.ArrowMode, 'StreamlineMode:', typeof window.StreamlineMode);
-
-            switch (this.state.mode) {
-                case 'arrows':
-                    ModeClass = window.ArrowMode;
-                    break;
-                case 'streamlines':
-                    ModeClass = window.StreamlineMode;
-                    break;
-                case 'particles':
-                    ModeClass = window.ParticleMode;
-                    break;
-                case 'heatmap':
-                    ModeClass = window.HeatmapMode;
-                    break;
-                default:
-                    ModeClass = window.ArrowMode;
-            }
+            // Set parameters
+            this.app.vectorField.setParameters(this.state.parameters);
+            console.log('Parameters set');
 
-            if (!ModeClass) {
-                throw new Error('ModeClass is null - visualization mode not found');
-            }
+            // Evaluate at the current simulation time
+            this.app.vectorField.setTime(this.app.renderEngine.getTime());
 
-            console.log('ModeClass selected:', ModeClass.name);
+            this.layerModes = [];
+            this.state.layers.forEach((layer, order) => {
+                if (!layer.visible) return;
 
-            const mode = new ModeClass(this.app.vectorField, this.app.sceneManager);
-            console.log('Visualization mode instantiated');
+                const mode = this.createLayerMode(layer);
+                mode.setLayerOrder(order);
+                mode.time = this.app.vectorField.getTime();
+                mode.render();
+                this.layerModes.push(mode);
+            });
+            console.log('Layers rendered:', this.layerModes.length);
 
-            // Apply style config
-            try {
-                mode.updateStyle({
-                    color: this.hexToInt(this.state.color),
-                    scale: this.state.scale,
-                    density: this.state.density,
-                    opacity: this.state.opacity,
-                    showArrowheads: this.state.showArrowheads
-                });
-                console.log('Style updated');
-            } catch (e) {
-                console.error('Style update error:', e);
-                // Invalid color, use default
-                mode.updateStyle({
-                    color: 0x0066ff,
-                    scale: this.state.scale,
-                    density: this.state.density,
-                    opacity: this.state.opacity,
-                    showArrowheads: this.state.showArrowheads
-                });
-            }
+            // Overlays are drawn on top of the layers
+            this.renderOverlays();
 
-            // Set parameters if any
-            if (Object.keys(this.state.parameters).length > 0) {
-                this.app.vectorField.setParameters(this.state.parameters);
-                console.log('Parameters set');
-            }
+            // Hand the modes to the render loop for animation and clock updates
+            this.app.visualizationMode = this.layerModes[this.layerModes.length - 1] || null;
+            this.app.renderEngine.setVisualizationModes([...this.layerModes, ...this.overlayModes]);
 
-            // Render
-            console.log('Calling mode.render()...');
-            mode.render();
-            console.log('mode.render() completed');
+            this.updateLegend();
 
             // Update stats
             const stats = this.app.sceneManager.getStats();
-            document.getElementById('vector-count').textContent = stats.meshes;
-            console.log('Visualization complete. Mesh count:', stats.meshes);
+            document.getElementById('vector-count').textContent = stats.objects;
+            console.log('Visualization complete. Mesh count:', stats.meshes, 'objects:', stats.objects);
         } catch (error) {
             console.error('Visualization error:', error);
             console.error('Error stack:', error.stack);
@@ -315,6 +1721,154 @@ class UIController {
         }
     }
 
+    /**
+     * Create the visualization mode for a layer, styled from the layer and the shared settings
+     * @param {Object} layer - Layer from state.layers
+     * @returns {VisualizationMode}
+     */
+    createLayerMode(layer) {
+        const ModeClass = {
+            arrows: window.ArrowMode,
+            streamlines: window.StreamlineMode,
+            particles: window.ParticleMode,
+            heatmap: window.HeatmapMode,
+            lic: window.LICMode,
+            contour: window.ContourMode
+        }[layer.mode];
+
+        if (!ModeClass) {
+            throw new Error(`Visualization mode not found: ${layer.mode}`);
+        }
+
+        const mode = new ModeClass(this.app.vectorField, this.app.sceneManager);
+        const color = this.hexToInt(layer.style.color);
+
+        mode.updateStyle({
+            color: Number.isFinite(color) ? color : 0x0066ff, // Invalid color, use default
+            scale: layer.style.scale,
+            density: layer.style.density,
+            opacity: layer.style.opacity,
+            showArrowheads: layer.style.showArrowheads,
+            colorBy: layer.style.colorBy,
+            colormap: layer.style.colormap,
+            colorRange: layer.style.colorRange,
+            interpolation: layer.style.interpolation,
+            hillshade: layer.style.hillshade,
+            animatePhase: layer.style.animatePhase,
+            contourScalar: layer.style.contourScalar,
+            potential: layer.style.potential,
+            contourLevels: layer.style.contourLevels,
+            contourLevelCount: layer.style.contourLevelCount,
+            contourLabels: layer.style.contourLabels,
+            seeding: this.state.seeding,
+            separation: this.state.separation,
+            seeds: this.state.streamlineSeeds,
+            count: this.state.particleCount,
+            integrator: this.state.particleIntegrator,
+            speed: this.state.particleSpeed,
+            trailLength: this.state.trailLength,
+            lifetime: this.state.particleLifetime,
+            boundary: this.state.particleBoundary,
+            respawn: this.state.particleRespawn
+        });
+
+        return mode;
+    }
+
+    /**
+     * Create and render the enabled overlays
+     */
+    renderOverlays() {
+        this.overlayModes = [];
+        this.sliceMode = null;
+
+        // Overlays follow the style of the selected layer
+        const layer = this.getSelectedLayer();
+        const style = layer ? layer.style : UIController.DEFAULT_LAYER_STYLE;
+
+        if (this.state.dimension === 3 && this.state.slices.length > 0) {
+            const overlay = new SliceMode(this.app.vectorField, this.app.sceneManager);
+            overlay.updateStyle({
+                color: this.hexToInt(style.color),
+                scale: style.scale,
+                density: style.density,
+                opacity: style.opacity,
+                showArrowheads: style.showArrowheads,
+                colorBy: style.colorBy,
+                colormap: style.colormap,
+                colorRange: style.colorRange,
+                slices: this.state.slices
+            });
+            overlay.render();
+            this.overlayModes.push(overlay);
+            this.sliceMode = overlay;
+        }
+        this.sliceDragTool.setSliceMode(this.sliceMode);
+
+        if (this.state.showSeparatrices && this.state.dimension === 2) {
+            const overlay = new SeparatrixMode(this.app.vectorField, this.app.sceneManager);
+            overlay.updateStyle({ opacity: style.opacity });
+            overlay.render();
+            this.overlayModes.push(overlay);
+        }
+
+        if (this.state.showSamples && this.app.vectorField instanceof ScatteredVectorField) {
+            const overlay = new SampleMode(this.app.vectorField, this.app.sceneManager);
+            overlay.updateStyle({ scale: style.scale, opacity: style.opacity, showArrowheads: style.showArrowheads });
+            overlay.render();
+            this.overlayModes.push(overlay);
+        }
+
+        if (this.state.showCriticalPoints) {
+            const overlay = new CriticalPointMode(this.app.vectorField, this.app.sceneManager);
+            overlay.updateStyle({ scale: style.scale, opacity: style.opacity });
+            overlay.onChange = (points) => this.updateCriticalPointList(points);
+            overlay.render();
+            this.overlayModes.push(overlay);
+        } else {
+            this.updateCriticalPointList(null);
+        }
+    }
+
+    /**
+     * Fill the critical point list panel
+     * @param {Array|null} points - Points from CriticalPointFinder, or null to hide the list
+     */
+    updateCriticalPointList(points) {
+        const list = document.getElementById('critical-points-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (!points) return;
+
+        if (points.length === 0) {
+            list.textContent = 'No critical points in view';
+            return;
+        }
+
+        points.forEach(point => {
+            const style = CriticalPointMode.STYLES[point.type];
+            const coords = Object.values(point.position).map(v => v.toFixed(3)).join(', ');
+
+            const item = document.createElement('div');
+            item.className = 'critical-point-item';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'critical-point-swatch';
+            swatch.style.background = style.css;
+
+            const text = document.createElement('span');
+            text.textContent = `${style.label} (${coords})`;
+            text.title = 'Eigenvalues: ' + point.eigenvalues
+                .map(ev => (ev.im === 0 ? ev.re.toFixed(3) : `${ev.re.toFixed(3)} ${ev.im < 0 ? '-' : '+'} ${Math.abs(ev.im).toFixed(3)}i`))
+                .join(', ');
+
+            item.appendChild(swatch);
+            item.appendChild(text);
+            list.appendChild(item);
+        });
+    }
+
     /**
      * Helper: Convert hex color to integer
      */
@@ -331,7 +1885,76 @@ class UIController {
      */
     updateStats(stats) {
         document.getElementById('fps').textContent = stats.fps;
+        document.getElementById('vector-count').textContent = stats.vectorCount;
+
+        // Color ranges follow time-dependent fields
+        this.updateLegend();
+
+        const timeValue = document.getElementById('time-value');
+        if (timeValue && !this.isScrubbing) {
+            timeValue.textContent = stats.time.toFixed(2);
+            document.getElementById('time-slider').value = stats.time;
+        }
+
+        const playBtn = document.getElementById('time-play');
+        if (playBtn) {
+            playBtn.textContent = stats.playing ? 'Pause' : 'Play';
+        }
     }
 }
 
+// Seconds for an animated parameter to sweep its full range once
+UIController.PARAMETER_SWEEP_DURATION = 4;
+
+// Expressions shown when a dimension is first selected
+UIController.DEFAULT_FUNCTIONS = {
+    2: '[-y, x]',
+    3: '[-y, x, 0.5]'
+};
+
+// Style of a new layer
+UIController.DEFAULT_LAYER_STYLE = {
+    color: '#ffffff',
+    scale: 1.0,
+    density: 1.5,
+    opacity: 1.0,
+    showArrowheads: true,
+    colorBy: 'solid',
+    colormap: 'viridis',
+    colorRange: { mode: 'auto', min: 0, max: 1, percentile: 2 },
+    interpolation: 'bilinear',
+    hillshade: false,
+    animatePhase: false,
+    contourScalar: 'magnitude',
+    potential: '',
+    contourLevels: null,
+    contourLevelCount: 10,
+    contourLabels: true
+};
+
+// Color quantity of new layers whose mode is not drawn in a solid color by default
+UIController.DEFAULT_COLOR_BY = {
+    streamlines: 'magnitude',
+    heatmap: 'magnitude'
+};
+
+// Modes a layer can show, with their labels
+UIController.LAYER_MODES = {
+    arrows: 'Arrows',
+    streamlines: 'Streamlines',
+    particles: 'Particles',
+    heatmap: 'Heatmap',
+    lic: 'LIC',
+    contour: 'Contours'
+};
+
+// Most automatic contour levels a layer can ask for
+UIController.MAX_CONTOUR_LEVELS = 50;
+
+// Samples per axis at which an entered potential must have some finite value
+UIController.POTENTIAL_CHECK_RESOLUTION = 8;
+
+// Streamline seeds placed on the ring around each critical point
+UIController.CRITICAL_POINT_SEEDS = 8;
+
 window.UIController = UIController;
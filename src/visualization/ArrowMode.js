@@ -1,6 +1,6 @@
 /**
  * ArrowMode.js - Arrow glyph visualization mode
- * Displays vector field as arrows at grid points
+ * Displays vector field as arrows at grid points, drawn as a single instanced mesh
  */
 
 class ArrowMode extends VisualizationMode {
@@ -8,6 +8,10 @@ class ArrowMode extends VisualizationMode {
         super(vectorField, sceneManager);
         this.grid = null;
         this.resolution = 25; // Increased from 15 for better density at default 1.5x
+        this.resolution3D = 10; // Samples per axis in 3D volumes at density 1x
+        this.positions = null;
+        this.vectors = null;
+        this.arrows = null;
     }
 
     /**
@@ -16,85 +20,200 @@ class ArrowMode extends VisualizationMode {
     render() {
         this.clear();
 
+        this.positions = this.createSamplePositions();
+        this.vectors = null;
+        const count = this.positions.length / this.vectorField.dimension;
+
+        this.arrows = this.createArrowInstances(count, this.config.showArrowheads);
+        this.updateArrows();
+    }
+
+    /**
+     * Re-evaluate the field and update the existing instances in place
+     */
+    refresh() {
+        if (!this.arrows) {
+            this.render();
+            return;
+        }
+        this.updateArrows();
+    }
+
+    /**
+     * Clear meshes and forget the instanced mesh
+     */
+    clear() {
+        super.clear();
+        this.arrows = null;
+    }
+
+    /**
+     * Arrows per axis of the sample grid at the current density
+     * @returns {number}
+     */
+    getGridResolution() {
+        return this.vectorField.dimension === 3
+            ? Math.ceil(this.resolution3D * this.config.density)
+            : Math.ceil(this.resolution * this.config.density);
+    }
+
+    /**
+     * Packed sample positions: a plane grid in 2D, a volume grid in 3D
+     * @protected
+     * @returns {Float32Array} - `dimension` coordinates per sample
+     */
+    createSamplePositions() {
         const bounds = this.vectorField.getBounds();
         const dimension = this.vectorField.dimension;
+        const axes = ['x', 'y', 'z'].slice(0, dimension);
 
         // Calculate grid spacing
-        const resolutionScaled = Math.ceil(this.resolution * this.config.density);
-        const xSpan = bounds.max.x - bounds.min.x;
-        const ySpan = bounds.max.y - bounds.min.y;
-
-        // Generate sample grid
-        const samples = [];
-        const xStep = xSpan / (resolutionScaled - 1);
-        const yStep = ySpan / (resolutionScaled - 1);
-
-        for (let i = 0; i < resolutionScaled; i++) {
-            for (let j = 0; j < resolutionScaled; j++) {
-                const x = bounds.min.x + i * xStep;
-                const y = bounds.min.y + j * yStep;
-
-                if (dimension === 2) {
-                    samples.push({ x, y });
-                } else {
-                    // For 3D, sample a slice or reduce to 2D
-                    samples.push({ x, y, z: 0 });
-                }
+        const resolutionScaled = this.getGridResolution();
+        const steps = axes.map(a => (bounds.max[a] - bounds.min[a]) / (resolutionScaled - 1));
+
+        const count = Math.pow(resolutionScaled, dimension);
+        const positions = new Float32Array(count * dimension);
+
+        for (let k = 0; k < count; k++) {
+            let rest = k;
+            for (let c = dimension - 1; c >= 0; c--) {
+                const index = rest % resolutionScaled;
+                rest = Math.floor(rest / resolutionScaled);
+                positions[k * dimension + c] = bounds.min[axes[c]] + index * steps[c];
             }
         }
 
-        // Evaluate field at each sample point
-        const maxMagnitude = this.getMaxMagnitude(samples);
-
-        // Create arrows
-        for (const pos of samples) {
-            const vector = this.vectorField.evaluateAt(pos);
-            if (!vector) continue;
-
-            const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
-            if (magnitude < 1e-6) continue; // Skip zero vectors
-
-            // Normalize for display
-            const displayScale = this.config.scale * 0.8;
-            const arrowLength = Math.min(
-                displayScale * magnitude / (maxMagnitude || 1),
-                displayScale
-            );
-
-            const direction = {
-                x: vector[0],
-                y: vector[1],
-                z: vector[2] || 0
-            };
-
-            // Create arrow (arrowLength controls the size)
-            this.createArrow(
-                { x: pos.x, y: pos.y, z: pos.z || 0 },
-                direction,
-                arrowLength,
-                new THREE.Color(this.config.color),
-                this.config.opacity,
-                this.config.showArrowheads
-            );
+        return positions;
+    }
+
+    /**
+     * Evaluate the field once at every sample and write instance transforms and colors
+     * @private
+     */
+    updateArrows() {
+        const dimension = this.vectorField.dimension;
+        const positions = this.positions;
+        const count = positions.length / dimension;
+
+        this.vectors = this.getSampleVectors(positions, this.vectors);
+        const vectors = this.vectors;
+        const magnitudes = this.getMagnitudes(vectors, dimension);
+        const maxMagnitude = magnitudes.reduce((max, m) => (m > max ? m : max), 0);
+
+        // Normalize for display
+        const displayScale = this.config.scale * ArrowMode.ARROW_LENGTH * this.getSpacingScale();
+        const start = { x: 0, y: 0, z: 0 };
+        const direction = { x: 0, y: 0, z: 0 };
+
+        for (let k = 0; k < count; k++) {
+            const o = k * dimension;
+            const magnitude = magnitudes[k];
+
+            // Zero and invalid vectors get a zero length, which hides them
+            let arrowLength = 0;
+            if (magnitude >= 1e-6) {
+                arrowLength = Math.min(displayScale * magnitude / (maxMagnitude || 1), displayScale);
+            }
+
+            start.x = positions[o];
+            start.y = positions[o + 1];
+            start.z = dimension === 3 ? positions[o + 2] : 0;
+            direction.x = vectors[o];
+            direction.y = vectors[o + 1];
+            direction.z = dimension === 3 ? vectors[o + 2] : 0;
+
+            this.setArrowInstance(this.arrows, k, start, direction, arrowLength);
         }
+
+        this.arrows.instanceMatrix.needsUpdate = true;
+        this.updateMeshColors();
     }
 
     /**
-     * Get maximum magnitude in samples for scaling
+     * Vectors drawn at the sample positions
+     * @protected
+     * @param {Float32Array} positions - From createSamplePositions
+     * @param {Float32Array|null} out - Previous result, reused when given
+     * @returns {Float32Array} - Packed vectors, NaN where invalid
+     */
+    getSampleVectors(positions, out) {
+        return this.vectorField.evaluateBatch(positions, out);
+    }
+
+    /**
+     * Arrow length relative to the 2D grid spacing, so 3D volumes do not overlap,
+     * and to the size of the domain, e.g. for loaded data
+     * @protected
+     */
+    getSpacingScale() {
+        const bounds = this.vectorField.getBounds();
+        const defaults = this.vectorField.getDefaultBounds();
+        const span = bounds.max.x - bounds.min.x;
+        const domainScale = span / (defaults.max.x - defaults.min.x);
+        if (this.vectorField.dimension !== 3) return domainScale;
+
+        const resolution2D = Math.ceil(this.resolution * this.config.density);
+        const resolution3D = Math.ceil(this.resolution3D * this.config.density);
+        return domainScale * (span / (resolution3D - 1)) / (span / (resolution2D - 1));
+    }
+
+    /**
+     * Magnitude of each packed vector, NaN where any component is invalid
      * @private
      */
-    getMaxMagnitude(samples) {
-        let max = 0;
+    getMagnitudes(vectors, dimension) {
+        const count = vectors.length / dimension;
+        const magnitudes = new Float32Array(count);
+
+        for (let k = 0; k < count; k++) {
+            let sum = 0;
+            for (let c = 0; c < dimension; c++) {
+                const v = vectors[k * dimension + c];
+                sum += v * v;
+            }
+            magnitudes[k] = Number.isFinite(sum) ? Math.sqrt(sum) : NaN;
+        }
 
-        for (const pos of samples) {
-            const vector = this.vectorField.evaluateAt(pos);
-            if (!vector) continue;
+        return magnitudes;
+    }
 
-            const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
-            max = Math.max(max, magnitude);
+    /**
+     * Apply the configured color or colormap to every instance and the opacity to the material
+     */
+    updateMeshColors() {
+        if (!this.arrows) return;
+
+        const color = new THREE.Color(this.config.color);
+        if (this.isColorMapped() && this.vectors) {
+            const values = this.getColorValues(this.positions, this.vectors);
+            this.computeColorRange(values);
+            for (let k = 0; k < this.arrows.count; k++) {
+                this.arrows.setColorAt(k, this.mapColor(values[k], color));
+            }
+        } else {
+            for (let k = 0; k < this.arrows.count; k++) {
+                this.arrows.setColorAt(k, color);
+            }
+        }
+        if (this.arrows.instanceColor) {
+            this.arrows.instanceColor.needsUpdate = true;
         }
 
-        return max;
+        this.arrows.material.opacity = this.config.opacity;
+        this.arrows.material.transparent = this.config.opacity < 1;
+    }
+
+    /**
+     * Arrow outlines, in 2D
+     * @returns {Object|null}
+     */
+    getVectorGraphics() {
+        if (!this.arrows || this.vectorField.dimension !== 2) return null;
+        return {
+            polygons: this.getArrowPolygons(this.arrows, this.config.showArrowheads),
+            lines: [],
+            labels: []
+        };
     }
 
     /**
@@ -120,4 +239,7 @@ class ArrowMode extends VisualizationMode {
     }
 }
 
+// Longest arrow at scale 1 in the default domain, in world units
+ArrowMode.ARROW_LENGTH = 0.8;
+
 window.ArrowMode = ArrowMode;
@@ -0,0 +1,155 @@
+/**
+ * Colormap.js - Perceptual colormaps for mapping scalars to colors
+ * Each map is a list of evenly spaced sRGB stops, interpolated linearly
+ */
+
+class Colormap {
+    /**
+     * Create a colormap
+     * @param {string} name - Key in Colormap.DEFINITIONS
+     * @param {Object} definition - {label, type, stops}
+     *   type: 'sequential', 'diverging' (centered on zero) or 'cyclic' (ends match, for angles)
+     *   stops: CSS hex colors from the low to the high end
+     */
+    constructor(name, definition) {
+        this.name = name;
+        this.label = definition.label;
+        this.type = definition.type;
+        this.stops = definition.stops.map(hex => new THREE.Color(hex));
+    }
+
+    /**
+     * Color at a normalized position
+     * Values outside [0, 1] are clamped, or wrapped for cyclic maps
+     * @param {number} t - Position along the map
+     * @param {THREE.Color} target - Color to write into
+     * @returns {THREE.Color}
+     */
+    map(t, target = new THREE.Color()) {
+        if (!Number.isFinite(t)) {
+            return target.setHex(Colormap.NAN_COLOR);
+        }
+
+        if (this.type === 'cyclic') {
+            t -= Math.floor(t);
+        } else {
+            t = Math.max(0, Math.min(1, t));
+        }
+
+        const scaled = t * (this.stops.length - 1);
+        const i = Math.min(Math.floor(scaled), this.stops.length - 2);
+        return target.copy(this.stops[i]).lerp(this.stops[i + 1], scaled - i);
+    }
+
+    /**
+     * CSS color strings sampled evenly along the map, e.g. for gradients
+     * @param {number} count - Number of samples
+     * @returns {Array<string>}
+     */
+    getCSSStops(count = this.stops.length) {
+        const color = new THREE.Color();
+        const stops = [];
+        for (let i = 0; i < count; i++) {
+            stops.push('#' + this.map(i / (count - 1), color).getHexString());
+        }
+        return stops;
+    }
+
+    /**
+     * Round tick values inside a range, roughly `count` of them
+     * @param {number} min
+     * @param {number} max
+     * @param {number} count - Desired number of ticks
+     * @returns {Array} - {value, label} objects
+     */
+    static getTicks(min, max, count = 5) {
+        const rough = (max - min) / (count - 1);
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const fraction = rough / magnitude;
+        const step = magnitude * (fraction < 1.5 ? 1 : fraction < 3 ? 2 : fraction < 7 ? 5 : 10);
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+
+        const ticks = [];
+        for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+            const rounded = Math.abs(value) < step * 1e-9 ? 0 : value;
+            ticks.push({ value: rounded, label: rounded.toFixed(Math.min(decimals, 6)) });
+        }
+        return ticks;
+    }
+
+    /**
+     * Get a colormap by name, falling back to viridis
+     * @param {string} name
+     * @returns {Colormap}
+     */
+    static get(name) {
+        const key = Colormap.DEFINITIONS[name] ? name : 'viridis';
+        if (!Colormap.cache[key]) {
+            Colormap.cache[key] = new Colormap(key, Colormap.DEFINITIONS[key]);
+        }
+        return Colormap.cache[key];
+    }
+}
+
+// Stops sampled from the matplotlib maps of the same names (coolwarm after Moreland)
+Colormap.DEFINITIONS = {
+    viridis: {
+        label: 'Viridis',
+        type: 'sequential',
+        stops: ['#440154', '#482475', '#414487', '#355f8d', '#2a788e', '#21918c',
+            '#22a884', '#44bf70', '#7ad151', '#bddf26', '#fde725']
+    },
+    magma: {
+        label: 'Magma',
+        type: 'sequential',
+        stops: ['#000004', '#140e36', '#3b0f70', '#641a80', '#8c2981', '#b73779',
+            '#de4968', '#f7705c', '#fe9f6d', '#fecf92', '#fcfdbf']
+    },
+    cividis: {
+        label: 'Cividis',
+        type: 'sequential',
+        stops: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8779',
+            '#a69d75', '#c4b56c', '#e4cf5b', '#fee838']
+    },
+    coolwarm: {
+        label: 'Coolwarm',
+        type: 'diverging',
+        stops: ['#3b4cc0', '#6282ea', '#8db0fe', '#b8d0f9', '#dddddd', '#f5c4ad',
+            '#f49a7b', '#de604d', '#b40426']
+    },
+    twilight: {
+        label: 'Twilight',
+        type: 'cyclic',
+        stops: ['#e2d9e2', '#a6bdd0', '#6e96c3', '#5c68b8', '#4f3a8f', '#2f1436',
+            '#6a1f4f', '#9e3a4d', '#c0695b', '#d5a594', '#e2d9e2']
+    }
+};
+
+// Titles of the mapped quantities
+Colormap.QUANTITY_LABELS = {
+    magnitude: 'Magnitude |F|',
+    x: 'x component',
+    y: 'y component',
+    z: 'z component',
+    angle: 'Angle',
+    divergence: 'Divergence \u2207\u00B7F',
+    curl: 'Curl \u2207\u00D7F',
+    potential: 'Potential'
+};
+
+// Ticks for angles over the full circle
+Colormap.ANGLE_TICKS = [
+    { value: -Math.PI, label: '-\u03C0' },
+    { value: -Math.PI / 2, label: '-\u03C0/2' },
+    { value: 0, label: '0' },
+    { value: Math.PI / 2, label: '\u03C0/2' },
+    { value: Math.PI, label: '\u03C0' }
+];
+
+// Color for invalid values
+Colormap.NAN_COLOR = 0x808080;
+
+// Colormap instances by name, created on first use
+Colormap.cache = {};
+
+window.Colormap = Colormap;
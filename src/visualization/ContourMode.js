@@ -0,0 +1,319 @@
+/**
+ * ContourMode.js - Isolines of a scalar quantity
+ * Marching squares over a sampled grid draws lines at fixed or automatic levels,
+ * labelled with their values. The scalar is a field quantity (magnitude, components,
+ * divergence, curl) or a user-entered potential, e.g. for equipotential and
+ * stream function plots. 2D fields only; 3D fields draw nothing.
+ */
+
+class ContourMode extends VisualizationMode {
+    constructor(vectorField, sceneManager) {
+        super(vectorField, sceneManager);
+        this.resolution = 100; // Grid cells per side at density 1x
+        this.parser = new FunctionParser();
+        this.levels = [];
+        this.labels = []; // {text, x, y, height, color, background} of the level labels
+        this.error = null; // Why the potential could not be evaluated, if it could not
+    }
+
+    render() {
+        this.clear();
+        this.levels = [];
+        this.labels = [];
+        this.error = null;
+        if (this.vectorField.dimension !== 2) return;
+
+        const bounds = this.vectorField.getBounds();
+        const cells = Math.min(ContourMode.MAX_RESOLUTION, Math.ceil(this.resolution * this.config.density));
+        const size = cells + 1;
+
+        // Grid nodes, including the domain edges
+        const positions = new Float32Array(size * size * 2);
+        const xStep = (bounds.max.x - bounds.min.x) / cells;
+        const yStep = (bounds.max.y - bounds.min.y) / cells;
+        for (let j = 0; j < size; j++) {
+            for (let i = 0; i < size; i++) {
+                const k = (j * size + i) * 2;
+                positions[k] = bounds.min.x + i * xStep;
+                positions[k + 1] = bounds.min.y + j * yStep;
+            }
+        }
+
+        const values = this.getScalarValues(positions);
+        if (!values) return;
+        const range = this.computeColorRange(values);
+        this.levels = this.getLevels(range);
+
+        const vertices = [];
+        const colors = [];
+        const color = new THREE.Color(this.config.color);
+        const segmentsByLevel = this.levels.map(level => {
+            const segments = ContourMode.marchingSquares(values, size, level);
+            if (this.isColorMapped()) {
+                this.mapColor(level, color);
+            }
+            for (let s = 0; s < segments.length; s += 2) {
+                // Grid coordinates to world coordinates
+                vertices.push(bounds.min.x + segments[s] * xStep, bounds.min.y + segments[s + 1] * yStep, 0);
+                colors.push(color.r, color.g, color.b);
+            }
+            return { level, segments, color: color.clone() };
+        });
+
+        if (vertices.length > 0) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertices), 3));
+            geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(colors), 3));
+
+            const material = new THREE.LineBasicMaterial({
+                vertexColors: true,
+                opacity: this.config.opacity,
+                transparent: this.config.opacity < 1
+            });
+            this.addMesh(new THREE.LineSegments(geometry, material));
+        }
+
+        if (this.config.contourLabels) {
+            this.createLevelLabels(segmentsByLevel, { x: xStep, y: yStep }, bounds);
+        }
+    }
+
+    /**
+     * Scalar at packed 2D positions: the parsed potential, or a field quantity
+     * @private
+     * @param {Float32Array} positions
+     * @returns {Float32Array|null} - One value per position, NaN where invalid;
+     *   null with this.error set if the potential does not parse, e.g. after its parameters were removed
+     */
+    getScalarValues(positions) {
+        if (this.config.contourScalar !== 'potential') {
+            return this.getColorValues(positions, this.vectorField.evaluateBatch(positions));
+        }
+
+        const params = { t: this.vectorField.time, ...this.vectorField.params };
+        const result = this.parser.parseScalar(this.config.potential, this.vectorField.dimension, Object.keys(params).filter(name => name !== 't'));
+        if (result.error) {
+            this.error = `Potential: ${result.error}`;
+            console.error('Contour error:', this.error);
+            return null;
+        }
+
+        const values = result.func.batch(positions, new Float32Array(positions.length / 2), params);
+        for (let k = 0; k < values.length; k++) {
+            if (!Number.isFinite(values[k])) values[k] = NaN;
+        }
+        return values;
+    }
+
+    /**
+     * Contour levels: config.contourLevels, or round values spread over the range
+     * @private
+     * @param {Object} range - {min, max} of the scalar
+     * @returns {Array<number>}
+     */
+    getLevels(range) {
+        if (Array.isArray(this.config.contourLevels) && this.config.contourLevels.length > 0) {
+            return this.config.contourLevels.filter(Number.isFinite).sort((a, b) => a - b);
+        }
+        if (!(range.max > range.min)) return [];
+
+        // Levels at the very ends of the range would only touch single points
+        return Colormap.getTicks(range.min, range.max, this.config.contourLevelCount + 2)
+            .map(tick => tick.value)
+            .filter(value => value > range.min && value < range.max);
+    }
+
+    /**
+     * Label a few segments of every level, keeping labels apart
+     * @private
+     * @param {Array} segmentsByLevel - {level, segments, color} per level
+     * @param {Object} step - Grid spacing {x, y}
+     * @param {Object} bounds - Domain bounds
+     */
+    createLevelLabels(segmentsByLevel, step, bounds) {
+        const width = bounds.max.x - bounds.min.x;
+        const spacing = ContourMode.LABEL_SPACING * width;
+        const placed = [];
+
+        segmentsByLevel.forEach(({ level, segments, color }) => {
+            const count = segments.length / 4;
+            let labels = 0;
+
+            for (let m = 0; m < ContourMode.LABEL_CANDIDATES && labels < ContourMode.MAX_LABELS_PER_LEVEL; m++) {
+                if (placed.length >= ContourMode.MAX_LABELS || count === 0) return;
+
+                // Candidates spread evenly through the segments, which run row by row
+                const s = Math.floor((m + 0.5) / ContourMode.LABEL_CANDIDATES * count) * 4;
+                const position = {
+                    x: bounds.min.x + (segments[s] + segments[s + 2]) / 2 * step.x,
+                    y: bounds.min.y + (segments[s + 1] + segments[s + 3]) / 2 * step.y,
+                    z: 0
+                };
+                if (placed.some(p => Math.hypot(p.x - position.x, p.y - position.y) < spacing)) continue;
+
+                const label = {
+                    text: ContourMode.formatLevel(level),
+                    color: '#' + color.getHexString(),
+                    height: ContourMode.LABEL_HEIGHT * width,
+                    background: ContourMode.LABEL_BACKGROUND
+                };
+                this.createLabel(label.text, position, label);
+                this.labels.push({ ...label, x: position.x, y: position.y });
+                placed.push(position);
+                labels++;
+            }
+        });
+    }
+
+    /**
+     * Contour segments, grouped by level color, and level labels
+     * @returns {Object|null}
+     */
+    getVectorGraphics() {
+        if (this.vectorField.dimension !== 2) return null;
+
+        const lines = [];
+        const color = new THREE.Color();
+        this.meshes.filter(mesh => mesh.isLineSegments).forEach(mesh => {
+            const positions = mesh.geometry.getAttribute('position').array;
+            const colors = mesh.geometry.getAttribute('color').array;
+            let current = null;
+
+            for (let v = 0; v < positions.length / 3; v += 2) {
+                const hex = '#' + color.fromArray(colors, v * 3).getHexString();
+                if (!current || current.color !== hex) {
+                    current = { segments: [], color: hex };
+                    lines.push(current);
+                }
+                current.segments.push(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 3], positions[v * 3 + 4]);
+            }
+        });
+
+        return { polygons: [], lines, labels: this.labels };
+    }
+
+    /**
+     * The contoured scalar is what the colormap shows
+     * @returns {string}
+     */
+    getColorQuantity() {
+        return this.config.contourScalar;
+    }
+
+    /**
+     * Legend only for color mapped lines
+     * @returns {Object|null}
+     */
+    getLegend() {
+        return this.isColorMapped() ? super.getLegend() : null;
+    }
+
+    /**
+     * Colors are baked into the vertices and labels, so only the line opacity is updated here
+     */
+    updateMeshColors() {
+        this.meshes.forEach(mesh => {
+            if (mesh.isLineSegments) {
+                mesh.material.opacity = this.config.opacity;
+            }
+        });
+    }
+
+    getDefaultConfig() {
+        return {
+            color: 0xffffff,
+            opacity: 1.0,
+            scale: 1.0,
+            density: 1.5,
+            animated: false,
+            contourScalar: 'magnitude', // Field quantity, or 'potential' for config.potential
+            potential: '',              // Scalar expression in x, y, t and the field parameters
+            contourLevels: null,        // Array of levels, or null for automatic levels
+            contourLevelCount: 10,      // Approximate number of automatic levels
+            contourLabels: true
+        };
+    }
+
+    /**
+     * Marching squares for one level
+     * Saddle cells are resolved with the average of their corners
+     * @param {Float32Array} values - Scalar per grid node, row by row; NaN cells are skipped
+     * @param {number} size - Nodes per side
+     * @param {number} level - Contour value
+     * @returns {Array<number>} - Segment end points in grid coordinates, x0, y0, x1, y1 per segment
+     */
+    static marchingSquares(values, size, level) {
+        const segments = [];
+        const corners = [0, 0, 0, 0];
+        // Corner offsets counter-clockwise from the lower left: a, b, c, d
+        const offsets = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+        // Crossing on edge e (0 bottom, 1 right, 2 top, 3 left) of the cell at (i, j)
+        const crossing = (i, j, edge) => {
+            const [ai, aj] = offsets[edge];
+            const [bi, bj] = offsets[(edge + 1) % 4];
+            const va = corners[edge];
+            const vb = corners[(edge + 1) % 4];
+            const t = (level - va) / (vb - va);
+            segments.push(i + ai + (bi - ai) * t, j + aj + (bj - aj) * t);
+        };
+
+        for (let j = 0; j < size - 1; j++) {
+            for (let i = 0; i < size - 1; i++) {
+                let index = 0;
+                let valid = true;
+                for (let c = 0; c < 4; c++) {
+                    const value = values[(j + offsets[c][1]) * size + i + offsets[c][0]];
+                    if (Number.isNaN(value)) valid = false;
+                    corners[c] = value;
+                    if (value > level) index |= 1 << c;
+                }
+                if (!valid) continue;
+
+                let edges = ContourMode.EDGE_TABLE[index];
+                if (index === 5 || index === 10) {
+                    const center = (corners[0] + corners[1] + corners[2] + corners[3]) / 4;
+                    // Connect the corners above the level through the center when it is above too
+                    edges = (center > level) === (index === 5) ? [0, 1, 2, 3] : [3, 0, 1, 2];
+                }
+                for (let e = 0; e < edges.length; e++) {
+                    crossing(i, j, edges[e]);
+                }
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * Short label for a level value
+     * @param {number} value
+     * @returns {string}
+     */
+    static formatLevel(value) {
+        return String(Number(value.toPrecision(3)));
+    }
+}
+
+// Crossed edges per corner case, in pairs; saddles 5 and 10 are resolved in marchingSquares
+ContourMode.EDGE_TABLE = [
+    [], [3, 0], [0, 1], [3, 1], [1, 2], [3, 0, 1, 2], [0, 2], [3, 2],
+    [2, 3], [0, 2], [0, 1, 2, 3], [1, 2], [1, 3], [0, 1], [3, 0], []
+];
+
+// Largest grid side, bounding the marching cost
+ContourMode.MAX_RESOLUTION = 400;
+
+// Label height and smallest distance between labels, relative to the domain width
+ContourMode.LABEL_HEIGHT = 0.025;
+ContourMode.LABEL_SPACING = 0.12;
+
+// Backdrop that keeps labels readable over the lines
+ContourMode.LABEL_BACKGROUND = 'rgba(0, 0, 0, 0.6)';
+
+// Positions tried per level, labels per level and labels in total (each label is a texture)
+ContourMode.LABEL_CANDIDATES = 12;
+ContourMode.MAX_LABELS_PER_LEVEL = 3;
+ContourMode.MAX_LABELS = 40;
+
+window.ContourMode = ContourMode;
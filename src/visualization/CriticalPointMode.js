@@ -0,0 +1,116 @@
+/**
+ * CriticalPointMode.js - Critical point overlay
+ * Draws a labelled glyph at every zero of the field, on top of other modes
+ */
+
+class CriticalPointMode extends VisualizationMode {
+    constructor(vectorField, sceneManager) {
+        super(vectorField, sceneManager);
+        this.finder = new CriticalPointFinder();
+        this.criticalPoints = [];
+        this.onChange = null; // Called with the point list after each render
+    }
+
+    render() {
+        this.clear();
+
+        this.criticalPoints = this.finder.find(this.vectorField);
+        const dimension = this.vectorField.dimension;
+        const size = 0.25 * this.config.scale;
+
+        for (const point of this.criticalPoints) {
+            const style = CriticalPointMode.STYLES[point.type];
+            const position = {
+                x: point.position.x,
+                y: point.position.y,
+                z: dimension === 3 ? point.position.z : 0
+            };
+
+            const glyph = this.createGlyph(point.type, size, style.color);
+            glyph.position.set(position.x, position.y, position.z);
+            this.addMesh(glyph);
+
+            this.createLabel(style.label, {
+                x: position.x,
+                y: position.y + size * 2,
+                z: position.z
+            }, {
+                color: style.css,
+                height: 0.45 * this.config.scale,
+                background: 'rgba(0, 0, 0, 0.55)'
+            });
+        }
+
+        if (this.onChange) {
+            this.onChange(this.criticalPoints);
+        }
+    }
+
+    /**
+     * Build the glyph for a critical point type
+     * Nodes are discs, spirals are discs with a ring, centers are rings,
+     * saddles are diamonds and degenerate points are small squares
+     * @private
+     */
+    createGlyph(type, size, color) {
+        const TYPES = CriticalPointFinder.TYPES;
+        const material = new THREE.MeshBasicMaterial({
+            color,
+            opacity: this.config.opacity,
+            transparent: true,
+            depthTest: false,
+            side: THREE.DoubleSide
+        });
+
+        let geometry;
+        if (this.vectorField.dimension === 3) {
+            geometry = type === TYPES.SADDLE
+                ? new THREE.OctahedronGeometry(size)
+                : new THREE.SphereGeometry(size, 16, 12);
+        } else if (type === TYPES.CENTER) {
+            geometry = new THREE.RingGeometry(size * 0.6, size, 32);
+        } else if (type === TYPES.SADDLE) {
+            geometry = new THREE.CircleGeometry(size * 1.2, 4);
+        } else if (type === TYPES.DEGENERATE) {
+            geometry = new THREE.PlaneGeometry(size, size);
+        } else {
+            geometry = new THREE.CircleGeometry(size, 32);
+        }
+
+        const glyph = new THREE.Mesh(geometry, material);
+        glyph.renderOrder = VisualizationMode.OVERLAY_RENDER_ORDER;
+
+        // Outline ring marks spirals
+        if (this.vectorField.dimension === 2 &&
+            (type === TYPES.SPIRAL_SOURCE || type === TYPES.SPIRAL_SINK)) {
+            const ring = new THREE.Mesh(new THREE.RingGeometry(size * 1.3, size * 1.55, 32), material);
+            ring.renderOrder = VisualizationMode.OVERLAY_RENDER_ORDER;
+            glyph.add(ring);
+        }
+
+        return glyph;
+    }
+
+    getDefaultConfig() {
+        return {
+            color: 0xffffff,
+            opacity: 1.0,
+            scale: 1.0,
+            density: 1.5,
+            animated: false
+        };
+    }
+}
+
+// Glyph color and label per critical point type
+CriticalPointMode.STYLES = {
+    'source': { color: 0xff5c5c, css: '#ff5c5c', label: 'source' },
+    'sink': { color: 0x4da3ff, css: '#4da3ff', label: 'sink' },
+    'saddle': { color: 0xffd43b, css: '#ffd43b', label: 'saddle' },
+    'center': { color: 0x51cf66, css: '#51cf66', label: 'center' },
+    'spiral source': { color: 0xff922b, css: '#ff922b', label: 'spiral source' },
+    'spiral sink': { color: 0x3bc9db, css: '#3bc9db', label: 'spiral sink' },
+    'degenerate': { color: 0xadb5bd, css: '#adb5bd', label: 'degenerate' }
+};
+
+window.CriticalPointMode = CriticalPointMode;
@@ -1,75 +1,240 @@
 /**
- * HeatmapMode.js - Magnitude-based heatmap visualization
- * (MVP version - basic implementation)
+ * HeatmapMode.js - Scalar heatmap visualization
+ * Shows the config.colorBy quantity of the field through the colormap.
+ * 2D fields are drawn as a continuous textured plane, optionally hillshaded;
+ * 3D fields as a point volume.
  */
 
 class HeatmapMode extends VisualizationMode {
     constructor(vectorField, sceneManager) {
         super(vectorField, sceneManager);
-        this.resolution = 30;
+        this.resolution = 80; // Texels per side at density 1x
+        this.resolution3D = 12; // Samples per axis in 3D volumes at density 1x
+        this.texture = null;
     }
 
     render() {
         this.clear();
 
+        if (this.vectorField.dimension === 3) {
+            this.renderVolume();
+        } else {
+            this.renderPlane();
+        }
+    }
+
+    /**
+     * Re-sample into the existing texture when only the field changed
+     */
+    refresh() {
+        if (!this.texture) {
+            this.render();
+            return;
+        }
+        this.updateTexture();
+    }
+
+    /**
+     * Clear meshes and forget the texture
+     */
+    clear() {
+        super.clear();
+        this.texture = null;
+    }
+
+    /**
+     * Textured plane covering the domain, one texel per sample
+     * @private
+     */
+    renderPlane() {
         const bounds = this.vectorField.getBounds();
-        const dimension = this.vectorField.dimension;
+        const size = Math.ceil(this.resolution * this.config.density);
 
-        // For MVP, create a 2D heatmap grid
-        const resolutionScaled = Math.ceil(this.resolution * this.config.density);
-        const xSpan = bounds.max.x - bounds.min.x;
-        const ySpan = bounds.max.y - bounds.min.y;
+        // Texel centers, so the texture edges line up with the domain bounds
+        const xStep = (bounds.max.x - bounds.min.x) / size;
+        const yStep = (bounds.max.y - bounds.min.y) / size;
+        this.positions = new Float32Array(size * size * 2);
+        for (let j = 0; j < size; j++) {
+            for (let i = 0; i < size; i++) {
+                const k = (j * size + i) * 2;
+                this.positions[k] = bounds.min.x + (i + 0.5) * xStep;
+                this.positions[k + 1] = bounds.min.y + (j + 0.5) * yStep;
+            }
+        }
 
-        const geometry = new THREE.BufferGeometry();
-        const positions = [];
-        const colors = [];
+        const filter = this.config.interpolation === 'nearest' ? THREE.NearestFilter : THREE.LinearFilter;
+        this.texture = new THREE.DataTexture(new Uint8Array(size * size * 4), size, size, THREE.RGBAFormat);
+        this.texture.magFilter = filter;
+        this.texture.minFilter = filter;
 
-        // Sample field and find magnitude range
-        const samples = [];
-        let minMagnitude = Infinity;
-        let maxMagnitude = -Infinity;
-
-        for (let i = 0; i < resolutionScaled; i++) {
-            for (let j = 0; j < resolutionScaled; j++) {
-                const x = bounds.min.x + (i / (resolutionScaled - 1)) * xSpan;
-                const y = bounds.min.y + (j / (resolutionScaled - 1)) * ySpan;
-
-                const vector = this.vectorField.evaluateAt({ x, y, z: 0 });
-                if (vector) {
-                    const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
-                    samples.push({ x, y, magnitude });
-                    minMagnitude = Math.min(minMagnitude, magnitude);
-                    maxMagnitude = Math.max(maxMagnitude, magnitude);
-                }
+        const geometry = new THREE.PlaneGeometry(bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y);
+        const material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            side: THREE.DoubleSide,
+            opacity: this.config.opacity,
+            transparent: true // Texels without a valid value are see-through
+        });
+
+        const plane = new THREE.Mesh(geometry, material);
+        plane.position.set((bounds.min.x + bounds.max.x) / 2, (bounds.min.y + bounds.max.y) / 2, 0);
+        this.addMesh(plane);
+
+        this.updateTexture();
+    }
+
+    /**
+     * Sample the field at the texel centers and write colors into the texture
+     * @private
+     */
+    updateTexture() {
+        const size = this.texture.image.width;
+        const data = this.texture.image.data;
+
+        // A solid color still needs the field to be valid; the magnitude tells where it is
+        const vectors = this.vectorField.evaluateBatch(this.positions);
+        const values = this.getColorValues(this.positions, vectors);
+        if (this.isColorMapped()) {
+            this.computeColorRange(values);
+        }
+
+        const shading = this.config.hillshade ? this.getHillshade(values, size) : null;
+        const color = new THREE.Color(this.config.color);
+
+        for (let k = 0; k < size * size; k++) {
+            const o = k * 4;
+            if (!Number.isFinite(values[k])) {
+                data[o + 3] = 0;
+                continue;
             }
+
+            if (this.isColorMapped()) {
+                this.mapColor(values[k], color);
+            }
+            const shade = shading ? shading[k] : 1;
+            data[o] = Math.min(255, color.r * shade * 255);
+            data[o + 1] = Math.min(255, color.g * shade * 255);
+            data[o + 2] = Math.min(255, color.b * shade * 255);
+            data[o + 3] = 255;
         }
 
-        // Create mesh with color based on magnitude
-        const range = maxMagnitude - minMagnitude || 1;
+        this.texture.needsUpdate = true;
+    }
 
-        samples.forEach(sample => {
-            positions.push(sample.x, sample.y, 0);
+    /**
+     * Brightness factor per texel, lighting the scalar as terrain
+     * Heights are the values normalized to the value range, so relief does not depend on units;
+     * flat ground keeps its color
+     * @private
+     * @param {Float32Array} values - Scalar per texel, row by row
+     * @param {number} size - Texels per side
+     * @returns {Float32Array}
+     */
+    getHillshade(values, size) {
+        let min = Infinity;
+        let max = -Infinity;
+        values.forEach(value => {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        });
 
-            // Color by magnitude (blue to red)
-            const normalized = (sample.magnitude - minMagnitude) / range;
-            const hue = (1 - normalized) * 240 / 360;
-            const color = new THREE.Color().setHSL(hue, 1, 0.5);
+        // Height per value unit, measured in texels
+        const exaggeration = HeatmapMode.HILLSHADE_EXAGGERATION * size / (max - min || 1);
+        const { azimuth, altitude, strength } = HeatmapMode.HILLSHADE_LIGHT;
+        const light = new THREE.Vector3(
+            Math.cos(altitude) * Math.cos(azimuth),
+            Math.cos(altitude) * Math.sin(azimuth),
+            Math.sin(altitude)
+        );
+        const normal = new THREE.Vector3();
+        const shading = new Float32Array(size * size).fill(1);
+
+        // Neighbour value, falling back to the center where outside or invalid
+        const at = (i, j, fallback) => {
+            if (i < 0 || j < 0 || i >= size || j >= size) return fallback;
+            const value = values[j * size + i];
+            return Number.isFinite(value) ? value : fallback;
+        };
+
+        for (let j = 0; j < size; j++) {
+            for (let i = 0; i < size; i++) {
+                const center = values[j * size + i];
+                if (!Number.isFinite(center)) continue;
+
+                const dx = (at(i + 1, j, center) - at(i - 1, j, center)) / 2;
+                const dy = (at(i, j + 1, center) - at(i, j - 1, center)) / 2;
+                normal.set(-dx * exaggeration, -dy * exaggeration, 1).normalize();
+
+                const lit = Math.max(0, normal.dot(light)) / light.z;
+                shading[j * size + i] = 1 - strength + strength * lit;
+            }
+        }
+
+        return shading;
+    }
+
+    /**
+     * Point volume, with points sized to the grid spacing
+     * @private
+     */
+    renderVolume() {
+        const bounds = this.vectorField.getBounds();
+        const count = Math.ceil(this.resolution3D * this.config.density);
+        const steps = ['x', 'y', 'z'].map(a => (bounds.max[a] - bounds.min[a]) / (count - 1));
+
+        const samples = new Float32Array(count * count * count * 3);
+        let k = 0;
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < count; j++) {
+                for (let l = 0; l < count; l++) {
+                    samples[k++] = bounds.min.x + i * steps[0];
+                    samples[k++] = bounds.min.y + j * steps[1];
+                    samples[k++] = bounds.min.z + l * steps[2];
+                }
+            }
+        }
+
+        const vectors = this.vectorField.evaluateBatch(samples);
+        const values = this.getColorValues(samples, vectors);
+        if (this.isColorMapped()) {
+            this.computeColorRange(values);
+        }
+
+        // Keep only samples with a valid value
+        const positions = [];
+        const colors = [];
+        const color = new THREE.Color(this.config.color);
+        values.forEach((value, n) => {
+            if (!Number.isFinite(value)) return;
+            positions.push(samples[n * 3], samples[n * 3 + 1], samples[n * 3 + 2]);
+            if (this.isColorMapped()) {
+                this.mapColor(value, color);
+            }
             colors.push(color.r, color.g, color.b);
         });
 
+        const geometry = new THREE.BufferGeometry();
         geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
         geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(colors), 3));
 
+        // Volumes are drawn without depth writes so inner samples stay visible
         const material = new THREE.PointsMaterial({
-            size: 0.2 * this.config.scale,
+            size: Math.min(...steps) * 0.6,
             vertexColors: true,
             opacity: this.config.opacity,
-            transparent: this.config.opacity < 1
+            transparent: this.config.opacity < 1,
+            depthWrite: false
         });
 
-        const points = new THREE.Points(geometry, material);
-        this.meshes.push(points);
-        this.sceneManager.addMesh(points);
+        this.addMesh(new THREE.Points(geometry, material));
+    }
+
+    /**
+     * Colors are baked into the texture or vertices, so only opacity is updated here
+     */
+    updateMeshColors() {
+        this.meshes.forEach(mesh => {
+            mesh.material.opacity = this.config.opacity;
+        });
     }
 
     getDefaultConfig() {
@@ -78,9 +243,22 @@ class HeatmapMode extends VisualizationMode {
             opacity: 1.0,
             scale: 1.0,
             density: 1.5,
-            animated: false
+            animated: false,
+            colorBy: 'magnitude',
+            interpolation: 'bilinear', // Texture filtering: 'bilinear' or 'nearest'
+            hillshade: false
         };
     }
 }
 
+// Light for hillshading: from the upper left, 45 degrees above the plane
+HeatmapMode.HILLSHADE_LIGHT = {
+    azimuth: 3 * Math.PI / 4,
+    altitude: Math.PI / 4,
+    strength: 0.6 // 0 leaves colors unchanged, 1 is full shading
+};
+
+// Height of the full value range relative to the plane width
+HeatmapMode.HILLSHADE_EXAGGERATION = 0.5;
+
 window.HeatmapMode = HeatmapMode;
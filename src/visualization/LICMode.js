@@ -0,0 +1,334 @@
+/**
+ * LICMode.js - Line Integral Convolution texture (Cabral & Leedom, 1993)
+ * White noise is averaged along short streamlines through every texel, giving a dense
+ * image of the flow direction. 2D fields only; 3D fields draw nothing.
+ * With config.animatePhase the kernel is a rippled window whose phase moves
+ * downstream over time (Forssell, 1994); the phase frames are computed in the same pass.
+ */
+
+class LICMode extends VisualizationMode {
+    constructor(vectorField, sceneManager) {
+        super(vectorField, sceneManager);
+        this.resolution = 200; // Texels per side at density 1x
+        this.texture = null;
+        this.frames = null; // Intensity per texel for each kernel phase
+        this.phase = 0;
+        this.lastComputeTime = -Infinity;
+        this.refreshPending = false;
+    }
+
+    render() {
+        this.clear();
+        if (this.vectorField.dimension !== 2) return;
+
+        const bounds = this.vectorField.getBounds();
+        const size = Math.min(LICMode.MAX_RESOLUTION, Math.ceil(this.resolution * this.config.density));
+
+        // Texel centers, so the texture edges line up with the domain bounds
+        this.positions = new Float32Array(size * size * 2);
+        const xStep = (bounds.max.x - bounds.min.x) / size;
+        const yStep = (bounds.max.y - bounds.min.y) / size;
+        for (let j = 0; j < size; j++) {
+            for (let i = 0; i < size; i++) {
+                const k = (j * size + i) * 2;
+                this.positions[k] = bounds.min.x + (i + 0.5) * xStep;
+                this.positions[k + 1] = bounds.min.y + (j + 0.5) * yStep;
+            }
+        }
+
+        this.noise = new Float32Array(size * size);
+        for (let k = 0; k < this.noise.length; k++) {
+            this.noise[k] = Math.random();
+        }
+
+        this.texture = new THREE.DataTexture(new Uint8Array(size * size * 4), size, size, THREE.RGBAFormat);
+        this.texture.magFilter = THREE.LinearFilter;
+        this.texture.minFilter = THREE.LinearFilter;
+
+        const geometry = new THREE.PlaneGeometry(bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y);
+        const material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            side: THREE.DoubleSide,
+            opacity: this.config.opacity,
+            transparent: true // Texels without a valid vector are see-through
+        });
+
+        const plane = new THREE.Mesh(geometry, material);
+        plane.position.set((bounds.min.x + bounds.max.x) / 2, (bounds.min.y + bounds.max.y) / 2, 0);
+        this.addMesh(plane);
+
+        this.computeFrames();
+        this.updateTexture();
+    }
+
+    /**
+     * Re-convolve into the existing texture after the field changed
+     * The convolution is expensive, so changes in quick succession (time, parameter sweeps)
+     * are applied at most every LICMode.MIN_REFRESH_INTERVAL seconds
+     */
+    refresh() {
+        if (!this.texture) {
+            this.render();
+            return;
+        }
+
+        if (performance.now() - this.lastComputeTime < LICMode.MIN_REFRESH_INTERVAL * 1000) {
+            this.refreshPending = true;
+            return;
+        }
+        this.computeFrames();
+        this.updateTexture();
+    }
+
+    /**
+     * Clear meshes and forget the texture
+     */
+    clear() {
+        super.clear();
+        this.texture = null;
+        this.frames = null;
+    }
+
+    /**
+     * Advance the kernel phase
+     * @param {number} deltaTime - Simulation seconds since the last frame
+     */
+    update(deltaTime) {
+        if (this.refreshPending && performance.now() - this.lastComputeTime >= LICMode.MIN_REFRESH_INTERVAL * 1000) {
+            this.refreshPending = false;
+            this.refresh();
+        }
+
+        if (!this.frames || this.frames.length < 2 || deltaTime === 0) return;
+
+        const count = this.frames.length;
+        const previous = Math.floor(this.phase) % count;
+        this.phase = ((this.phase + deltaTime * LICMode.PHASE_SPEED * count) % count + count) % count;
+
+        if (Math.floor(this.phase) % count !== previous) {
+            this.updateTexture();
+        }
+    }
+
+    /**
+     * Convolve the noise along streamlines through every texel
+     * Streamlines are traced in texel space on the normalized direction field, with midpoint steps
+     * @private
+     */
+    computeFrames() {
+        this.lastComputeTime = performance.now();
+        this.refreshPending = false;
+
+        const size = this.texture.image.width;
+        const count = size * size;
+        const vectors = this.vectorField.evaluateBatch(this.positions, this.vectors);
+        this.vectors = vectors;
+
+        // Unit directions in texel units; zero where the field vanishes or is invalid
+        const bounds = this.vectorField.getBounds();
+        const xScale = size / (bounds.max.x - bounds.min.x);
+        const yScale = size / (bounds.max.y - bounds.min.y);
+        const directions = new Float32Array(count * 2);
+        this.valid = new Uint8Array(count);
+        for (let k = 0; k < count; k++) {
+            const u = vectors[k * 2] * xScale;
+            const v = vectors[k * 2 + 1] * yScale;
+            const length = Math.sqrt(u * u + v * v);
+            if (!Number.isFinite(length)) continue;
+            this.valid[k] = 1;
+            if (length > 0) {
+                directions[k * 2] = u / length;
+                directions[k * 2 + 1] = v / length;
+            }
+        }
+
+        // Bilinear direction lookup at a texel-space position (texel centers at integer + 0.5)
+        const direction = { x: 0, y: 0 };
+        const sample = (x, y) => {
+            const fx = Math.max(0, Math.min(size - 1.001, x - 0.5));
+            const fy = Math.max(0, Math.min(size - 1.001, y - 0.5));
+            const i = Math.floor(fx);
+            const j = Math.floor(fy);
+            const tx = fx - i;
+            const ty = fy - j;
+            const a = (j * size + i) * 2;
+            const b = a + 2;
+            const c = a + size * 2;
+            const d = c + 2;
+            direction.x = (directions[a] * (1 - tx) + directions[b] * tx) * (1 - ty)
+                + (directions[c] * (1 - tx) + directions[d] * tx) * ty;
+            direction.y = (directions[a + 1] * (1 - tx) + directions[b + 1] * tx) * (1 - ty)
+                + (directions[c + 1] * (1 - tx) + directions[d + 1] * tx) * ty;
+            return direction;
+        };
+
+        const halfLength = Math.max(2, Math.round(size * LICMode.KERNEL_LENGTH));
+        const step = LICMode.STEP;
+        const steps = Math.ceil(halfLength / step);
+        const phases = this.config.animatePhase ? LICMode.PHASE_FRAMES : 1;
+
+        // Kernel weight per phase for every step offset, -steps..steps
+        const weights = [];
+        for (let p = 0; p < phases; p++) {
+            const row = new Float32Array(2 * steps + 1);
+            for (let s = -steps; s <= steps; s++) {
+                const t = s / steps;
+                const window = 0.5 * (1 + Math.cos(Math.PI * t));
+                const ripple = phases > 1
+                    ? 0.5 * (1 + Math.cos(2 * Math.PI * (LICMode.RIPPLES * t - p / phases)))
+                    : 1;
+                row[s + steps] = window * ripple;
+            }
+            weights.push(row);
+        }
+
+        const sums = new Float32Array(phases);
+        const totals = new Float32Array(phases);
+        const noise = this.noise;
+        const accumulate = (x, y, offset) => {
+            const value = noise[Math.floor(y) * size + Math.floor(x)];
+            for (let p = 0; p < phases; p++) {
+                const w = weights[p][offset + steps];
+                sums[p] += w * value;
+                totals[p] += w;
+            }
+        };
+        this.frames = Array.from({ length: phases }, () => new Float32Array(count));
+
+        for (let k = 0; k < count; k++) {
+            if (!this.valid[k]) continue;
+            sums.fill(0);
+            totals.fill(0);
+
+            const x0 = (k % size) + 0.5;
+            const y0 = Math.floor(k / size) + 0.5;
+            accumulate(x0, y0, 0);
+
+            // Trace downstream then upstream
+            for (const sign of [1, -1]) {
+                let x = x0;
+                let y = y0;
+                for (let s = 1; s <= steps; s++) {
+                    const d1 = sample(x, y);
+                    const mx = x + sign * d1.x * step * 0.5;
+                    const my = y + sign * d1.y * step * 0.5;
+                    const d2 = sample(mx, my);
+                    if (d2.x === 0 && d2.y === 0) break;
+                    x += sign * d2.x * step;
+                    y += sign * d2.y * step;
+                    if (x < 0 || y < 0 || x >= size || y >= size) break;
+                    accumulate(x, y, sign * s);
+                }
+            }
+
+            for (let p = 0; p < phases; p++) {
+                this.frames[p][k] = totals[p] > 0 ? sums[p] / totals[p] : this.noise[k];
+            }
+        }
+
+        this.frames.forEach(frame => this.stretchContrast(frame));
+
+        if (this.isColorMapped()) {
+            this.colorValues = this.getColorValues(this.positions, vectors);
+            this.computeColorRange(this.colorValues);
+        }
+    }
+
+    /**
+     * Map mean -/+ LICMode.CONTRAST standard deviations to [0, 1]
+     * Averaged noise clusters around the mean, so the raw image is washed out
+     * @private
+     */
+    stretchContrast(frame) {
+        let sum = 0;
+        let sumSquares = 0;
+        let n = 0;
+        frame.forEach((value, k) => {
+            if (!this.valid[k]) return;
+            sum += value;
+            sumSquares += value * value;
+            n++;
+        });
+        if (n === 0) return;
+
+        const mean = sum / n;
+        const spread = LICMode.CONTRAST * Math.sqrt(Math.max(sumSquares / n - mean * mean, 1e-12));
+        for (let k = 0; k < frame.length; k++) {
+            frame[k] = Math.max(0, Math.min(1, 0.5 + (frame[k] - mean) / (2 * spread)));
+        }
+    }
+
+    /**
+     * Write the current phase frame into the texture, tinted by the colormap or config.color
+     * @private
+     */
+    updateTexture() {
+        const frame = this.frames[Math.floor(this.phase) % this.frames.length];
+        const data = this.texture.image.data;
+        const color = new THREE.Color(this.config.color);
+
+        for (let k = 0; k < frame.length; k++) {
+            const o = k * 4;
+            if (!this.valid[k]) {
+                data[o + 3] = 0;
+                continue;
+            }
+
+            if (this.isColorMapped()) {
+                this.mapColor(this.colorValues[k], color);
+            }
+            // Keep some color in the dark streaks
+            const intensity = 0.25 + 0.75 * frame[k];
+            data[o] = color.r * intensity * 255;
+            data[o + 1] = color.g * intensity * 255;
+            data[o + 2] = color.b * intensity * 255;
+            data[o + 3] = 255;
+        }
+
+        this.texture.needsUpdate = true;
+    }
+
+    /**
+     * Colors are baked into the texture, so only opacity is updated here
+     */
+    updateMeshColors() {
+        this.meshes.forEach(mesh => {
+            mesh.material.opacity = this.config.opacity;
+        });
+    }
+
+    getDefaultConfig() {
+        return {
+            color: 0xffffff,
+            opacity: 1.0,
+            scale: 1.0,
+            density: 1.5,
+            animated: false,
+            animatePhase: false
+        };
+    }
+}
+
+// Largest texture side, bounding the convolution cost
+LICMode.MAX_RESOLUTION = 512;
+
+// Shortest time in seconds between re-convolutions for a changing field
+LICMode.MIN_REFRESH_INTERVAL = 0.5;
+
+// Half length of the convolution kernel, relative to the texture side
+LICMode.KERNEL_LENGTH = 0.04;
+
+// Integration step in texels
+LICMode.STEP = 0.5;
+
+// Contrast stretch in standard deviations around the mean
+LICMode.CONTRAST = 2.5;
+
+// Kernel phases precomputed for animation, and ripples per kernel half length
+LICMode.PHASE_FRAMES = 8;
+LICMode.RIPPLES = 2;
+
+// Kernel phase cycles per simulation second
+LICMode.PHASE_SPEED = 0.5;
+
+window.LICMode = LICMode;
@@ -1,82 +1,479 @@
 /**
  * ParticleMode.js - Particle flow visualization
- * (MVP version - basic implementation)
+ * Particles are advected by the field, leave fading trails, age and respawn
+ * when their lifetime ends, and follow a boundary policy when they leave the domain.
+ * State lives in typed arrays and the field is sampled in batches, so tens of thousands
+ * of particles stay interactive: particles are one InstancedMesh, trails one LineSegments
+ * whose ring buffer only uploads the newest segment of every particle each frame.
  */
 
 class ParticleMode extends VisualizationMode {
     constructor(vectorField, sceneManager) {
         super(vectorField, sceneManager);
-        this.particles = [];
-        this.numParticles = 100;
-        this.time = 0;
+        this.count = 0;
+        this.frame = 0; // Advection steps since render, used to age trail segments
+        this.colorCursor = 0; // Next particle to recolor for derivative quantities
+        this.dots = null;
+        this.trails = null;
     }
 
     render() {
         this.clear();
-        this.particles = [];
 
+        const n = this.vectorField.dimension;
+        const count = Math.min(ParticleMode.MAX_PARTICLES, Math.ceil(this.config.count * this.config.density));
         const bounds = this.vectorField.getBounds();
-        const numParticles = Math.ceil(this.numParticles * this.config.density);
-
-        // Create particles
-        for (let i = 0; i < numParticles; i++) {
-            const x = bounds.min.x + Math.random() * (bounds.max.x - bounds.min.x);
-            const y = bounds.min.y + Math.random() * (bounds.max.y - bounds.min.y);
-            const z = bounds.min.z ? bounds.min.z + Math.random() * (bounds.max.z - bounds.min.z) : 0;
-
-            const sphere = this.createPoint(
-                { x, y, z },
-                0.05 * this.config.scale,
-                new THREE.Color(this.config.color),
-                this.config.opacity
-            );
-
-            this.particles.push({
-                mesh: sphere,
-                position: { x, y, z },
-                velocity: { x: 0, y: 0, z: 0 }
-            });
+        this.count = count;
+        this.frame = 0;
+        this.colorCursor = 0;
+        this.min = ['x', 'y', 'z'].slice(0, n).map(axis => bounds.min[axis]);
+        this.max = ['x', 'y', 'z'].slice(0, n).map(axis => bounds.max[axis]);
+
+        // Field-space state, `n` components per particle
+        this.positions = new Float32Array(count * n);
+        this.previous = new Float32Array(count * n);
+        this.velocities = new Float32Array(count * n);
+        this.stage = new Float32Array(count * n);
+        this.stages = []; // Slopes of the later Runge-Kutta stages, allocated on first use
+        this.ages = new Float32Array(count);
+        this.lifetimes = new Float32Array(count);
+        this.alive = new Uint8Array(count);
+        this.restarted = new Uint8Array(count); // Jumped this step, so no trail segment is drawn
+
+        // Particles move, so the color range covers the whole field
+        if (this.isColorMapped()) {
+            this.computeFieldColorRange();
         }
+
+        for (let p = 0; p < count; p++) {
+            this.spawn(p);
+            // Stagger ages so particles do not all respawn at once
+            if (Number.isFinite(this.lifetimes[p])) {
+                this.ages[p] = Math.random() * this.lifetimes[p];
+            }
+        }
+        this.previous.set(this.positions);
+        this.vectorField.evaluateBatch(this.positions, this.velocities);
+
+        this.dots = this.createDots(count);
+        this.trails = this.config.trailLength > 1 ? this.createTrails(count) : null;
+        this.updateColors(true);
+        this.updateDots();
+    }
+
+    /**
+     * Clear meshes and forget the particle meshes
+     */
+    clear() {
+        super.clear();
+        this.dots = null;
+        this.trails = null;
     }
 
     update(deltaTime) {
-        // Advect particles through the field
-        const bounds = this.vectorField.getBounds();
-        const speed = 1.0;
+        if (deltaTime === 0 || !this.dots) return;
 
-        for (const particle of this.particles) {
-            const vector = this.vectorField.evaluateAt(particle.position);
+        this.previous.set(this.positions);
+        this.advect(deltaTime);
+        this.restarted.fill(0);
 
-            if (vector) {
-                const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+        const n = this.vectorField.dimension;
+        for (let p = 0; p < this.count; p++) {
+            const o = p * n;
+            this.ages[p] += Math.abs(deltaTime);
+            if (this.ages[p] >= this.lifetimes[p]) {
+                this.spawn(p);
+                continue;
+            }
+            if (!this.alive[p]) {
+                this.restorePosition(o);
+                continue;
+            }
 
-                if (magnitude > 0) {
-                    // Update position
-                    particle.position.x += vector[0] * deltaTime * speed * 0.1;
-                    particle.position.y += vector[1] * deltaTime * speed * 0.1;
+            let valid = true;
+            let outside = false;
+            for (let a = 0; a < n; a++) {
+                const value = this.positions[o + a];
+                if (!Number.isFinite(value)) valid = false;
+                else if (value < this.min[a] || value > this.max[a]) outside = true;
+            }
 
-                    if (vector[2] !== undefined) {
-                        particle.position.z += vector[2] * deltaTime * speed * 0.1;
-                    }
+            if (!valid) {
+                // Invalid field: treat like leaving the domain
+                this.restorePosition(o);
+                this.applyBoundary(p, false);
+            } else if (outside) {
+                this.applyBoundary(p, true);
+            }
+        }
+
+        this.frame++;
+        this.updateColors(false);
+        this.updateDots();
+        if (this.trails) {
+            this.updateTrails();
+        }
+    }
+
+    /**
+     * Move every particle one step with the configured integrator
+     * Stages sample the field at their own times, so time-dependent fields are followed correctly
+     * @private
+     * @param {number} deltaTime - Simulation seconds of the step; the field is already at its end
+     */
+    advect(deltaTime) {
+        const x = this.positions;
+        const stage = this.stage;
+        const h = deltaTime * this.config.speed;
+        const t0 = this.vectorField.time - deltaTime;
+        const evaluate = (positions, index, t) => {
+            if (!this.stages[index]) {
+                this.stages[index] = new Float32Array(x.length);
+            }
+            return this.vectorField.evaluateBatch(positions, this.stages[index], { t });
+        };
+        const offset = (k, factor) => {
+            for (let i = 0; i < x.length; i++) {
+                stage[i] = x[i] + factor * k[i];
+            }
+            return stage;
+        };
+
+        const k1 = this.vectorField.evaluateBatch(x, this.velocities, { t: t0 });
 
-                    // Wrap around bounds
-                    if (particle.position.x > bounds.max.x) particle.position.x = bounds.min.x;
-                    if (particle.position.x < bounds.min.x) particle.position.x = bounds.max.x;
-                    if (particle.position.y > bounds.max.y) particle.position.y = bounds.min.y;
-                    if (particle.position.y < bounds.min.y) particle.position.y = bounds.max.y;
+        switch (this.config.integrator) {
+            case 'euler':
+                for (let i = 0; i < x.length; i++) {
+                    x[i] += h * k1[i];
+                }
+                break;
+            case 'rk4': {
+                const k2 = evaluate(offset(k1, h / 2), 0, t0 + deltaTime / 2);
+                const k3 = evaluate(offset(k2, h / 2), 1, t0 + deltaTime / 2);
+                const k4 = evaluate(offset(k3, h), 2, t0 + deltaTime);
+                for (let i = 0; i < x.length; i++) {
+                    x[i] += h / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]);
+                }
+                break;
+            }
+            case 'rk2':
+            default: {
+                // Midpoint method
+                const k2 = evaluate(offset(k1, h / 2), 0, t0 + deltaTime / 2);
+                for (let i = 0; i < x.length; i++) {
+                    x[i] += h * k2[i];
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Put a particle back where it was before the step
+     * @private
+     * @param {number} o - Offset of the particle in the state arrays
+     */
+    restorePosition(o) {
+        for (let a = 0; a < this.vectorField.dimension; a++) {
+            this.positions[o + a] = this.previous[o + a];
+        }
+    }
+
+    /**
+     * (Re)start a particle at a spawn location with a new random lifetime
+     * @private
+     */
+    spawn(p) {
+        this.setSpawnPosition(p * this.vectorField.dimension);
+        this.ages[p] = 0;
+        this.lifetimes[p] = this.config.lifetime > 0
+            ? this.config.lifetime * (1 - ParticleMode.LIFETIME_SPREAD + 2 * ParticleMode.LIFETIME_SPREAD * Math.random())
+            : Infinity;
+        this.alive[p] = 1;
+        this.restarted[p] = 1;
+    }
+
+    /**
+     * Write a random position in the domain, or near a random seed when config.respawn is 'seeds'
+     * @private
+     * @param {number} o - Offset of the particle in the state arrays
+     */
+    setSpawnPosition(o) {
+        const n = this.vectorField.dimension;
+        const seeds = this.config.seeds || [];
 
-                    if (bounds.min.z !== undefined) {
-                        if (particle.position.z > bounds.max.z) particle.position.z = bounds.min.z;
-                        if (particle.position.z < bounds.min.z) particle.position.z = bounds.max.z;
+        if (this.config.respawn === 'seeds' && seeds.length > 0) {
+            const seed = seeds[Math.floor(Math.random() * seeds.length)];
+            const jitter = ParticleMode.SEED_JITTER * (this.max[0] - this.min[0]);
+            let inside = true;
+            ['x', 'y', 'z'].slice(0, n).forEach((axis, a) => {
+                const value = (seed[axis] || 0) + (Math.random() - 0.5) * jitter;
+                this.positions[o + a] = value;
+                if (value < this.min[a] || value > this.max[a]) inside = false;
+            });
+            if (inside) return;
+        }
+
+        for (let a = 0; a < n; a++) {
+            this.positions[o + a] = this.min[a] + Math.random() * (this.max[a] - this.min[a]);
+        }
+    }
+
+    /**
+     * Handle a particle that left the domain, or reached an invalid field value
+     * 'wrap' re-enters on the opposite side, 'reflect' mirrors it back inside,
+     * 'respawn' restarts it at once, 'kill' hides it until its lifetime ends, or for
+     * KILLED_RESPAWN_DELAY when it lives forever
+     * @private
+     * @param {number} p - Particle index
+     * @param {boolean} left - True when the domain was left, false for an invalid field value
+     */
+    applyBoundary(p, left) {
+        const n = this.vectorField.dimension;
+        const o = p * n;
+        const policy = left ? this.config.boundary : (this.config.boundary === 'kill' ? 'kill' : 'respawn');
+
+        switch (policy) {
+            case 'wrap':
+                for (let a = 0; a < n; a++) {
+                    const span = this.max[a] - this.min[a];
+                    const offset = (this.positions[o + a] - this.min[a]) % span;
+                    this.positions[o + a] = this.min[a] + (offset < 0 ? offset + span : offset);
+                }
+                // Do not draw a trail across the domain
+                this.restarted[p] = 1;
+                break;
+            case 'reflect':
+                for (let a = 0; a < n; a++) {
+                    const value = this.positions[o + a];
+                    if (value < this.min[a]) {
+                        this.positions[o + a] = Math.min(this.max[a], 2 * this.min[a] - value);
+                    } else if (value > this.max[a]) {
+                        this.positions[o + a] = Math.max(this.min[a], 2 * this.max[a] - value);
                     }
+                }
+                break;
+            case 'kill':
+                this.alive[p] = 0;
+                this.restorePosition(o);
+                // Particles that live forever would stay dead
+                if (!Number.isFinite(this.lifetimes[p])) {
+                    this.lifetimes[p] = this.ages[p] + ParticleMode.KILLED_RESPAWN_DELAY;
+                }
+                break;
+            case 'respawn':
+            default:
+                this.spawn(p);
+                break;
+        }
+    }
 
-                    // Update mesh position
-                    particle.mesh.position.copy(particle.position);
+    /**
+     * One instance per particle: discs in 2D, low-poly spheres in 3D
+     * @private
+     */
+    createDots(count) {
+        const geometry = this.vectorField.dimension === 3
+            ? new THREE.IcosahedronGeometry(1, 0)
+            : new THREE.CircleGeometry(1, 12);
+        // Instance colors carry the color, so the material stays white
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            opacity: this.config.opacity,
+            transparent: this.config.opacity < 1
+        });
+
+        const dots = new THREE.InstancedMesh(geometry, material, count);
+        dots.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        dots.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3);
+        dots.instanceColor.setUsage(THREE.DynamicDrawUsage);
+        // Instances move anywhere in the domain; the geometry bounds only cover the origin
+        dots.frustumCulled = false;
+        return this.addMesh(dots);
+    }
+
+    /**
+     * Write instance matrices: translation to the particle, scale 0 for dead particles
+     * @private
+     */
+    updateDots() {
+        const n = this.vectorField.dimension;
+        const matrices = this.dots.instanceMatrix.array;
+        const size = ParticleMode.PARTICLE_SIZE * this.config.scale;
+
+        for (let p = 0; p < this.count; p++) {
+            const e = p * 16;
+            const o = p * n;
+            const scale = this.alive[p] ? size : 0;
+            matrices[e] = scale;
+            matrices[e + 5] = scale;
+            matrices[e + 10] = scale;
+            matrices[e + 12] = this.positions[o];
+            matrices[e + 13] = this.positions[o + 1];
+            matrices[e + 14] = n === 3 ? this.positions[o + 2] : 0;
+            matrices[e + 15] = 1;
+        }
+
+        this.dots.instanceMatrix.needsUpdate = true;
+    }
+
+    /**
+     * Write particle colors: config.color, or the mapped quantity
+     * Derivative quantities need extra field samples per particle, so only
+     * ParticleMode.DERIVATIVE_COLORS_PER_FRAME particles are recolored per step unless `all` is set
+     * @private
+     * @param {boolean} all - Recolor every particle
+     */
+    updateColors(all) {
+        const colors = this.dots.instanceColor.array;
+        const color = new THREE.Color(this.config.color);
+
+        if (!this.isColorMapped()) {
+            if (!all) return;
+            for (let p = 0; p < this.count; p++) {
+                color.toArray(colors, p * 3);
+            }
+        } else {
+            const n = this.vectorField.dimension;
+            const quantity = this.getColorQuantity();
+
+            if (VectorField.isDerivativeScalar(quantity)) {
+                const position = {};
+                const total = all ? this.count : Math.min(this.count, ParticleMode.DERIVATIVE_COLORS_PER_FRAME);
+                for (let i = 0; i < total; i++) {
+                    const p = (this.colorCursor + i) % this.count;
+                    const o = p * n;
+                    position.x = this.positions[o];
+                    position.y = this.positions[o + 1];
+                    if (n === 3) position.z = this.positions[o + 2];
+                    const value = this.vectorField.evaluateScalar(quantity, position);
+                    this.mapColor(value === null ? NaN : value, color).toArray(colors, p * 3);
+                }
+                this.colorCursor = (this.colorCursor + total) % this.count;
+            } else {
+                for (let p = 0; p < this.count; p++) {
+                    const value = VectorField.vectorScalar(quantity, this.velocities, p * n, n);
+                    this.mapColor(value, color).toArray(colors, p * 3);
                 }
             }
         }
 
-        this.time += deltaTime;
+        this.dots.instanceColor.needsUpdate = true;
+    }
+
+    /**
+     * Line segments for every trail, kept as a ring buffer of trailLength - 1 slots per particle
+     * Each vertex records the step it was written in, and the shader fades it by its age,
+     * so only the newest slot changes per step
+     * @private
+     */
+    createTrails(count) {
+        const vertices = (this.config.trailLength - 1) * count * 2;
+        const geometry = new THREE.BufferGeometry();
+        const attributes = {
+            position: new THREE.BufferAttribute(new Float32Array(vertices * 3), 3),
+            trailColor: new THREE.BufferAttribute(new Float32Array(vertices * 3), 3),
+            stamp: new THREE.BufferAttribute(new Float32Array(vertices).fill(ParticleMode.HIDDEN_STAMP), 1)
+        };
+        Object.entries(attributes).forEach(([name, attribute]) => {
+            attribute.setUsage(THREE.DynamicDrawUsage);
+            geometry.setAttribute(name, attribute);
+        });
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                head: { value: 0 },
+                span: { value: this.config.trailLength - 1 },
+                opacity: { value: this.config.opacity }
+            },
+            vertexShader: ParticleMode.TRAIL_VERTEX_SHADER,
+            fragmentShader: ParticleMode.TRAIL_FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false
+        });
+
+        const trails = new THREE.LineSegments(geometry, material);
+        trails.frustumCulled = false;
+        return this.addMesh(trails);
+    }
+
+    /**
+     * Write this step's segment of every trail into the current ring slot
+     * @private
+     */
+    updateTrails() {
+        const n = this.vectorField.dimension;
+        const attributes = this.trails.geometry.attributes;
+        const positions = attributes.position.array;
+        const colors = attributes.trailColor.array;
+        const stamps = attributes.stamp.array;
+        const particleColors = this.dots.instanceColor.array;
+        const base = (this.frame % (this.config.trailLength - 1)) * this.count * 2;
+
+        for (let p = 0; p < this.count; p++) {
+            const v = base + p * 2;
+            if (!this.alive[p] || this.restarted[p]) {
+                stamps[v] = ParticleMode.HIDDEN_STAMP;
+                stamps[v + 1] = ParticleMode.HIDDEN_STAMP;
+                continue;
+            }
+
+            const o = p * n;
+            for (let a = 0; a < 3; a++) {
+                positions[v * 3 + a] = a < n ? this.previous[o + a] : 0;
+                positions[v * 3 + 3 + a] = a < n ? this.positions[o + a] : 0;
+                colors[v * 3 + a] = particleColors[p * 3 + a];
+                colors[v * 3 + 3 + a] = particleColors[p * 3 + a];
+            }
+            stamps[v] = this.frame - 1;
+            stamps[v + 1] = this.frame;
+        }
+
+        Object.values(attributes).forEach(attribute => {
+            attribute.updateRange.offset = base * attribute.itemSize;
+            attribute.updateRange.count = this.count * 2 * attribute.itemSize;
+            attribute.needsUpdate = true;
+        });
+        this.trails.material.uniforms.head.value = this.frame;
+    }
+
+    /**
+     * Particles sample the field every frame, so time changes need no re-render
+     */
+    refresh() {
+    }
+
+    /**
+     * Trails keep the colors they were drawn with and fade out as usual
+     */
+    updateMeshColors() {
+        if (!this.dots) return;
+
+        this.dots.material.opacity = this.config.opacity;
+        this.dots.material.transparent = this.config.opacity < 1;
+        if (this.trails) {
+            this.trails.material.uniforms.opacity.value = this.config.opacity;
+        }
+        this.updateColors(true);
+    }
+
+    /**
+     * Copy of the current particle state, e.g. for export
+     * @returns {Object} - {dimension, time, positions, velocities, ages, alive}
+     *   positions, velocities: Packed, `dimension` components per particle; velocities are
+     *   evaluated at the current positions and time
+     *   alive: 1 for particles in the domain, 0 for particles waiting to respawn
+     */
+    getSnapshot() {
+        const positions = Float32Array.from(this.positions || []);
+        return {
+            dimension: this.vectorField.dimension,
+            time: this.vectorField.getTime(),
+            positions,
+            velocities: this.vectorField.evaluateBatch(positions),
+            ages: Float32Array.from(this.ages || []),
+            alive: Uint8Array.from(this.alive || [])
+        };
     }
 
     getDefaultConfig() {
@@ -85,9 +482,65 @@ class ParticleMode extends VisualizationMode {
             opacity: 0.8,
             scale: 1.0,
             density: 1.5,
-            animated: true
+            animated: true,
+            count: 2000,           // Particles at density 1x
+            integrator: 'rk2',     // 'euler', 'rk2' (midpoint) or 'rk4'
+            speed: 0.2,            // World units moved per second per unit of field magnitude
+            trailLength: 20,       // Trail points per particle; 0 or 1 for no trail
+            lifetime: 5,           // Mean lifetime in seconds; 0 lives forever
+            respawn: 'random',     // 'random' or 'seeds' (near config.seeds)
+            boundary: 'respawn',   // 'wrap', 'respawn', 'reflect' or 'kill'
+            seeds: []
         };
     }
 }
 
+// Upper bound on the particle count, whatever the count and density
+ParticleMode.MAX_PARTICLES = 100000;
+
+// Particle radius in world units at scale 1x
+ParticleMode.PARTICLE_SIZE = 0.05;
+
+// Particles recolored per step for derivative quantities (divergence, curl)
+ParticleMode.DERIVATIVE_COLORS_PER_FRAME = 500;
+
+// Lifetimes are drawn uniformly within this fraction around config.lifetime
+ParticleMode.LIFETIME_SPREAD = 0.5;
+
+// Seconds a killed particle without a lifetime stays hidden before it respawns
+ParticleMode.KILLED_RESPAWN_DELAY = 1;
+
+// Spread of spawn positions around a seed, relative to the domain width
+ParticleMode.SEED_JITTER = 0.02;
+
+// Step stamp of trail vertices that are not drawn
+ParticleMode.HIDDEN_STAMP = -1e9;
+
+// Trail shaders: alpha falls from 1 at the newest vertex to 0 after `span` steps
+ParticleMode.TRAIL_VERTEX_SHADER = `
+    attribute vec3 trailColor;
+    attribute float stamp;
+    uniform float head;
+    uniform float span;
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        vColor = trailColor;
+        vAlpha = 1.0 - (head - stamp) / span;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+ParticleMode.TRAIL_FRAGMENT_SHADER = `
+    uniform float opacity;
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        if (vAlpha <= 0.0) discard;
+        gl_FragColor = vec4(vColor, vAlpha * opacity);
+    }
+`;
+
 window.ParticleMode = ParticleMode;
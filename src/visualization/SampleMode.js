@@ -0,0 +1,49 @@
+/**
+ * SampleMode.js - Raw samples of a scattered data field
+ * Draws an arrow at every sample with its measured vector, on top of the interpolated
+ * visualization, to show where the data is and how well the interpolation follows it.
+ * Fields without samples draw nothing.
+ */
+
+class SampleMode extends ArrowMode {
+    /**
+     * Sample positions of the field, empty for fields that are not scattered data
+     * @protected
+     */
+    createSamplePositions() {
+        const field = this.vectorField;
+        if (!(field instanceof ScatteredVectorField)) {
+            return new Float32Array(0);
+        }
+        return Float32Array.from(field.positions);
+    }
+
+    /**
+     * The measured vectors, not the interpolation
+     * @protected
+     */
+    getSampleVectors(positions, out) {
+        return this.vectorField.vectors;
+    }
+
+    /**
+     * The longest arrow spans about one sample spacing
+     * @protected
+     */
+    getSpacingScale() {
+        const spacing = this.vectorField.sampleSpacing || 1;
+        return spacing / ArrowMode.ARROW_LENGTH;
+    }
+
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            color: SampleMode.SAMPLE_COLOR
+        };
+    }
+}
+
+// Sample arrows stand out from the interpolated layers
+SampleMode.SAMPLE_COLOR = 0xffa94d;
+
+window.SampleMode = SampleMode;
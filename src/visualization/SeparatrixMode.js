@@ -0,0 +1,89 @@
+/**
+ * SeparatrixMode.js - Topological skeleton of 2D fields
+ * Traces the stable and unstable manifolds of every saddle point
+ */
+
+class SeparatrixMode extends VisualizationMode {
+    constructor(vectorField, sceneManager) {
+        super(vectorField, sceneManager);
+        this.finder = new CriticalPointFinder();
+        this.separatrices = [];
+    }
+
+    render() {
+        this.clear();
+        this.separatrices = [];
+
+        // Separatrices are only defined here for planar flows
+        if (this.vectorField.dimension !== 2) return;
+
+        const saddles = this.finder.find(this.vectorField)
+            .filter(p => p.type === CriticalPointFinder.TYPES.SADDLE);
+
+        for (const saddle of saddles) {
+            saddle.eigenvalues.forEach((ev, i) => {
+                const vector = saddle.eigenvectors[i];
+                if (!vector) return;
+
+                // Unstable manifolds flow away from the saddle, stable ones into it
+                const kind = ev.re > 0 ? 'unstable' : 'stable';
+                const direction = kind === 'unstable' ? 1 : -1;
+
+                for (const side of [1, -1]) {
+                    const path = this.traceManifold(saddle.position, vector, side, direction);
+                    if (path.length < 2) continue;
+
+                    this.separatrices.push({ saddle: saddle.position, kind, path });
+                    const line = this.createPolyline(path, SeparatrixMode.COLORS[kind], this.config.opacity);
+                    line.material.depthTest = false;
+                    line.renderOrder = VisualizationMode.OVERLAY_RENDER_ORDER - 1;
+                }
+            });
+        }
+    }
+
+    /**
+     * Integrate one branch of a saddle manifold
+     * @private
+     * @param {Object} origin - Saddle position
+     * @param {Array} vector - Unit eigenvector
+     * @param {number} side - +1 or -1, which branch along the eigenvector
+     * @param {number} direction - +1 to integrate forward, -1 backward
+     * @returns {Array} - Positions along the branch, including the saddle
+     */
+    traceManifold(origin, vector, side, direction) {
+        const bounds = this.vectorField.getBounds();
+        const offset = 1e-3 * (bounds.max.x - bounds.min.x);
+        const start = {
+            x: origin.x + side * offset * vector[0],
+            y: origin.y + side * offset * vector[1]
+        };
+
+        const result = this.vectorField.integrate(start, {
+            direction: direction > 0 ? 'forward' : 'backward'
+        });
+
+        // Backward paths end at the seed, forward paths start there
+        return direction > 0
+            ? [{ ...origin }, ...result.path]
+            : [...result.path, { ...origin }];
+    }
+
+    getDefaultConfig() {
+        return {
+            color: 0xffffff,
+            opacity: 1.0,
+            scale: 1.0,
+            density: 1.5,
+            animated: false
+        };
+    }
+}
+
+// Curve colors for each manifold kind
+SeparatrixMode.COLORS = {
+    unstable: 0xff6b6b,
+    stable: 0x4dabf7
+};
+
+window.SeparatrixMode = SeparatrixMode;
@@ -0,0 +1,261 @@
+/**
+ * SliceMode.js - Cross-sections of 3D fields
+ * Draws each SlicePlane in config.slices as arrows or a heatmap of config.colorBy,
+ * with a translucent frame that can be picked and dragged along the plane normal
+ */
+
+class SliceMode extends VisualizationMode {
+    constructor(vectorField, sceneManager) {
+        super(vectorField, sceneManager);
+        this.resolution = 16; // Grid points per side at density 1x
+        this.sliceMeshes = new Map(); // slice id -> meshes drawn for that slice
+    }
+
+    render() {
+        this.clear();
+        this.sliceMeshes.clear();
+
+        if (this.vectorField.dimension !== 3) return;
+
+        // Arrows on every slice share one length scale, and all slices one color range
+        this.maxMagnitude = this.getMaxMagnitude();
+        this.computeFieldColorRange();
+
+        for (const slice of this.config.slices) {
+            this.renderSlice(slice);
+        }
+    }
+
+    /**
+     * Redraw a single slice, e.g. while it is dragged
+     * @param {SlicePlane} slice - One of config.slices
+     */
+    renderSlice(slice) {
+        this.removeSlice(slice);
+
+        const bounds = this.vectorField.getBounds();
+        const resolution = Math.ceil(this.resolution * this.config.density);
+        const grid = slice.sample(bounds, resolution);
+
+        const meshes = [this.createFrame(slice, grid)];
+        if (slice.style === 'heatmap') {
+            meshes.push(this.createHeatmap(grid));
+        } else {
+            meshes.push(this.createSliceArrows(grid));
+        }
+
+        this.sliceMeshes.set(slice.id, meshes.filter(Boolean));
+    }
+
+    /**
+     * Remove the meshes of one slice
+     * @private
+     */
+    removeSlice(slice) {
+        const meshes = this.sliceMeshes.get(slice.id);
+        if (!meshes) return;
+
+        meshes.forEach(mesh => {
+            this.sceneManager.removeMesh(mesh);
+        });
+        this.meshes = this.meshes.filter(mesh => !meshes.includes(mesh));
+        this.sliceMeshes.delete(slice.id);
+    }
+
+    /**
+     * Pickable frame meshes, each with userData.slice set
+     * @returns {Array}
+     */
+    getPickMeshes() {
+        return this.meshes.filter(mesh => mesh.userData.slice);
+    }
+
+    /**
+     * Translucent quad covering the slice grid, with an outline
+     * @private
+     */
+    createFrame(slice, grid) {
+        const size = grid.extent * 2;
+        const geometry = new THREE.PlaneGeometry(size, size);
+        const material = new THREE.MeshBasicMaterial({
+            color: SliceMode.FRAME_COLOR,
+            opacity: 0.08,
+            transparent: true,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const frame = new THREE.Mesh(geometry, material);
+
+        const outline = new THREE.LineSegments(
+            new THREE.EdgesGeometry(geometry),
+            new THREE.LineBasicMaterial({ color: SliceMode.FRAME_COLOR, opacity: 0.6, transparent: true })
+        );
+        frame.add(outline);
+
+        // PlaneGeometry lies in XY with +Z normal; map it onto the slice basis
+        const normal = new THREE.Vector3().crossVectors(grid.u, grid.v);
+        frame.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(grid.u, grid.v, normal));
+        frame.position.copy(grid.center);
+        frame.userData.slice = slice;
+
+        return this.addMesh(frame);
+    }
+
+    /**
+     * Instanced arrows at the grid points inside the domain
+     * @private
+     */
+    createSliceArrows(grid) {
+        const indices = [];
+        grid.inside.forEach((flag, k) => {
+            if (flag) indices.push(k);
+        });
+        if (indices.length === 0) return null;
+
+        const positions = new Float32Array(indices.length * 3);
+        indices.forEach((k, n) => {
+            positions.set(grid.positions.subarray(k * 3, k * 3 + 3), n * 3);
+        });
+
+        const vectors = this.vectorField.evaluateBatch(positions);
+        const arrows = this.createArrowInstances(indices.length, this.config.showArrowheads);
+        const displayScale = this.config.scale * grid.spacing * 0.9;
+        const color = new THREE.Color(this.config.color);
+        const values = this.isColorMapped() ? this.getColorValues(positions, vectors) : null;
+        const start = {};
+        const direction = {};
+
+        for (let n = 0; n < indices.length; n++) {
+            const o = n * 3;
+            start.x = positions[o];
+            start.y = positions[o + 1];
+            start.z = positions[o + 2];
+            direction.x = vectors[o];
+            direction.y = vectors[o + 1];
+            direction.z = vectors[o + 2];
+
+            const magnitude = Math.sqrt(direction.x ** 2 + direction.y ** 2 + direction.z ** 2);
+            const length = magnitude >= 1e-6
+                ? Math.min(displayScale * magnitude / (this.maxMagnitude || 1), displayScale)
+                : 0;
+
+            this.setArrowInstance(arrows, n, start, direction, length);
+            arrows.setColorAt(n, values ? this.mapColor(values[n], color) : color);
+        }
+
+        return arrows;
+    }
+
+    /**
+     * Vertex-colored surface of the scalar over the grid cells inside the domain
+     * @private
+     */
+    createHeatmap(grid) {
+        const { resolution, positions, inside } = grid;
+        const count = resolution * resolution;
+        const values = new Float32Array(count).fill(NaN);
+        const position = {};
+
+        for (let k = 0; k < count; k++) {
+            if (!inside[k]) continue;
+            position.x = positions[k * 3];
+            position.y = positions[k * 3 + 1];
+            position.z = positions[k * 3 + 2];
+
+            const value = this.vectorField.evaluateScalar(this.getColorQuantity(), position);
+            if (value !== null && Number.isFinite(value)) {
+                values[k] = value;
+            }
+        }
+
+        // Two triangles per cell whose corners all have values
+        const indices = [];
+        for (let j = 0; j < resolution - 1; j++) {
+            for (let i = 0; i < resolution - 1; i++) {
+                const a = j * resolution + i;
+                const b = a + 1;
+                const c = a + resolution;
+                const d = c + 1;
+                if ([a, b, c, d].every(k => !Number.isNaN(values[k]))) {
+                    indices.push(a, b, d, a, d, c);
+                }
+            }
+        }
+        if (indices.length === 0) return null;
+
+        const colors = new Float32Array(count * 3);
+        const color = new THREE.Color();
+        for (let k = 0; k < count; k++) {
+            if (Number.isNaN(values[k])) continue;
+            this.mapColor(values[k], color);
+            colors[k * 3] = color.r;
+            colors[k * 3 + 1] = color.g;
+            colors[k * 3 + 2] = color.b;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setIndex(indices);
+
+        const material = new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            side: THREE.DoubleSide,
+            opacity: this.config.opacity,
+            transparent: this.config.opacity < 1
+        });
+
+        return this.addMesh(new THREE.Mesh(geometry, material));
+    }
+
+    /**
+     * Largest field magnitude over a coarse volume grid
+     * @private
+     */
+    getMaxMagnitude() {
+        const samples = this.vectorField.sampleGrid(8);
+        return samples.reduce((max, sample) =>
+            Math.max(max, Math.sqrt(sample.vector.reduce((sum, v) => sum + v * v, 0))), 0);
+    }
+
+    /**
+     * Heatmap slices show magnitude when the style has no color quantity
+     */
+    getColorQuantity() {
+        return this.isColorMapped() ? this.config.colorBy : 'magnitude';
+    }
+
+    /**
+     * Legend for mapped arrows or heatmap slices
+     * @returns {Object|null}
+     */
+    getLegend() {
+        if (!this.isColorMapped() && !this.config.slices.some(slice => slice.style === 'heatmap')) {
+            return null;
+        }
+        return super.getLegend();
+    }
+
+    /**
+     * Styles are baked into instance and vertex colors, so keep materials as built
+     */
+    updateMeshColors() {
+    }
+
+    getDefaultConfig() {
+        return {
+            color: 0xffffff,
+            opacity: 1.0,
+            scale: 1.0,
+            density: 1.5,
+            animated: false,
+            showArrowheads: true,
+            slices: []             // SlicePlane instances
+        };
+    }
+}
+
+// Color of slice frames and outlines
+SliceMode.FRAME_COLOR = 0x74c0fc;
+
+window.SliceMode = SliceMode;
@@ -1,62 +1,452 @@
 /**
  * StreamlineMode.js - Streamline/field line visualization
- * (MVP version - basic implementation)
+ * Streamlines are drawn as ribbons (2D) or tubes (3D), one geometry each
  */
 
 class StreamlineMode extends VisualizationMode {
     constructor(vectorField, sceneManager) {
         super(vectorField, sceneManager);
         this.numStreamlines = 20;
+        this.streamlines = [];
     }
 
     render() {
         this.clear();
 
+        const dimension = this.vectorField.dimension;
+        this.streamlines = this.traceStreamlines();
+
+        // Color range shared by all streamlines
+        const values = this.isColorMapped()
+            ? this.streamlines.map(streamline => this.getColorValuesAlong(streamline))
+            : null;
+        if (values) {
+            const all = [];
+            values.forEach(v => v.forEach(value => all.push(value)));
+            this.computeColorRange(all);
+        }
+
+        const arrowheads = { positions: [], colors: [] };
+
+        this.streamlines.forEach((streamline, i) => {
+            const colors = values
+                ? Array.from(values[i], value => this.mapColor(value))
+                : streamline.path.map(() => new THREE.Color(this.config.color));
+            const widths = this.getWidths(streamline);
+
+            const geometry = dimension === 3
+                ? this.buildTube(streamline.path, widths, colors)
+                : this.buildRibbon(streamline.path, widths, colors);
+            this.addMesh(new THREE.Mesh(geometry, this.createMaterial()));
+
+            if (this.config.showArrowheads) {
+                this.addArrowheads(streamline, colors, arrowheads, dimension);
+            }
+        });
+
+        if (arrowheads.positions.length > 0) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(arrowheads.positions, 3));
+            geometry.setAttribute('color', new THREE.Float32BufferAttribute(arrowheads.colors, 3));
+            this.addMesh(new THREE.Mesh(geometry, this.createMaterial()));
+        }
+    }
+
+    /**
+     * Trace streamlines according to the seeding strategy
+     * 'grid' traces a regular seed grid plus any manual seeds, 'even' places
+     * evenly-spaced streamlines grown from the manual seeds, 'manual' traces
+     * only the manual seeds
+     * @private
+     * @returns {Array} - VectorField.integrate results with at least two points
+     */
+    traceStreamlines() {
+        const integration = {
+            direction: this.config.direction,
+            tolerance: this.config.tolerance,
+            maxArcLength: this.config.maxArcLength || undefined
+        };
+        const manualSeeds = this.config.seeds || [];
+
+        if (this.config.seeding === 'even') {
+            const placer = new StreamlinePlacer({
+                separation: this.getSeparation(),
+                integration
+            });
+            return placer.place(this.vectorField, manualSeeds);
+        }
+
+        let seedPoints = manualSeeds;
+        if (this.config.seeding !== 'manual') {
+            // Generate fewer, better spaced seed points for streamlines
+            const seedCount = Math.ceil(this.numStreamlines * this.config.density * 0.4); // Reduce density significantly
+            seedPoints = this.generateSeedPoints(this.vectorField.getBounds(), seedCount).concat(manualSeeds);
+        }
+
+        return seedPoints
+            .map(seed => this.vectorField.integrate(seed, integration))
+            .filter(streamline => streamline.path.length >= 2);
+    }
+
+    /**
+     * Streamline separation for even seeding, derived from density when not set
+     * @private
+     */
+    getSeparation() {
+        if (this.config.separation) {
+            return this.config.separation;
+        }
         const bounds = this.vectorField.getBounds();
+        const span = Math.max(bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y);
+        return span / (10 * this.config.density);
+    }
+
+    /**
+     * Color value at each vertex of a streamline
+     * Magnitude reuses the speeds recorded during integration
+     * @private
+     * @returns {Float32Array}
+     */
+    getColorValuesAlong(streamline) {
+        if (this.getColorQuantity() === 'magnitude') {
+            return Float32Array.from(streamline.speeds);
+        }
+
         const dimension = this.vectorField.dimension;
+        const axes = ['x', 'y', 'z'].slice(0, dimension);
+        const positions = new Float32Array(streamline.path.length * dimension);
+        streamline.path.forEach((p, k) => {
+            axes.forEach((axis, c) => {
+                positions[k * dimension + c] = p[axis];
+            });
+        });
+
+        return this.getColorValues(positions, this.vectorField.evaluateBatch(positions));
+    }
+
+    /**
+     * Width at each vertex, tapered by arc length
+     * 'ends' thins both ends, 'flow' grows from upstream to downstream
+     * @private
+     */
+    getWidths(streamline) {
+        const base = this.config.lineWidth * this.config.scale;
+        const arcs = streamline.arcLengths;
+        const start = arcs[0];
+        const end = arcs[arcs.length - 1];
+        const length = end - start || 1;
+        const taperLength = Math.min(length / 2, base * 20);
+
+        return arcs.map(arc => {
+            switch (this.config.taper) {
+                case 'flow':
+                    return base * (0.2 + 0.8 * (arc - start) / length);
+                case 'ends': {
+                    const distance = Math.min(arc - start, end - arc);
+                    return base * Math.max(0.2, Math.min(1, distance / taperLength));
+                }
+                default:
+                    return base;
+            }
+        });
+    }
+
+    /**
+     * Build a flat triangle-strip ribbon along a 2D path
+     * @private
+     */
+    buildRibbon(path, widths, colors) {
+        const count = path.length;
+        const positions = new Float32Array(count * 2 * 3);
+        const colorArray = new Float32Array(count * 2 * 3);
+        const indices = [];
+
+        for (let i = 0; i < count; i++) {
+            const prev = path[Math.max(0, i - 1)];
+            const next = path[Math.min(count - 1, i + 1)];
+            let tx = next.x - prev.x;
+            let ty = next.y - prev.y;
+            const length = Math.hypot(tx, ty) || 1;
+            tx /= length;
+            ty /= length;
+
+            // Offset perpendicular to the tangent
+            const half = widths[i] / 2;
+            const nx = -ty * half;
+            const ny = tx * half;
+            const p = path[i];
+
+            positions.set([p.x + nx, p.y + ny, 0, p.x - nx, p.y - ny, 0], i * 6);
+            const c = colors[i];
+            colorArray.set([c.r, c.g, c.b, c.r, c.g, c.b], i * 6);
+
+            if (i < count - 1) {
+                const a = i * 2;
+                indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colorArray, 3));
+        geometry.setIndex(indices);
+        return geometry;
+    }
 
-        // Generate fewer, better spaced seed points for streamlines
-        const seedCount = Math.ceil(this.numStreamlines * this.config.density * 0.4); // Reduce density significantly
-        const seedPoints = this.generateSeedPoints(bounds, seedCount);
-        console.log('StreamlineMode: Generated', seedPoints.length, 'seed points');
+    /**
+     * Build a tube with varying radius along a 3D path
+     * Uses parallel-transport frames so the tube does not twist
+     * @private
+     */
+    buildTube(path, widths, colors) {
+        const radial = StreamlineMode.TUBE_SEGMENTS;
+        const count = path.length;
+        const positions = new Float32Array(count * radial * 3);
+        const colorArray = new Float32Array(count * radial * 3);
+        const indices = [];
 
-        const color = new THREE.Color(this.config.color);
-        let totalPoints = 0;
+        const points = path.map(p => new THREE.Vector3(p.x, p.y, p.z || 0));
+        const tangent = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        const binormal = new THREE.Vector3();
+        const previousTangent = new THREE.Vector3();
+        const offset = new THREE.Vector3();
 
-        // Trace streamlines
-        for (let s = 0; s < seedPoints.length; s++) {
-            const seed = seedPoints[s];
-            const path = this.vectorField.integrateRK4(seed, 50, 0.2);
+        for (let i = 0; i < count; i++) {
+            tangent.subVectors(points[Math.min(count - 1, i + 1)], points[Math.max(0, i - 1)]).normalize();
 
-            if (path.length < 2) {
-                continue;
+            if (i === 0) {
+                // Any vector not parallel to the tangent starts the frame
+                const helper = Math.abs(tangent.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+                normal.crossVectors(tangent, helper).normalize();
+            } else {
+                // Rotate the previous normal by the change in tangent
+                const axis = new THREE.Vector3().crossVectors(previousTangent, tangent);
+                if (axis.length() > 1e-8) {
+                    axis.normalize();
+                    const angle = Math.acos(Math.max(-1, Math.min(1, previousTangent.dot(tangent))));
+                    normal.applyAxisAngle(axis, angle);
+                }
             }
+            binormal.crossVectors(tangent, normal).normalize();
+            previousTangent.copy(tangent);
 
-            // Show every 2-3 points to reduce overlapping geometry
-            const stepSize = Math.max(2, Math.floor(path.length / 20)); // Show ~20 points per streamline
+            const radius = widths[i] / 2;
+            const c = colors[i];
+            for (let j = 0; j < radial; j++) {
+                const theta = (j / radial) * Math.PI * 2;
+                offset.copy(normal).multiplyScalar(Math.cos(theta) * radius)
+                    .addScaledVector(binormal, Math.sin(theta) * radius);
+                const k = (i * radial + j) * 3;
+                positions[k] = points[i].x + offset.x;
+                positions[k + 1] = points[i].y + offset.y;
+                positions[k + 2] = points[i].z + offset.z;
+                colorArray[k] = c.r;
+                colorArray[k + 1] = c.g;
+                colorArray[k + 2] = c.b;
+            }
+
+            if (i < count - 1) {
+                for (let j = 0; j < radial; j++) {
+                    const a = i * radial + j;
+                    const b = i * radial + (j + 1) % radial;
+                    indices.push(a, b, a + radial, b, b + radial, a + radial);
+                }
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colorArray, 3));
+        geometry.setIndex(indices);
+        return geometry;
+    }
+
+    /**
+     * Append arrowheads spaced evenly by arc length, pointing downstream
+     * @private
+     * @param {Object} target - {positions, colors} arrays shared by all streamlines
+     */
+    addArrowheads(streamline, colors, target, dimension) {
+        const bounds = this.vectorField.getBounds();
+        const spacing = this.config.arrowSpacing ||
+            (bounds.max.x - bounds.min.x) / 8;
+        const size = this.config.lineWidth * this.config.scale * 4;
+        const { path, arcLengths } = streamline;
+
+        // Arrows sit at multiples of the spacing, measured from the seed
+        const first = Math.ceil((arcLengths[0] + size) / spacing);
+        const last = Math.floor((arcLengths[arcLengths.length - 1] - size) / spacing);
+
+        let segment = 0;
+        for (let k = first; k <= last; k++) {
+            const arc = k * spacing;
+            while (segment < path.length - 2 && arcLengths[segment + 1] < arc) segment++;
 
-            for (let i = 0; i < path.length; i += stepSize) {
-                const p = path[i];
+            const a = path[segment];
+            const b = path[segment + 1];
+            const span = arcLengths[segment + 1] - arcLengths[segment] || 1;
+            const f = (arc - arcLengths[segment]) / span;
+            const center = new THREE.Vector3(
+                a.x + f * (b.x - a.x),
+                a.y + f * (b.y - a.y),
+                (a.z || 0) + f * ((b.z || 0) - (a.z || 0))
+            );
+            const dir = new THREE.Vector3(b.x - a.x, b.y - a.y, (b.z || 0) - (a.z || 0)).normalize();
+            const color = colors[segment];
 
-                // Create small sphere to mark streamline path
-                this.createPoint(
-                    { x: p.x, y: p.y, z: p.z || 0 },
-                    0.15 * this.config.scale,  // larger radius so points are more visible
-                    color,
-                    this.config.opacity
-                );
-                totalPoints++;
+            if (dimension === 3) {
+                this.appendCone(center, dir, size, color, target);
+            } else {
+                const side = new THREE.Vector3(-dir.y, dir.x, 0).multiplyScalar(size * 0.5);
+                const tip = center.clone().addScaledVector(dir, size * 0.6);
+                const back = center.clone().addScaledVector(dir, -size * 0.4);
+                [tip, back.clone().add(side), back.clone().sub(side)].forEach(v => {
+                    target.positions.push(v.x, v.y, 0.001);
+                    target.colors.push(color.r, color.g, color.b);
+                });
             }
         }
+    }
+
+    /**
+     * Append a cone's triangles, oriented along dir
+     * @private
+     */
+    appendCone(center, dir, size, color, target) {
+        if (!this.coneTemplate) {
+            this.coneTemplate = new THREE.ConeGeometry(0.5, 1, 8).toNonIndexed();
+        }
+
+        const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir);
+        const matrix = new THREE.Matrix4().compose(center, quaternion, new THREE.Vector3(size, size, size));
+        const template = this.coneTemplate.getAttribute('position');
+        const v = new THREE.Vector3();
+
+        for (let i = 0; i < template.count; i++) {
+            v.fromBufferAttribute(template, i).applyMatrix4(matrix);
+            target.positions.push(v.x, v.y, v.z);
+            target.colors.push(color.r, color.g, color.b);
+        }
+    }
+
+    /**
+     * Ribbon outlines and arrowheads, in 2D
+     * Ribbons of one color become single shapes; color mapped ribbons become one quad per segment
+     * @returns {Object|null}
+     */
+    getVectorGraphics() {
+        if (this.vectorField.dimension !== 2) return null;
+
+        const polygons = [];
+        const color = new THREE.Color();
+        const hex = (colors, vertex) => '#' + color.fromArray(colors, vertex * 3).getHexString();
+
+        this.meshes.forEach(mesh => {
+            const positions = mesh.geometry.getAttribute('position').array;
+            const colors = mesh.geometry.getAttribute('color').array;
+            const count = positions.length / 3;
 
-        console.log('StreamlineMode: Created', totalPoints, 'point spheres along', seedPoints.length, 'streamlines');
+            if (!mesh.geometry.index) {
+                // Arrowheads: separate triangles
+                for (let v = 0; v < count; v += 3) {
+                    const o = v * 3;
+                    polygons.push({
+                        points: [positions[o], positions[o + 1], positions[o + 3], positions[o + 4], positions[o + 6], positions[o + 7]],
+                        color: hex(colors, v)
+                    });
+                }
+                return;
+            }
+
+            // Ribbon: a left and a right vertex at every path point
+            const points = count / 2;
+            const solid = colors.every((value, i) => value === colors[i % 3]);
+            if (solid) {
+                const outline = [];
+                for (let i = 0; i < points; i++) outline.push(positions[i * 6], positions[i * 6 + 1]);
+                for (let i = points - 1; i >= 0; i--) outline.push(positions[i * 6 + 3], positions[i * 6 + 4]);
+                polygons.push({ points: outline, color: hex(colors, 0) });
+                return;
+            }
+
+            for (let i = 0; i < points - 1; i++) {
+                const o = i * 6;
+                polygons.push({
+                    points: [
+                        positions[o], positions[o + 1], positions[o + 6], positions[o + 7],
+                        positions[o + 9], positions[o + 10], positions[o + 3], positions[o + 4]
+                    ],
+                    color: hex(colors, i * 2),
+                    seamless: true
+                });
+            }
+        });
+
+        return { polygons, lines: [], labels: [] };
+    }
+
+    /**
+     * Material shared by streamline geometry (colors come from vertices)
+     * @private
+     */
+    createMaterial() {
+        return new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            side: THREE.DoubleSide,
+            opacity: this.config.opacity,
+            transparent: this.config.opacity < 1
+        });
+    }
+
+    /**
+     * Vertex colors carry the color, so only opacity is updated here
+     */
+    updateMeshColors() {
+        this.meshes.forEach(mesh => {
+            if (mesh.material) {
+                mesh.material.opacity = this.config.opacity;
+            }
+        });
     }
 
+    dispose() {
+        super.dispose();
+        if (this.coneTemplate) {
+            this.coneTemplate.dispose();
+            this.coneTemplate = null;
+        }
+    }
+
+    /**
+     * Seeds on a regular grid: the plane in 2D, the volume in 3D
+     * @private
+     */
     generateSeedPoints(bounds, count) {
         const seeds = [];
         const xSpan = bounds.max.x - bounds.min.x;
         const ySpan = bounds.max.y - bounds.min.y;
 
+        if (this.vectorField.dimension === 3) {
+            const zSpan = bounds.max.z - bounds.min.z;
+            // The whole lattice is kept so seeds stay balanced across the volume
+            const cbrtCount = Math.max(2, Math.round(Math.cbrt(count)));
+
+            for (let i = 0; i < cbrtCount; i++) {
+                for (let j = 0; j < cbrtCount; j++) {
+                    for (let k = 0; k < cbrtCount; k++) {
+                        seeds.push({
+                            x: bounds.min.x + (i + 0.5) / cbrtCount * xSpan,
+                            y: bounds.min.y + (j + 0.5) / cbrtCount * ySpan,
+                            z: bounds.min.z + (k + 0.5) / cbrtCount * zSpan
+                        });
+                    }
+                }
+            }
+
+            return seeds;
+        }
+
         const sqrtCount = Math.ceil(Math.sqrt(count));
 
         for (let i = 0; i < sqrtCount; i++) {
@@ -77,9 +467,23 @@ class StreamlineMode extends VisualizationMode {
             opacity: 1.0,
             scale: 1.0,
             density: 1.5,
-            animated: false
+            animated: false,
+            direction: 'both',     // 'forward', 'backward' or 'both'
+            tolerance: 1e-5,       // RK45 error tolerance relative to the domain size
+            maxArcLength: null,    // null uses the integrator default
+            showArrowheads: true,
+            colorBy: 'magnitude',
+            lineWidth: 0.08,       // Ribbon width / tube diameter in world units
+            taper: 'ends',         // 'none', 'ends' or 'flow'
+            arrowSpacing: null,    // Arc length between arrowheads, null for automatic
+            seeding: 'grid',       // 'grid', 'even' or 'manual'
+            separation: null,      // Distance between streamlines for even seeding, null derives it from density
+            seeds: []              // Manually placed seeds {x, y, z?}
         };
     }
 }
 
+// Sides of the tube cross-section in 3D
+StreamlineMode.TUBE_SEGMENTS = 6;
+
 window.StreamlineMode = StreamlineMode;
@@ -13,7 +13,10 @@ class VisualizationMode {
         this.vectorField = vectorField;
         this.sceneManager = sceneManager;
         this.meshes = [];
-        this.config = this.getDefaultConfig();
+        this.config = { ...VisualizationMode.DEFAULT_COLORING, ...this.getDefaultConfig() };
+        this.time = vectorField.getTime();
+        this.layerOrder = null; // Position in the layer stack; null draws into the scene root
+        this.colorRange = null; // {min, max} of the last color mapping, shown by the legend
     }
 
     /**
@@ -75,6 +78,39 @@ class VisualizationMode {
         // Override in subclasses if animation needed
     }
 
+    /**
+     * Set the simulation time from the global clock
+     * Time-dependent fields are re-evaluated whenever the time changes
+     * @param {number} time - Current simulation time
+     */
+    setTime(time) {
+        if (time === this.time) return;
+
+        this.time = time;
+        this.vectorField.setTime(time);
+
+        if (this.vectorField.timeDependent) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Re-evaluate the field after its time or parameters changed
+     * Defaults to a full re-render; modes that sample the field every frame can override
+     */
+    refresh() {
+        this.render();
+    }
+
+    /**
+     * Place this mode in the layer stack
+     * Higher layers are drawn after lower ones and, in 2D, lifted slightly towards the camera
+     * @param {number|null} order - Position in the stack, 0 at the bottom; null for no layer
+     */
+    setLayerOrder(order) {
+        this.layerOrder = order;
+    }
+
     /**
      * Clear all meshes for this mode
      */
@@ -111,8 +147,33 @@ class VisualizationMode {
         });
 
         const line = new THREE.Line(geometry, material);
-        this.meshes.push(line);
-        return this.sceneManager.addMesh(line);
+        return this.addMesh(line);
+    }
+
+    /**
+     * Helper: Create a continuous line through a list of points
+     * @protected
+     * @param {Array} points - Array of {x, y, z?}
+     */
+    createPolyline(points, color = this.config.color, opacity = this.config.opacity) {
+        const positions = new Float32Array(points.length * 3);
+        points.forEach((p, i) => {
+            positions[i * 3] = p.x;
+            positions[i * 3 + 1] = p.y;
+            positions[i * 3 + 2] = p.z || 0;
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        const material = new THREE.LineBasicMaterial({
+            color,
+            opacity,
+            transparent: opacity < 1
+        });
+
+        const line = new THREE.Line(geometry, material);
+        return this.addMesh(line);
     }
 
     /**
@@ -164,8 +225,114 @@ class VisualizationMode {
             group.add(cone);
         }
 
-        this.meshes.push(group);
-        return this.sceneManager.addMesh(group);
+        return this.addMesh(group);
+    }
+
+    /**
+     * Helper: Create an instanced mesh drawing many arrows in one draw call
+     * Each instance is a unit arrow along +Y; set transforms with setArrowInstance
+     * @protected
+     * @param {number} count - Number of arrow instances
+     * @param {boolean} showHead - Include the cone arrowhead
+     * @returns {THREE.InstancedMesh}
+     */
+    createArrowInstances(count, showHead = true, opacity = this.config.opacity) {
+        const material = new THREE.MeshBasicMaterial({ color: 0xffffff, opacity, transparent: opacity < 1 });
+        const mesh = new THREE.InstancedMesh(this.createArrowGeometry(showHead), material, count);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+
+        // Instances span the whole domain, beyond the bounds of the unit arrow geometry
+        mesh.frustumCulled = false;
+
+        return this.addMesh(mesh);
+    }
+
+    /**
+     * Helper: Position, orient and scale one arrow instance
+     * A zero or invalid length hides the instance
+     * @protected
+     * @param {THREE.InstancedMesh} mesh - Mesh from createArrowInstances
+     * @param {number} index - Instance index
+     * @param {Object} start - {x, y, z?} arrow base
+     * @param {Object} direction - {x, y, z?} arrow direction (any length)
+     * @param {number} length - Arrow length in world units
+     */
+    setArrowInstance(mesh, index, start, direction, length) {
+        const scratch = VisualizationMode.ARROW_SCRATCH;
+        scratch.direction.set(direction.x, direction.y, direction.z || 0);
+        const magnitude = scratch.direction.length();
+
+        if (!(magnitude > 0) || !(length > 0)) {
+            scratch.matrix.makeScale(0, 0, 0);
+        } else {
+            scratch.quaternion.setFromUnitVectors(scratch.up, scratch.direction.divideScalar(magnitude));
+            scratch.position.set(start.x, start.y, start.z || 0);
+            scratch.scale.set(length, length, length);
+            scratch.matrix.compose(scratch.position, scratch.quaternion, scratch.scale);
+        }
+
+        mesh.setMatrixAt(index, scratch.matrix);
+    }
+
+    /**
+     * Helper: Outlines of the arrow instances seen from above, for getVectorGraphics in 2D
+     * @protected
+     * @param {THREE.InstancedMesh} mesh - Mesh from createArrowInstances
+     * @param {boolean} showHead - Whether the mesh was created with arrowheads
+     * @returns {Array} - {points, color} per visible arrow
+     */
+    getArrowPolygons(mesh, showHead) {
+        const outline = showHead ? VisualizationMode.ARROW_OUTLINE : VisualizationMode.SHAFT_OUTLINE;
+        const matrix = new THREE.Matrix4();
+        const color = new THREE.Color(this.config.color);
+        const polygons = [];
+
+        for (let k = 0; k < mesh.count; k++) {
+            mesh.getMatrixAt(k, matrix);
+            const e = matrix.elements;
+            if (e[0] === 0 && e[1] === 0 && e[4] === 0 && e[5] === 0) continue; // Hidden instance
+
+            const points = [];
+            for (let i = 0; i < outline.length; i += 2) {
+                const x = outline[i];
+                const y = outline[i + 1];
+                points.push(e[0] * x + e[4] * y + e[12], e[1] * x + e[5] * y + e[13]);
+            }
+            if (mesh.instanceColor) {
+                mesh.getColorAt(k, color);
+            }
+            polygons.push({ points, color: '#' + color.getHexString() });
+        }
+
+        return polygons;
+    }
+
+    /**
+     * Unit arrow geometry along +Y: shaft from 0 to 0.7, head from 0.7 to 1
+     * @private
+     */
+    createArrowGeometry(showHead) {
+        const parts = [new THREE.CylinderGeometry(0.05, 0.05, 0.7, 8).translate(0, 0.35, 0)];
+        if (showHead) {
+            parts.push(new THREE.ConeGeometry(0.15, 0.3, 8).translate(0, 0.85, 0));
+        }
+
+        const arrays = parts.map(part => {
+            const positions = part.toNonIndexed().getAttribute('position').array;
+            part.dispose();
+            return positions;
+        });
+
+        const merged = new Float32Array(arrays.reduce((sum, a) => sum + a.length, 0));
+        let offset = 0;
+        arrays.forEach(a => {
+            merged.set(a, offset);
+            offset += a.length;
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(merged, 3));
+        return geometry;
     }
 
     /**
@@ -179,8 +346,63 @@ class VisualizationMode {
 
         sphere.position.set(position.x, position.y, position.z || 0);
 
-        this.meshes.push(sphere);
-        return this.sceneManager.addMesh(sphere);
+        return this.addMesh(sphere);
+    }
+
+    /**
+     * Helper: Create a text label that always faces the camera
+     * @protected
+     * @param {string} text - Label text
+     * @param {Object} position - {x, y, z?} world position of the label center
+     * @param {Object} options - {color, height, background}
+     */
+    createLabel(text, position, options = {}) {
+        const color = options.color || '#ffffff';
+        const height = options.height || 0.5;
+        const fontSize = 48;
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        ctx.font = `${fontSize}px sans-serif`;
+        const padding = fontSize * 0.25;
+        canvas.width = Math.ceil(ctx.measureText(text).width + padding * 2);
+        canvas.height = Math.ceil(fontSize * 1.4);
+
+        // Canvas state resets when resized
+        ctx.font = `${fontSize}px sans-serif`;
+        if (options.background) {
+            ctx.fillStyle = options.background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        ctx.fillStyle = color;
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, padding, canvas.height / 2);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.minFilter = THREE.LinearFilter;
+        const material = new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false });
+        const sprite = new THREE.Sprite(material);
+
+        sprite.position.set(position.x, position.y, position.z || 0);
+        sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+        sprite.renderOrder = VisualizationMode.OVERLAY_RENDER_ORDER;
+
+        return this.addMesh(sprite);
+    }
+
+    /**
+     * Helper: Track a mesh for this mode and add it to the scene
+     * @protected
+     */
+    addMesh(mesh) {
+        this.meshes.push(mesh);
+        if (this.layerOrder === null) {
+            return this.sceneManager.addMesh(mesh);
+        }
+
+        mesh.renderOrder += this.layerOrder * VisualizationMode.LAYER_RENDER_ORDER_STEP;
+        const zOffset = this.vectorField.dimension === 2 ? this.layerOrder * VisualizationMode.LAYER_Z_OFFSET : 0;
+        return this.sceneManager.addMesh(mesh, this.sceneManager.getLayerGroup(this.layerOrder, zOffset));
     }
 
     /**
@@ -188,10 +410,205 @@ class VisualizationMode {
      * @protected
      */
     getComponentColor(value, min = 0, max = 1) {
-        const normalized = Math.max(0, Math.min(1, (value - min) / (max - min)));
-        const hue = (1 - normalized) * 240 / 360; // Blue to red
-        return new THREE.Color().setHSL(hue, 1, 0.5);
+        return this.getColormap().map((value - min) / (max - min));
+    }
+
+    /**
+     * Whether colors come from the colormap rather than config.color
+     * @returns {boolean}
+     */
+    isColorMapped() {
+        return this.config.colorBy !== 'solid';
+    }
+
+    /**
+     * Scalar mapped to color, see VectorField.evaluateScalar
+     * @returns {string}
+     */
+    getColorQuantity() {
+        return this.config.colorBy;
+    }
+
+    /**
+     * The configured colormap
+     * @returns {Colormap}
+     */
+    getColormap() {
+        return Colormap.get(this.config.colormap);
+    }
+
+    /**
+     * Legend for the current color mapping
+     * @returns {Object|null} - {colormap, range, quantity}, or null when nothing is color mapped
+     */
+    getLegend() {
+        if (!this.colorRange || this.getColorQuantity() === 'solid') return null;
+        return {
+            colormap: this.getColormap(),
+            range: this.colorRange,
+            quantity: this.getColorQuantity()
+        };
+    }
+
+    /**
+     * The drawn geometry as flat 2D primitives in world coordinates, for vector figure export
+     * @returns {Object|null} - {polygons, lines, labels}, or null for modes without a vector form
+     *   polygons: {points, color, seamless?} filled shapes, points packed as x, y; seamless shapes
+     *     tile a surface and are outlined in their color to hide the gaps between them
+     *   lines: {segments, color} separate segments packed as x0, y0, x1, y1
+     *   labels: {text, x, y, height, color, background} text centered on x, y, height in world units
+     */
+    getVectorGraphics() {
+        return null;
+    }
+
+    /**
+     * Helper: Color values for packed samples
+     * Vector quantities reuse the evaluated vectors; divergence and curl are evaluated per sample
+     * @protected
+     * @param {Float32Array} positions - `dimension` coordinates per sample
+     * @param {Float32Array} vectors - Field vectors at the samples, packed the same way
+     * @returns {Float32Array} - One value per sample, NaN where invalid
+     */
+    getColorValues(positions, vectors) {
+        const dimension = this.vectorField.dimension;
+        const quantity = this.getColorQuantity();
+        const count = positions.length / dimension;
+        const values = new Float32Array(count);
+        const position = {};
+
+        for (let k = 0; k < count; k++) {
+            const o = k * dimension;
+            if (!VectorField.isDerivativeScalar(quantity)) {
+                values[k] = VectorField.vectorScalar(quantity, vectors, o, dimension);
+                continue;
+            }
+
+            position.x = positions[o];
+            position.y = positions[o + 1];
+            if (dimension === 3) position.z = positions[o + 2];
+            const value = this.vectorField.evaluateScalar(quantity, position);
+            values[k] = value === null ? NaN : value;
+        }
+
+        return values;
+    }
+
+    /**
+     * Helper: Set colorRange from values according to config.colorRange
+     * 'auto' spans the finite values, 'percentile' drops the given percentage at each end,
+     * 'manual' uses the configured min and max. Automatic angle ranges cover the full circle
+     * and automatic ranges of diverging maps are centered on zero.
+     * @protected
+     * @param {ArrayLike<number>} values
+     * @returns {Object} - {min, max}
+     */
+    computeColorRange(values) {
+        const options = this.config.colorRange;
+        let min;
+        let max;
+
+        if (options.mode === 'manual') {
+            min = options.min;
+            max = options.max;
+        } else if (this.getColorQuantity() === 'angle') {
+            min = -Math.PI;
+            max = Math.PI;
+        } else {
+            const finite = Array.from(values).filter(Number.isFinite);
+            if (finite.length === 0) {
+                min = 0;
+                max = 1;
+            } else if (options.mode === 'percentile') {
+                finite.sort((a, b) => a - b);
+                const at = (p) => finite[Math.round((finite.length - 1) * p / 100)];
+                min = at(options.percentile);
+                max = at(100 - options.percentile);
+            } else {
+                min = finite.reduce((m, v) => (v < m ? v : m), Infinity);
+                max = finite.reduce((m, v) => (v > m ? v : m), -Infinity);
+            }
+
+            if (this.getColormap().type === 'diverging' && min < 0 && max > 0) {
+                max = Math.max(-min, max);
+                min = -max;
+            }
+        }
+
+        if (!(max > min)) {
+            max = min + 1;
+        }
+
+        this.colorRange = { min, max };
+        return this.colorRange;
+    }
+
+    /**
+     * Helper: Set colorRange from a coarse sample of the whole field
+     * For modes whose own samples move or change, e.g. particles and slices
+     * @protected
+     * @returns {Object} - {min, max}
+     */
+    computeFieldColorRange() {
+        const dimension = this.vectorField.dimension;
+        const samples = this.vectorField.sampleGrid(VisualizationMode.COLOR_RANGE_RESOLUTION);
+        const positions = new Float32Array(samples.length * dimension);
+        const vectors = new Float32Array(samples.length * dimension);
+
+        samples.forEach((sample, k) => {
+            ['x', 'y', 'z'].slice(0, dimension).forEach((axis, c) => {
+                positions[k * dimension + c] = sample.position[axis];
+                vectors[k * dimension + c] = sample.vector[c];
+            });
+        });
+
+        return this.computeColorRange(this.getColorValues(positions, vectors));
+    }
+
+    /**
+     * Helper: Map a value through the colormap using colorRange
+     * @protected
+     * @param {number} value
+     * @param {THREE.Color} target - Color to write into
+     * @returns {THREE.Color}
+     */
+    mapColor(value, target = new THREE.Color()) {
+        const range = this.colorRange || { min: 0, max: 1 };
+        return this.getColormap().map((value - range.min) / (range.max - range.min), target);
     }
 }
 
+// Render order for overlays drawn on top of every mode
+VisualizationMode.OVERLAY_RENDER_ORDER = 1000;
+
+// Coloring shared by every mode: a solid color, or a scalar through a colormap
+VisualizationMode.DEFAULT_COLORING = {
+    colorBy: 'solid',        // 'solid' or a VectorField.evaluateScalar quantity
+    colormap: 'viridis',     // Key in Colormap.DEFINITIONS
+    colorRange: { mode: 'auto', min: 0, max: 1, percentile: 2 } // 'auto', 'percentile' or 'manual'
+};
+
+// Samples per axis when a color range is taken from the whole field
+VisualizationMode.COLOR_RANGE_RESOLUTION = 16;
+
+// Render order added per layer, so each layer draws over the ones below it
+VisualizationMode.LAYER_RENDER_ORDER_STEP = 10;
+
+// Depth between stacked layers in 2D, where every layer lies in the z = 0 plane
+VisualizationMode.LAYER_Z_OFFSET = 0.01;
+
+// Outline of the unit arrow (see createArrowGeometry) in its x, y plane, packed as x, y
+VisualizationMode.ARROW_OUTLINE = [-0.05, 0, 0.05, 0, 0.05, 0.7, 0.15, 0.7, 0, 1, -0.15, 0.7, -0.05, 0.7];
+VisualizationMode.SHAFT_OUTLINE = [-0.05, 0, 0.05, 0, 0.05, 0.7, -0.05, 0.7];
+
+// Reused objects for per-instance arrow transforms
+VisualizationMode.ARROW_SCRATCH = {
+    up: new THREE.Vector3(0, 1, 0),
+    direction: new THREE.Vector3(),
+    position: new THREE.Vector3(),
+    quaternion: new THREE.Quaternion(),
+    scale: new THREE.Vector3(),
+    matrix: new THREE.Matrix4()
+};
+
 window.VisualizationMode = VisualizationMode;